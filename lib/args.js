@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * Tiny command-line parser shared by the TUI and the headless subcommands.
+ * Options may be given as "--name value" or "--name=value"; everything else
+ * is a positional. Numbers like "-5" / "+5" are positionals too, so
+ * "vol -5" works without a "--" separator.
+ */
+
+const VALUE_OPTIONS = ["backend", "config", "mpd-host", "mpd-port", "player", "dbus-address", "format",
+  "host", "port", "token", "log-file"];
+const FLAG_OPTIONS = ["json", "help", "serve", "mini"];
+const SHORT = { h: "help" };
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") { positionals.push(...argv.slice(i + 1)); break; }
+    if (/^-[+-]?\d/.test(arg) || !arg.startsWith("-") || arg === "-") { positionals.push(arg); continue; }
+
+    let name, value;
+    if (arg.startsWith("--")) {
+      const eq = arg.indexOf("=");
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (eq !== -1) value = arg.slice(eq + 1);
+    } else {
+      name = SHORT[arg.slice(1)];
+      if (!name) throw new UsageError(`Unknown option ${arg}`);
+    }
+
+    if (FLAG_OPTIONS.includes(name)) {
+      if (value !== undefined) throw new UsageError(`Option --${name} takes no value`);
+      opts[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      if (value === undefined) {
+        if (i + 1 >= argv.length) throw new UsageError(`Option --${name} needs a value`);
+        value = argv[++i];
+      }
+      opts[name] = value;
+    } else {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+  }
+  return { opts, positionals };
+}
+
+module.exports = { parseArgs, UsageError };
@@ -0,0 +1,247 @@
+"use strict";
+
+/**
+ * Album artwork in the terminal.
+ *
+ * Backends hand over the image file of the current track (getArtwork(): PNG
+ * or JPEG bytes). It is decoded once per album, scaled down and cached. Drawing
+ * uses the best the terminal can do: the kitty or iTerm2 image protocols,
+ * sixel, or Unicode half-blocks (▀, two pixels per cell) in truecolor or 256
+ * colors. draw() returns escape sequences with absolute cursor positions; the
+ * TUI writes them over an empty box after blessed has drawn the screen, since
+ * blessed itself would reduce the colors to its palette.
+ */
+
+const MASTER_SIZE = 256;   // longest side of the cached image, in pixels
+const MAX_ALBUMS = 50;
+const KITTY_ID = 7301;     // the one image this program shows
+const SIXEL_CELL = [6, 12]; // assumed pixels per cell; the real size can't be asked without a reply to parse
+// removes the image, which kitty draws above the text
+const KITTY_CLEAR = `\x1b_Ga=d,d=I,i=${KITTY_ID},q=2\x1b\\`;
+
+const MODES = ["auto", "kitty", "iterm2", "sixel", "truecolor", "256"];
+
+// the best mode for the terminal we run in, from the environment only
+function detectMode(env = process.env) {
+  const term = env.TERM || "";
+  const program = env.TERM_PROGRAM || "";
+  const blocks = /truecolor|24bit/i.test(env.COLORTERM || "") ? "truecolor" : "256";
+  if (env.TMUX || /^screen/.test(term)) return blocks; // image protocols don't get through multiplexers
+  if (env.KITTY_WINDOW_ID || term === "xterm-kitty" || term === "xterm-ghostty" || program === "ghostty") return "kitty";
+  if (program === "iTerm.app" || env.LC_TERMINAL === "iTerm2" || program === "WezTerm") return "iterm2";
+  if (/sixel/.test(term) || /^foot/.test(term) || term === "mlterm") return "sixel";
+  return blocks;
+}
+
+// ---------- Images ----------
+// PNG or JPEG bytes -> { width, height, data } (RGBA); throws if unreadable
+function decode(buf) {
+  if (buf.length > 8 && buf.readUInt32BE(0) === 0x89504e47) return require("pngjs").PNG.sync.read(buf);
+  if (buf.length > 2 && buf[0] === 0xff && buf[1] === 0xd8) {
+    return require("jpeg-js").decode(buf, { useTArray: true, maxMemoryUsageInMB: 256 });
+  }
+  throw new Error("not a PNG or JPEG image");
+}
+
+function encodePng(img) {
+  return require("pngjs").PNG.sync.write({ width: img.width, height: img.height, data: Buffer.from(img.data) });
+}
+
+// area average (nearest pixel when enlarging); transparency is blended onto black
+function scale(img, width, height) {
+  const data = new Uint8Array(width * height * 4);
+  const src = img.data;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * img.height / height);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * img.height / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * img.width / width);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * img.width / width));
+      let r = 0, g = 0, b = 0, n = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * img.width + sx) * 4;
+          const a = src[i + 3] / 255;
+          r += src[i] * a; g += src[i + 1] * a; b += src[i + 2] * a; n++;
+        }
+      }
+      const o = (y * width + x) * 4;
+      data[o] = Math.round(r / n); data[o + 1] = Math.round(g / n); data[o + 2] = Math.round(b / n); data[o + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// the cached copy: no side longer than MASTER_SIZE
+function master(img) {
+  const f = Math.min(1, MASTER_SIZE / Math.max(img.width, img.height));
+  return scale(img, Math.max(1, Math.round(img.width * f)), Math.max(1, Math.round(img.height * f)));
+}
+
+// ---------- Encoders ----------
+const LEVELS = [0, 95, 135, 175, 215, 255];
+
+// nearest xterm-256 color: the 6×6×6 cube or the gray ramp
+function to256(r, g, b) {
+  const q = v => (v < 48 ? 0 : v < 115 ? 1 : Math.floor((v - 35) / 40));
+  const [ri, gi, bi] = [q(r), q(g), q(b)];
+  const grayIndex = Math.max(0, Math.min(23, Math.round(((r + g + b) / 3 - 8) / 10)));
+  const gray = 8 + grayIndex * 10;
+  const dist = (cr, cg, cb) => (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+  return dist(gray, gray, gray) < dist(LEVELS[ri], LEVELS[gi], LEVELS[bi]) ? 232 + grayIndex : 16 + 36 * ri + 6 * gi + bi;
+}
+
+// one string per cell row; img is cols × rows*2 pixels
+function halfBlocks(img, truecolor) {
+  const color = (layer, i) => {
+    const [r, g, b] = [img.data[i], img.data[i + 1], img.data[i + 2]];
+    return truecolor ? `${layer};2;${r};${g};${b}` : `${layer};5;${to256(r, g, b)}`;
+  };
+  const rows = [];
+  for (let y = 0; y < img.height; y += 2) {
+    let line = "", last = "";
+    for (let x = 0; x < img.width; x++) {
+      const top = (y * img.width + x) * 4;
+      const bottom = y + 1 < img.height ? top + img.width * 4 : top;
+      const sgr = `\x1b[${color(38, top)};${color(48, bottom)}m`;
+      line += (sgr === last ? "" : sgr) + "▀";
+      last = sgr;
+    }
+    rows.push(line + "\x1b[0m");
+  }
+  return rows;
+}
+
+function kitty(png, cols, rows) {
+  const b64 = png.toString("base64");
+  let out = "";
+  for (let i = 0; i < b64.length; i += 4096) {
+    const more = i + 4096 < b64.length ? 1 : 0;
+    const head = i ? `m=${more}` : `a=T,f=100,i=${KITTY_ID},p=1,c=${cols},r=${rows},C=1,q=2,m=${more}`;
+    out += `\x1b_G${head};${b64.slice(i, i + 4096)}\x1b\\`;
+  }
+  return out;
+}
+
+function iterm2(png, cols, rows) {
+  return `\x1b]1337;File=inline=1;size=${png.length};width=${cols};height=${rows};preserveAspectRatio=1:${png.toString("base64")}\x07`;
+}
+
+// 216-color (6×6×6) sixel image
+function sixel(img) {
+  const { width: w, height: h, data } = img;
+  const idx = new Uint8Array(w * h);
+  const used = new Set();
+  for (let i = 0; i < w * h; i++) {
+    const c = 36 * Math.round(data[i * 4] / 51) + 6 * Math.round(data[i * 4 + 1] / 51) + Math.round(data[i * 4 + 2] / 51);
+    idx[i] = c;
+    used.add(c);
+  }
+  const pct = v => Math.round(v * 20); // level 0–5 -> 0–100 %
+  let out = `\x1bPq"1;1;${w};${h}`;
+  for (const c of used) out += `#${c};2;${pct(Math.floor(c / 36))};${pct(Math.floor(c / 6) % 6)};${pct(c % 6)}`;
+  const run = (bits, n) => {
+    if (!n) return "";
+    const ch = String.fromCharCode(63 + bits);
+    return n > 3 ? `!${n}${ch}` : ch.repeat(n);
+  };
+  for (let y0 = 0; y0 < h; y0 += 6) {
+    const band = new Set();
+    for (let i = y0 * w; i < Math.min(h, y0 + 6) * w; i++) band.add(idx[i]);
+    for (const c of band) {
+      let line = `#${c}`, prev = -1, n = 0;
+      for (let x = 0; x < w; x++) {
+        let bits = 0;
+        for (let k = 0; k < 6 && y0 + k < h; k++) if (idx[(y0 + k) * w + x] === c) bits |= 1 << k;
+        if (bits === prev) n++;
+        else { line += run(prev, n); prev = bits; n = 1; }
+      }
+      out += line + run(prev, n) + "$";
+    }
+    out += "-";
+  }
+  return out + "\x1b\\";
+}
+
+// ---------- Drawing ----------
+const at = (x, y) => `\x1b[${y + 1};${x + 1}H`;
+
+// rect: { x, y, cols, rows } in screen cells (0-based). Returns what to write:
+// the rect cleared, then the image centered in it, or a ♫ placeholder when
+// image is null (no artwork, or not loaded yet).
+function draw(image, rect, mode, cache = new Map()) {
+  let out = (mode === "kitty" ? KITTY_CLEAR : "") + "\x1b[0m";
+  for (let y = 0; y < rect.rows; y++) out += at(rect.x, rect.y + y) + " ".repeat(rect.cols);
+  if (!image) {
+    return out + at(rect.x + Math.floor((rect.cols - 1) / 2), rect.y + Math.floor((rect.rows - 1) / 2)) + "\x1b[90m♫\x1b[0m";
+  }
+  // cells are about twice as tall as wide
+  const aspect = image.width / image.height;
+  const cols = Math.max(1, Math.min(rect.cols, Math.round(2 * rect.rows * aspect)));
+  const rows = Math.max(1, Math.min(rect.rows, Math.round(cols / aspect / 2)));
+  const x = rect.x + Math.floor((rect.cols - cols) / 2);
+  const y = rect.y + Math.floor((rect.rows - rows) / 2);
+
+  const key = `${mode}:${cols}x${rows}`;
+  if (!cache.has(key)) {
+    if (mode === "truecolor" || mode === "256") cache.set(key, halfBlocks(scale(image, cols, rows * 2), mode === "truecolor"));
+    else if (mode === "sixel") cache.set(key, sixel(scale(image, cols * SIXEL_CELL[0], rows * SIXEL_CELL[1])));
+    else {
+      // the terminal scales it to the cells; a few pixels per cell are enough
+      const png = encodePng(scale(image, Math.min(image.width, cols * 10), Math.min(image.height, rows * 20)));
+      cache.set(key, mode === "kitty" ? kitty(png, cols, rows) : iterm2(png, cols, rows));
+    }
+  }
+  const seq = cache.get(key);
+  if (Array.isArray(seq)) return out + seq.map((line, i) => at(x, y + i) + line).join("");
+  return out + at(x, y) + seq;
+}
+
+// ---------- Cache ----------
+// artwork is shared by an album's tracks; a track without an album stands alone
+function albumKey(s) {
+  return s && s.name ? `${s.artist}::${s.album || s.name}` : "";
+}
+
+function createArtwork(backend) {
+  const albums = new Map(); // albumKey -> { image, renders } (image null: no artwork)
+  const pending = new Map();
+
+  // only a real answer is cached: a player error (busy, timed out) or a track
+  // change while asking gives { image: null, failed: true }, to be asked again
+  async function fetch(key) {
+    let buf;
+    try {
+      buf = await backend.getArtwork();
+      // getArtwork() reads the current track, which may be another album by now
+      if (albumKey(await backend.getState()) !== key) throw new Error("track changed");
+    } catch {
+      return { image: null, renders: new Map(), failed: true };
+    }
+    let image = null;
+    try {
+      if (buf && buf.length) image = master(decode(buf));
+    } catch { /* unreadable or unsupported: same as none */ }
+    albums.delete(key);
+    albums.set(key, { image, renders: new Map() });
+    if (albums.size > MAX_ALBUMS) albums.delete(albums.keys().next().value);
+    return albums.get(key);
+  }
+
+  return {
+    available: typeof backend.getArtwork === "function",
+
+    // the cached entry for the album, undefined until load() has finished
+    cached(key) { return albums.get(key); },
+
+    // s: the current state; resolves to { image, renders, failed? }
+    load(s) {
+      const key = albumKey(s);
+      if (albums.has(key)) return Promise.resolve(albums.get(key));
+      if (!pending.has(key)) pending.set(key, fetch(key).finally(() => pending.delete(key)));
+      return pending.get(key);
+    }
+  };
+}
+
+module.exports = { createArtwork, detectMode, draw, albumKey, decode, encodePng, scale, MODES, KITTY_CLEAR };
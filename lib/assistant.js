@@ -0,0 +1,249 @@
+"use strict";
+
+/**
+ * Natural-language command bar: "play something mellow from my Jazz
+ * playlist", "turn it down a bit", "skip to the chorus".
+ *
+ * The request goes to a chat model together with tool definitions that map
+ * onto the player's actions. Look-up tools (getPlaylists, getTracksOfPlaylist)
+ * run right away so the model can pick a track; everything that changes
+ * playback is only *planned* and returned to the UI, which shows the plan and
+ * runs it after the user confirms (see run()).
+ *
+ * suggestPlaylist() uses the same model to pick tracks for a mood or theme
+ * from a list of library tracks; the answer is checked against that list, so
+ * songs the model makes up never get through.
+ */
+
+const { createClient } = require("./llm");
+const { timeFmt } = require("./time");
+
+const MAX_ROUNDS = 6;
+const MAX_TRACKS = 300; // per playlist sent to the model
+const MAX_POOL = 800;   // library tracks offered for a generated playlist
+
+// handleCommand actions the model may use, with the wording shown in the plan
+const COMMANDS = {
+  playPause: "Play/Pause",
+  next: "Next track",
+  prev: "Previous track",
+  shuffle: "Toggle shuffle",
+  repeat: "Cycle repeat"
+};
+
+const TOOLS = [
+  {
+    name: "command",
+    description: "Run a simple player command.",
+    parameters: {
+      type: "object",
+      properties: { action: { type: "string", enum: Object.keys(COMMANDS) } },
+      required: ["action"]
+    }
+  },
+  {
+    name: "setVolume",
+    description: "Set the player volume (0-100). For \"a bit\" louder or quieter change it by about 10.",
+    parameters: { type: "object", properties: { volume: { type: "integer", minimum: 0, maximum: 100 } }, required: ["volume"] }
+  },
+  {
+    name: "seekRel",
+    description: "Seek within the current track by a number of seconds (negative = back).",
+    parameters: { type: "object", properties: { seconds: { type: "number" } }, required: ["seconds"] }
+  },
+  {
+    name: "getPlaylists",
+    description: "List the names of the user's playlists. Runs immediately.",
+    parameters: { type: "object", properties: {} }
+  },
+  {
+    name: "getTracksOfPlaylist",
+    description: "List the tracks of a playlist as { index, name, artist, album }. Runs immediately.",
+    parameters: { type: "object", properties: { playlist: { type: "string" } }, required: ["playlist"] }
+  },
+  {
+    name: "playTrackInPlaylist",
+    description: "Play a track of a playlist by its 1-based index from getTracksOfPlaylist.",
+    parameters: {
+      type: "object",
+      properties: { playlist: { type: "string" }, index: { type: "integer", minimum: 1 } },
+      required: ["playlist", "index"]
+    }
+  }
+].map(fn => ({ type: "function", function: fn }));
+
+// up to `max` tracks, spread over the whole pool, in library order
+function samplePool(pool, max) {
+  if (pool.length <= max) return pool.slice();
+  const picked = new Set();
+  while (picked.size < max) picked.add(Math.floor(Math.random() * pool.length));
+  return Array.from(picked).sort((a, b) => a - b).map(i => pool[i]);
+}
+
+// the first {...} in the answer; models like to wrap JSON in prose or ``` fences
+function parseJsonObject(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) throw new Error("the model didn't answer with JSON");
+  try { return JSON.parse(text.slice(start, end + 1)); } catch (e) {
+    throw new Error(`the model's JSON is invalid (${e.message})`);
+  }
+}
+
+function describeState(s) {
+  if (!s || !s.name) return "Nothing is playing.";
+  return `Now ${s.state}: "${s.name}" by ${s.artist || "unknown artist"}` +
+    `${s.album ? ` from "${s.album}"` : ""}, at ${timeFmt(s.position)} of ${timeFmt(s.duration)}. ` +
+    `Volume ${s.volume}%, shuffle ${s.shuffle ? "on" : "off"}, repeat ${s.repeat || "none"}.`;
+}
+
+function systemPrompt(state) {
+  return "You control a music player from short requests typed by its user. " +
+    "Use the tools to carry out the request; look up playlists and their tracks before choosing one to play, " +
+    "and pick by the track, artist and album names. Only use tools that are needed. " +
+    "When done, answer with one short sentence saying what you did (or why you can't).\n\n" +
+    describeState(state);
+}
+
+// options: settings.assistant ({ provider, model, baseURL, apiKey })
+function createAssistant(options, backend) {
+  const { client, error } = options.provider === "off" ?
+    { error: "The assistant is turned off (\"assistant\": { \"provider\": \"off\" })." } :
+    createClient(options);
+
+  // tracks the model has seen, so a planned play can be checked and labelled
+  async function tracksOf(playlist, seen) {
+    if (!seen.has(playlist)) seen.set(playlist, await backend.getTracksOfPlaylist(playlist));
+    return seen.get(playlist);
+  }
+
+  // the look-up tools; their result goes straight back to the model
+  async function lookUp(name, args, seen) {
+    if (name === "getPlaylists") return backend.getPlaylists();
+    const playlists = await backend.getPlaylists();
+    if (!playlists.includes(args.playlist)) return { error: `no playlist named "${args.playlist}"`, playlists };
+    const tracks = await tracksOf(args.playlist, seen);
+    return tracks.slice(0, MAX_TRACKS).map(t => ({ index: t.index, name: t.name, artist: t.artist, album: t.album }));
+  }
+
+  // a playback tool -> { name, args, label } for the plan, or an error for the model
+  async function planCall(name, args, seen) {
+    if (name === "command") {
+      if (!COMMANDS[args.action]) return { error: `unknown action "${args.action}"` };
+      return { name, args, label: COMMANDS[args.action] };
+    }
+    if (name === "setVolume") {
+      const volume = Math.round(Number(args.volume));
+      if (!Number.isFinite(volume)) return { error: "volume must be a number" };
+      const v = Math.max(0, Math.min(100, volume));
+      return { name, args: { volume: v }, label: `Set volume to ${v}%` };
+    }
+    if (name === "seekRel") {
+      const seconds = Math.round(Number(args.seconds));
+      if (!Number.isFinite(seconds) || !seconds) return { error: "seconds must be a non-zero number" };
+      return { name, args: { seconds }, label: `Seek ${seconds > 0 ? "forward" : "back"} ${Math.abs(seconds)} s` };
+    }
+    if (name === "playTrackInPlaylist") {
+      const playlists = await backend.getPlaylists();
+      if (!playlists.includes(args.playlist)) return { error: `no playlist named "${args.playlist}"` };
+      const track = (await tracksOf(args.playlist, seen)).find(t => t.index === Number(args.index));
+      if (!track) return { error: `"${args.playlist}" has no track ${args.index}` };
+      return {
+        name, args: { playlist: args.playlist, index: track.index },
+        label: `Play "${track.name}"${track.artist ? ` – ${track.artist}` : ""} (${args.playlist} #${track.index})`
+      };
+    }
+    return { error: `unknown tool "${name}"` };
+  }
+
+  return {
+    available: !error,
+    unavailableText: error || "",
+
+    // text: what the user typed; state: the latest getState().
+    // Resolves to { reply, calls: [{ name, args, label }] } – nothing has run yet.
+    async plan(text, state, { signal } = {}) {
+      if (error) throw new Error(error);
+      const messages = [{ role: "system", content: systemPrompt(state) }, { role: "user", content: text }];
+      const calls = [];
+      const seen = new Map(); // playlist -> tracks
+      for (let round = 0; round < MAX_ROUNDS; round++) {
+        const resp = await client.chat.completions.create({ model: options.model, messages, tools: TOOLS }, { signal });
+        const msg = resp.choices && resp.choices[0] && resp.choices[0].message;
+        if (!msg) throw new Error("the model returned no answer");
+        const toolCalls = msg.tool_calls || [];
+        if (!toolCalls.length) return { reply: (msg.content || "").trim(), calls };
+
+        messages.push({ role: "assistant", content: msg.content || null, tool_calls: toolCalls });
+        let lookedUp = false;
+        for (const tc of toolCalls) {
+          const name = tc.function && tc.function.name;
+          let args;
+          try { args = JSON.parse((tc.function && tc.function.arguments) || "{}") || {}; } catch { args = null; }
+          let result;
+          if (!args) result = { error: "arguments are not valid JSON" };
+          else if (name === "getPlaylists" || name === "getTracksOfPlaylist") {
+            lookedUp = true;
+            result = await lookUp(name, args, seen);
+          } else {
+            const planned = await planCall(name, args, seen);
+            if (planned.error) { lookedUp = true; result = { error: planned.error }; } else {
+              calls.push(planned);
+              result = { planned: planned.label, note: "runs after the user confirms" };
+            }
+          }
+          messages.push({ role: "tool", tool_call_id: tc.id, content: JSON.stringify(result) });
+        }
+        // only playback calls this round: the plan is complete
+        if (!lookedUp) return { reply: (msg.content || "").trim(), calls };
+      }
+      return { reply: "", calls };
+    },
+
+    // prompt: mood or theme; pool: [{ index, id, name, artist, album }] (the
+    // Library playlist). Resolves to { name, tracks, dropped } where tracks are
+    // pool entries and dropped counts picks that weren't in the list.
+    async suggestPlaylist(prompt, pool, { size = 20, signal } = {}) {
+      if (error) throw new Error(error);
+      if (!pool.length) throw new Error("the library is empty");
+      const offered = samplePool(pool, MAX_POOL);
+      const lines = offered.map((t, i) => `${i + 1}. ${t.name}${t.artist ? ` – ${t.artist}` : ""}${t.album ? ` [${t.album}]` : ""}`);
+      const resp = await client.chat.completions.create({
+        model: options.model,
+        messages: [
+          {
+            role: "system",
+            content: "You build playlists from the user's music library. Choose only from the numbered tracks you are given, " +
+              "in a good listening order. Answer with JSON only: {\"name\": \"<short playlist name>\", \"tracks\": [<track numbers>]}."
+          },
+          { role: "user", content: `Mood or theme: ${prompt}\nPick about ${size} tracks.\n\nLibrary:\n${lines.join("\n")}` }
+        ]
+      }, { signal });
+      const msg = resp.choices && resp.choices[0] && resp.choices[0].message;
+      const answer = parseJsonObject((msg && msg.content) || "");
+      const picks = Array.isArray(answer.tracks) ? answer.tracks : [];
+      const tracks = [];
+      let dropped = 0;
+      for (const n of picks) {
+        const t = offered[Number(n) - 1];
+        if (!t) { dropped++; continue; }
+        if (!tracks.includes(t) && tracks.length < size * 2) tracks.push(t);
+      }
+      if (!tracks.length) throw new Error("the model picked no tracks from the library");
+      const name = typeof answer.name === "string" && answer.name.trim() ? answer.name.trim().slice(0, 80) : prompt.slice(0, 40);
+      return { name, tracks, dropped };
+    },
+
+    // runs one planned call; command(action) is the UI's handleCommand
+    async run(call, { command }) {
+      switch (call.name) {
+        case "command": return command(call.args.action);
+        case "setVolume": return backend.setVolume(call.args.volume);
+        case "seekRel": return backend.seekRel(call.args.seconds);
+        case "playTrackInPlaylist": return backend.playTrackInPlaylist(call.args.playlist, call.args.index);
+      }
+    }
+  };
+}
+
+module.exports = { createAssistant, TOOLS, COMMANDS };
@@ -0,0 +1,961 @@
+"use strict";
+
+/**
+ * Apple Music backend – drives the native Music.app through osascript.
+ * Requirements: macOS + Music.app
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile, spawn } = require("child_process");
+const { logError, withRetry } = require("../diagnostics");
+
+const WORKER_TIMEOUT_MS = 15000;
+const OSASCRIPT_TIMEOUT_MS = 60000; // one-shot scripts; whole-playlist reads can take a while
+
+// No shell in between: the script is a single argv entry, and `args` reach
+// its `on run argv` handler as plain strings, so values never become code.
+// The first arg must not start with "-" (osascript would take it for an
+// option), so scripts here take a number first. Bigger buffer for large playlists.
+function osascript(script, args = []) {
+  return new Promise((resolve, reject) => {
+    const options = { maxBuffer: 20 * 1024 * 1024, timeout: OSASCRIPT_TIMEOUT_MS };
+    execFile("osascript", ["-e", script].concat(args.map(String)), options, (err, stdout) => {
+      if (err) return reject(err);
+      resolve(stdout.trim());
+    });
+  });
+}
+
+async function osa(cmd) { return osascript(cmd); } // run single-line AppleScript
+async function osaMulti(script) { return osascript(script); }
+async function safe(cmd, def = "") { try { return await osa(cmd); } catch (e) { return swallowed("osascript", e, def); } }
+
+// a failure that only gets a default value still goes into the event log
+// (lib/diagnostics.js); background: a read rather than something the user did
+function swallowed(label, e, def, background = true) {
+  logError(label, e, { background });
+  return def;
+}
+
+// AppleScript that sets PL to the playlist named by `expr` (a quoted, escaped
+// literal or a variable): user playlist first, then any playlist; PL stays
+// missing value if none
+function findPlaylist(expr) {
+  return `
+    set PL to missing value
+    -- try user playlist first
+    try
+      set PL to (first user playlist whose name is ${expr})
+    end try
+    -- fallback to any playlist
+    if PL is missing value then
+      try
+        set PL to (first playlist whose name is ${expr})
+      end try
+    end if`;
+}
+
+// ---------- Persistent JXA worker ----------
+// One long-lived `osascript -l JavaScript` process reads JSON requests from
+// stdin and answers on stdout, so the hot path (state polling, transport
+// keys) never forks. This function is serialized and runs inside osascript.
+/* global ObjC, $, Application, delay */
+function jxaWorker() {
+  ObjC.import("Foundation");
+  const Music = Application("Music");
+  const input = $.NSFileHandle.fileHandleWithStandardInput;
+  const output = $.NSFileHandle.fileHandleWithStandardOutput;
+  const send = (obj) => output.writeData(
+    $.NSString.alloc.initWithUTF8String(JSON.stringify(obj) + "\n").dataUsingEncoding($.NSUTF8StringEncoding)
+  );
+  const repeatName = (r) => (r === "off" ? "none" : r);
+
+  // user playlist first, like findPlaylist() below
+  function playlistNamed(name) {
+    let found = Music.userPlaylists.whose({ name: name });
+    if (!found.length) found = Music.playlists.whose({ name: name });
+    if (!found.length) throw new Error(`No playlist "${name}"`);
+    return found[0];
+  }
+  function trackAt(name, index) {
+    const tracks = playlistNamed(name).tracks;
+    if (index < 1 || index > tracks.length) throw new Error("Track index out of range");
+    return tracks[index - 1];
+  }
+
+  function state() {
+    if (!Music.running()) return { running: false };
+    const st = Music.playerState();
+    const s = { running: true, state: st, name: "", artist: "", album: "", duration: 0, position: 0, nextName: "", nextArtist: "" };
+    if (st === "playing" || st === "paused") {
+      try {
+        const t = Music.currentTrack;
+        s.name = t.name(); s.artist = t.artist(); s.album = t.album(); s.duration = t.duration();
+        s.position = Music.playerPosition();
+      } catch (e) { /* streams and some radio items have no track info */ }
+    }
+    if (s.name) {
+      const t = Music.currentTrack;
+      try { s.rating = Math.round(t.rating() / 20); s.disliked = t.disliked(); } catch (e) { /* not rateable */ }
+      // newer Music versions renamed "loved" to "favorited"
+      try { s.loved = t.favorited(); } catch (e) { try { s.loved = t.loved(); } catch (e2) { /* neither */ } }
+    }
+    s.shuffle = Music.shuffleEnabled();
+    s.repeat = repeatName(Music.songRepeat());
+    s.volume = Music.soundVolume();
+    // Music.app does not expose its shuffle order, so "next" is only known in order
+    if (s.name && !s.shuffle) {
+      try {
+        const i = Music.currentTrack.index(); // 1-based = 0-based index of the next one
+        const tracks = Music.currentPlaylist.tracks;
+        if (i < tracks.length) { s.nextName = tracks[i].name(); s.nextArtist = tracks[i].artist(); }
+      } catch (e) { /* no playlist context */ }
+    }
+    return s;
+  }
+
+  const ops = {
+    state,
+    launch: () => { if (!Music.running()) { Music.launch(); delay(0.5); } },
+    playerState: () => Music.playerState(),
+    libraryName: () => Music.libraryPlaylists[0].name(),
+    play: () => Music.play(),
+    pause: () => Music.pause(),
+    next: () => Music.nextTrack(),
+    prev: () => Music.previousTrack(),
+    getVolume: () => Music.soundVolume(),
+    setVolume: (v) => { Music.soundVolume = v; },
+    seekRel: (d) => { Music.playerPosition = Math.max(0, Math.floor(Music.playerPosition() + d)); },
+    seekTo: (t) => { Music.playerPosition = t; },
+    toggleShuffle: () => { Music.shuffleEnabled = !Music.shuffleEnabled(); },
+    cycleRepeat: () => {
+      const order = ["off", "one", "all"];
+      Music.songRepeat = order[(Math.max(0, order.indexOf(Music.songRepeat())) + 1) % order.length];
+    },
+    setRating: (stars) => { Music.currentTrack.rating = stars * 20; },
+    setLoved: (on) => {
+      const t = Music.currentTrack;
+      try { t.favorited = on; } catch (e) { t.loved = on; }
+    },
+    setDisliked: (on) => { Music.currentTrack.disliked = on; },
+    // the playlist's modification date, plus every track's ID, modification
+    // date, rating and play count in order (one Apple Event each), since tag
+    // edits need not touch the playlist's date; hashed by getPlaylistVersion()
+    playlistVersion: (name) => {
+      const pl = playlistNamed(name);
+      let date = "";
+      try { date = String(pl.modificationDate()); } catch (e) { /* not every playlist kind has one */ }
+      const t = pl.tracks;
+      return [date, t.persistentID(), t.modificationDate().map(Number), t.rating(), t.playedCount()].join("|");
+    },
+    trackInfo: (name, index) => {
+      const t = trackAt(name, index);
+      return { genre: t.genre(), year: t.year(), comment: t.comment(), playedCount: t.playedCount() };
+    },
+    setTrackInfo: (name, index, fields) => {
+      const t = trackAt(name, index);
+      if ("genre" in fields) t.genre = fields.genre;
+      if ("year" in fields) t.year = fields.year;
+      if ("comment" in fields) t.comment = fields.comment;
+      if ("playedCount" in fields) t.playedCount = fields.playedCount;
+    },
+    lyrics: () => {
+      if (Music.playerState() === "stopped") return "";
+      try { return Music.currentTrack.lyrics() || ""; } catch (e) { return ""; }
+    },
+    // rest of the current playlist; bulk property reads are one Apple Event each
+    upNext: (limit) => {
+      if (Music.shuffleEnabled() || Music.playerState() === "stopped") return [];
+      const i = Music.currentTrack.index();
+      const tracks = Music.currentPlaylist.tracks;
+      const names = tracks.name(), artists = tracks.artist(), albums = tracks.album();
+      const out = [];
+      for (let k = i; k < Math.min(names.length, i + limit); k++) {
+        out.push({ name: names[k], artist: artists[k], album: albums[k] });
+      }
+      return out;
+    }
+  };
+
+  let buf = "";
+  for (;;) {
+    const data = input.availableData;
+    if (data.length === 0) break; // stdin closed – parent went away
+    buf += $.NSString.alloc.initWithDataEncoding(data, $.NSUTF8StringEncoding).js;
+    let nl;
+    while ((nl = buf.indexOf("\n")) !== -1) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      let req = {};
+      try {
+        req = JSON.parse(line);
+        const result = ops[req.op].apply(null, req.args || []);
+        send({ id: req.id, ok: true, result: result === undefined ? null : result });
+      } catch (e) {
+        send({ id: req.id, ok: false, error: String((e && e.message) || e), number: e && e.errorNumber });
+      }
+    }
+  }
+}
+
+const WORKER_SRC = `(${jxaWorker.toString()})();`;
+
+let worker = null;          // { proc, pending: Map<id, {resolve, reject, timer}>, buf }
+let workerDisabled = false; // osascript missing (not macOS) – use plain exec instead
+let nextId = 1;
+
+// the worker never got the request: safe to send it through one-shot osascript
+function unavailable(msg) {
+  const err = new Error(msg);
+  err.unavailable = true;
+  return err;
+}
+
+// the worker had the request but never answered: it may still have run in
+// Music.app, so it must not be sent again as is (classifyError: "timeout")
+function unanswered(msg) {
+  const err = new Error(msg);
+  err.killed = true;
+  return err;
+}
+
+function stopWorker(reason, errorFor = unanswered) {
+  if (!worker) return;
+  const w = worker;
+  worker = null;
+  w.proc.removeAllListeners();
+  w.proc.stdout.removeAllListeners();
+  w.proc.kill();
+  for (const p of w.pending.values()) { clearTimeout(p.timer); p.reject(errorFor(reason)); }
+}
+
+function startWorker() {
+  const proc = spawn("osascript", ["-l", "JavaScript", "-e", WORKER_SRC], { stdio: ["pipe", "pipe", "ignore"] });
+  const w = { proc, pending: new Map(), buf: "", answered: false };
+  proc.on("error", (err) => {
+    if (err.code === "ENOENT") workerDisabled = true;
+    if (worker === w) stopWorker(err.message, unavailable); // could not spawn
+  });
+  // exiting before its first answer means the script never got going
+  proc.on("exit", () => { if (worker === w) stopWorker("osascript worker exited", w.answered ? unanswered : unavailable); });
+  proc.stdin.on("error", () => {}); // EPIPE after the worker died; "exit" handles cleanup
+  proc.stdout.setEncoding("utf8");
+  proc.stdout.on("data", (chunk) => {
+    w.buf += chunk;
+    let nl;
+    while ((nl = w.buf.indexOf("\n")) !== -1) {
+      const line = w.buf.slice(0, nl);
+      w.buf = w.buf.slice(nl + 1);
+      let msg;
+      try { msg = JSON.parse(line); } catch { continue; }
+      const p = w.pending.get(msg.id);
+      w.answered = true;
+      if (!p) continue;
+      w.pending.delete(msg.id);
+      clearTimeout(p.timer);
+      if (msg.ok) p.resolve(msg.result);
+      else {
+        const err = new Error(msg.error);
+        err.number = msg.number;
+        p.reject(err);
+      }
+    }
+  });
+  worker = w;
+  return w;
+}
+
+function request(op, args = []) {
+  if (workerDisabled) return Promise.reject(unavailable("osascript worker disabled"));
+  const w = worker || startWorker();
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    // a hung Apple Event would block every later request – restart the worker
+    const timer = setTimeout(() => {
+      logError(op, new Error(`timed out after ${WORKER_TIMEOUT_MS / 1000} s, restarting the osascript worker`));
+      stopWorker(`osascript worker timed out on ${op}`);
+    }, WORKER_TIMEOUT_MS);
+    w.pending.set(id, { resolve, reject, timer });
+    w.proc.stdin.write(JSON.stringify({ id, op, args }) + "\n");
+  });
+}
+
+// relative moves and toggles: a timed-out one may still have run (a timeout
+// only means no answer), so repeating it could skip a second track or undo it
+const NOT_RETRIED = new Set(["next", "prev", "seekRel", "toggleShuffle", "cycleRepeat"]);
+
+// Worker first; the one-shot osascript fallback only runs when the worker never
+// got the request (it could not start or died at once), not after a timeout.
+// Reads and commands that are safe to repeat are retried on timeouts and while
+// Music.app is just starting.
+function run(op, args, fallback) {
+  const attempt = async () => {
+    try {
+      return await request(op, args);
+    } catch (e) {
+      if (!e.unavailable) throw e;
+    }
+    return fallback();
+  };
+  return NOT_RETRIED.has(op) ? attempt() : withRetry(op, attempt);
+}
+async function act(op, args, fallback) { try { await run(op, args, fallback); } catch (e) { swallowed(op, e, undefined, false); } }
+
+// ---------- Apple Music actions ----------
+let launched = false; // checked once, and again after a state read finds Music not running
+// a failed launch is logged and tried again on the next call
+async function ensureReady() {
+  if (launched) return;
+  try {
+    await run("launch", [], async () => {
+      const running = await safe(
+        `tell application "System Events" to (name of processes) contains "Music"`,
+        "false"
+      );
+      if (running !== "true") {
+        await osa(`tell application "Music" to launch`);
+        await new Promise(r => setTimeout(r, 500));
+      }
+    });
+    launched = true;
+  } catch (e) {
+    swallowed("launch", e, undefined, false);
+  }
+}
+
+async function play()        { await act("play", [], () => osa(`tell application "Music" to play`)); }
+async function pause()       { await act("pause", [], () => osa(`tell application "Music" to pause`)); }
+async function nextTrack()   { await act("next", [], () => osa(`tell application "Music" to next track`)); }
+async function prevTrack()   { await act("prev", [], () => osa(`tell application "Music" to previous track`)); }
+async function getPlayerState() {
+  try { return await run("playerState", [], () => osa(`tell application "Music" to get player state`)); }
+  catch (e) { return swallowed("playerState", e, "stopped"); }
+}
+async function getVolume() {
+  try { return parseInt(await run("getVolume", [], () => osa(`tell application "Music" to get sound volume`)), 10) || 0; }
+  catch (e) { return swallowed("getVolume", e, 0); }
+}
+async function setVolume(v) {
+  const vol = Math.max(0, Math.min(100, v|0));
+  await act("setVolume", [vol], () => osa(`tell application "Music" to set sound volume to ${vol}`));
+}
+async function seekRel(d) {
+  await act("seekRel", [d], async () => {
+    const pos = parseFloat(await safe(`tell application "Music" to get player position`, "0")) || 0;
+    await osa(`tell application "Music" to set player position to ${Math.max(0, Math.floor(pos + d))}`);
+  });
+}
+async function seekTo(t) {
+  const pos = Math.max(0, Math.round(Number(t) * 100) / 100 || 0);
+  await act("seekTo", [pos], () => osa(`tell application "Music" to set player position to ${pos}`));
+}
+async function toggleShuffle() {
+  await act("toggleShuffle", [], async () => {
+    const sh = await safe(`tell application "Music" to get shuffle enabled`, "false");
+    await osa(`tell application "Music" to set shuffle enabled to ${sh === "true" ? "false" : "true"}`);
+  });
+}
+async function cycleRepeat() {
+  await act("cycleRepeat", [], async () => {
+    const cur = await safe(`tell application "Music" to get song repeat`, "off");
+    const order = ["off", "one", "all"];
+    const next = order[(Math.max(0, order.indexOf(cur)) + 1) % order.length];
+    await osa(`tell application "Music" to set song repeat to ${next}`);
+  });
+}
+
+async function getPlaylists() {
+  // Return all playlist names (user + system)
+  const script = `
+  tell application "Music"
+    set rs to (ASCII character 30)
+    set outText to ""
+    try
+      set pls to every playlist
+      repeat with p in pls
+        try
+          set nm to (name of p) as text
+          if nm is not "" then set outText to outText & nm & rs
+        end try
+      end repeat
+    on error
+      -- w razie czego zwróć pusty ciąg
+    end try
+    return outText
+  end tell`;
+  const raw = await osaMulti(script);
+  if (!raw) return [];
+  // split + trim + deduplikacja + sort
+  const items = raw.split(String.fromCharCode(30)).map(s => s.trim()).filter(Boolean);
+  return Array.from(new Set(items)).sort((a, b) => a.localeCompare(b));
+}
+
+// "Library", "Mediathek", "Bibliothèque", … – fixed while Music.app runs
+let libraryName = "";
+async function getLibraryPlaylist() {
+  if (!libraryName) {
+    libraryName = await run("libraryName", [], () => osa(`tell application "Music" to get name of library playlist 1`));
+  }
+  return libraryName;
+}
+
+async function playPlaylistByName(name) {
+  await osascript(`
+  on run argv
+    tell application "Music"
+      set plName to item 2 of argv
+      try
+        play (first user playlist whose name is plName)
+      on error
+        play (first playlist whose name is plName)
+      end try
+    end tell
+  end run`, [1, name]);
+}
+
+// Utwory z playlisty + odtwarzanie od indeksu
+// One page = one property read per column over "tracks a thru b" (a handful
+// of Apple Events), not one round-trip per track.
+async function getTrackPage(name, offset, limit) {
+  const a = Math.max(0, offset | 0) + 1;
+  const b = a + Math.max(1, limit | 0) - 1;
+  const raw = await osascript(`
+  on run argv
+    tell application "Music"
+      set a to (item 1 of argv) as integer
+      set b to (item 2 of argv) as integer
+      set plName to item 3 of argv${findPlaylist("plName")}
+      if PL is missing value then return "0"
+      set cnt to (count of tracks of PL)
+      if b > cnt then set b to cnt
+      if a > b then return (cnt as text)
+      set us to (ASCII character 31)
+      set rs to (ASCII character 30)
+      set AppleScript's text item delimiters to us
+      set nms to (name of tracks a thru b of PL) as text
+      set ars to (artist of tracks a thru b of PL) as text
+      set als to (album of tracks a thru b of PL) as text
+      set pids to (persistent ID of tracks a thru b of PL) as text
+      set rts to (rating of tracks a thru b of PL) as text
+      set drs to (duration of tracks a thru b of PL) as text
+      set AppleScript's text item delimiters to ""
+      return (cnt as text) & rs & nms & rs & ars & rs & als & rs & pids & rs & rts & rs & drs
+    end tell
+  end run`, [a, b, name]);
+  const [cnt, ...columns] = raw.split(String.fromCharCode(30)); // RS
+  const total = parseInt(cnt, 10) || 0;
+  if (!columns.length) return { total, tracks: [] };
+  const [names, artists, albums, ids, ratings, durations = []] = columns.map(c => c.split(String.fromCharCode(31))); // US
+  return {
+    total,
+    tracks: names.map((nm, i) => ({
+      index: a + i,
+      id: ids[i] || undefined, // persistent ID, for playLibraryTrack/addToPlaylist
+      name: nm || "",
+      artist: artists[i] || "",
+      album: albums[i] || "",
+      rating: Math.round((parseInt(ratings[i], 10) || 0) / 20),
+      duration: parseFloat(String(durations[i] || "0").replace(",", ".")) || 0
+    }))
+  };
+}
+
+async function getTracksOfPlaylist(name) {
+  const tracks = [];
+  for (;;) {
+    const page = await getTrackPage(name, tracks.length, 2000);
+    tracks.push(...page.tracks);
+    if (!page.tracks.length || tracks.length >= page.total) return tracks;
+  }
+}
+
+// POSIX paths in playlist order; "" for tracks without a file (cloud, streams)
+async function getTrackLocations(name) {
+  const raw = await osascript(`
+  on run argv
+    tell application "Music"
+      set plName to item 2 of argv${findPlaylist("plName")}
+      if PL is missing value then return ""
+      set out to {}
+      repeat with t in tracks of PL
+        try
+          set end of out to POSIX path of (location of t)
+        on error
+          set end of out to ""
+        end try
+      end repeat
+      set AppleScript's text item delimiters to (ASCII character 30)
+      set outText to out as text
+      set AppleScript's text item delimiters to ""
+      return outText
+    end tell
+  end run`, [1, name]);
+  return raw ? raw.split(String.fromCharCode(30)) : [];
+}
+
+// "" when unknown, so nothing gets cached on it
+async function getPlaylistVersion(name) {
+  try {
+    const ids = await run("playlistVersion", [name], () => osascript(`
+    on run argv
+      tell application "Music"
+        set plName to item 2 of argv${findPlaylist("plName")}
+        if PL is missing value then return ""
+        set plDate to ""
+        try
+          set plDate to (modification date of PL) as text
+        end try
+        set AppleScript's text item delimiters to ","
+        set out to plDate & "|" & ((persistent ID of tracks of PL) as text) & "|" & ¬
+          ((modification date of tracks of PL) as text) & "|" & ((rating of tracks of PL) as text) & "|" & ¬
+          ((played count of tracks of PL) as text)
+        set AppleScript's text item delimiters to ""
+        return out
+      end tell
+    end run`, [1, name]));
+    return ids ? crypto.createHash("sha1").update(ids).digest("hex") : "";
+  } catch (e) {
+    return swallowed("playlistVersion", e, "");
+  }
+}
+
+async function playTrackInPlaylist(name, index) {
+  const i = Math.max(1, parseInt(index, 10) || 1);
+  await osascript(`
+  on run argv
+    tell application "Music"
+      set i to (item 1 of argv) as integer
+      set plName to item 2 of argv
+      try
+        play track i of (first user playlist whose name is plName)
+      on error
+        play track i of (first playlist whose name is plName)
+      end try
+    end tell
+  end run`, [i, name]);
+}
+
+// ---------- Playlist editing ----------
+// Only user playlists can be changed; "first user playlist whose name is" fails
+// (and the error propagates) for system playlists such as Library.
+async function createPlaylist(name) {
+  await osascript(`
+  on run argv
+    tell application "Music" to make new user playlist with properties {name:(item 2 of argv)}
+  end run`, [1, name]);
+}
+
+async function renamePlaylist(name, newName) {
+  await osascript(`
+  on run argv
+    tell application "Music" to set name of (first user playlist whose name is (item 2 of argv)) to (item 3 of argv)
+  end run`, [1, name, newName]);
+}
+
+async function deletePlaylist(name) {
+  await osascript(`
+  on run argv
+    tell application "Music" to delete (first user playlist whose name is (item 2 of argv))
+  end run`, [1, name]);
+}
+
+async function addCurrentToPlaylist(name) {
+  await osascript(`
+  on run argv
+    tell application "Music" to duplicate current track to (first user playlist whose name is (item 2 of argv))
+  end run`, [1, name]);
+}
+
+async function removeTrackFromPlaylist(name, index) {
+  const i = Math.max(1, parseInt(index, 10) || 1);
+  await osascript(`
+  on run argv
+    tell application "Music"
+      set i to (item 1 of argv) as integer
+      delete track i of (first user playlist whose name is (item 2 of argv))
+    end tell
+  end run`, [i, name]);
+}
+
+// Music.app can't move a track inside a playlist. Instead every track from the
+// first changed position on is re-appended in the new order (duplicate to the
+// end, then delete the originals), so the cost grows with the distance from the end.
+// Tracks are taken by position, as a playlist may hold the same track twice. If
+// copying fails the copies are removed again; the result is checked against the
+// expected order, so a half-done move is reported rather than left silently.
+async function moveTrackInPlaylist(name, from, to) {
+  const f = Math.max(1, parseInt(from, 10) || 1);
+  const t = Math.max(1, parseInt(to, 10) || 1);
+  if (f === t) return;
+  await osascript(`
+  on run argv
+    tell application "Music"
+      set PL to (first user playlist whose name is (item 2 of argv))
+      set cnt to (count of tracks of PL)
+      if ${f} > cnt or ${t} > cnt then error "Track index out of range"
+      set ids to (database ID of every track of PL)
+      -- newPos: the old position of the track that ends up at each position
+      set newPos to {}
+      repeat with i from 1 to cnt
+        if i is not ${f} then set end of newPos to i
+      end repeat
+      if ${t} > (count of newPos) then
+        set end of newPos to ${f}
+      else if ${t} is 1 then
+        set newPos to {${f}} & newPos
+      else
+        set newPos to (items 1 thru (${t} - 1) of newPos) & {${f}} & (items ${t} thru -1 of newPos)
+      end if
+      set expected to {}
+      repeat with i from 1 to cnt
+        set end of expected to item (item i of newPos) of ids
+      end repeat
+      set startAt to ${Math.min(f, t)}
+      try
+        repeat with i from startAt to cnt
+          duplicate track (item i of newPos) of PL to PL
+        end repeat
+      on error msg
+        repeat while (count of tracks of PL) > cnt
+          delete track (count of tracks of PL) of PL
+        end repeat
+        error "Could not reorder the playlist (nothing changed): " & msg
+      end try
+      try
+        repeat (cnt - startAt + 1) times
+          delete track startAt of PL
+        end repeat
+      on error msg
+        error "Reordering stopped halfway, check the playlist: " & msg
+      end try
+      if (database ID of every track of PL) is not expected then error "The playlist did not end up in the expected order, check it"
+    end tell
+  end run`, [1, name]);
+}
+
+// ---------- Ratings and track info ----------
+// Music.app stores ratings as 0–100; the UI works in stars (0–5, 0 = none).
+async function setRating(stars) {
+  const n = Math.max(0, Math.min(5, stars | 0));
+  await run("setRating", [n], () => osa(`tell application "Music" to set rating of current track to ${n * 20}`));
+}
+
+async function setLoved(on) {
+  const v = on ? "true" : "false";
+  await run("setLoved", [!!on], () => osaMulti(`
+  tell application "Music"
+    try
+      set favorited of current track to ${v}
+    on error
+      set loved of current track to ${v}
+    end try
+  end tell`));
+}
+
+async function setDisliked(on) {
+  await run("setDisliked", [!!on], () => osa(`tell application "Music" to set disliked of current track to ${on ? "true" : "false"}`));
+}
+
+// argv: index, playlist name
+const TRACK_OF_ARGV = `
+    set i to (item 1 of argv) as integer
+    set plName to item 2 of argv${findPlaylist("plName")}
+    if PL is missing value then error "No playlist " & plName
+    if i > (count of tracks of PL) then error "Track index out of range"
+    set t to track i of PL`;
+
+async function getTrackInfo(name, index) {
+  const i = Math.max(1, parseInt(index, 10) || 1);
+  return run("trackInfo", [name, i], async () => {
+    const raw = await osascript(`
+    on run argv
+      tell application "Music"${TRACK_OF_ARGV}
+        set us to (ASCII character 31)
+        return (genre of t) & us & ((year of t) as text) & us & (comment of t) & us & ((played count of t) as text)
+      end tell
+    end run`, [i, name]);
+    const [genre, year, comment, playedCount] = raw.split(String.fromCharCode(31));
+    return { genre: genre || "", year: parseInt(year, 10) || 0, comment: comment || "", playedCount: parseInt(playedCount, 10) || 0 };
+  });
+}
+
+// fields: any of { genre, year, comment, playedCount }; year 0 clears it
+async function setTrackInfo(name, index, fields) {
+  const i = Math.max(1, parseInt(index, 10) || 1);
+  const f = {};
+  if (fields.genre !== undefined) f.genre = String(fields.genre);
+  if (fields.comment !== undefined) f.comment = String(fields.comment);
+  for (const key of ["year", "playedCount"]) {
+    if (fields[key] === undefined) continue;
+    const n = Number(fields[key]);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${key} must be a whole number`);
+    f[key] = n;
+  }
+  await run("setTrackInfo", [name, i, f], () => osascript(`
+    on run argv
+      tell application "Music"${TRACK_OF_ARGV}
+        repeat with k from 3 to (count of argv) by 2
+          set f to item k of argv
+          set v to item (k + 1) of argv
+          if f is "genre" then
+            set genre of t to v
+          else if f is "year" then
+            set year of t to (v as integer)
+          else if f is "comment" then
+            set comment of t to v
+          else if f is "playedCount" then
+            set played count of t to (v as integer)
+          end if
+        end repeat
+      end tell
+    end run`, [i, name].concat(...Object.entries(f))));
+}
+
+// ---------- Library ----------
+// Music's own "search" (substring over name/artist/album/…), capped at `limit` tracks
+async function searchLibrary(text, limit = 500) {
+  const raw = await osascript(`
+  on run argv
+    tell application "Music"
+      set lim to (item 1 of argv) as integer
+      set us to (ASCII character 31)
+      set rs to (ASCII character 30)
+      set outText to ""
+      try
+        set res to (search library playlist 1 for (item 2 of argv))
+      on error
+        return ""
+      end try
+      set cnt to (count of res)
+      if cnt > lim then set cnt to lim
+      repeat with i from 1 to cnt
+        set t to item i of res
+        try
+          set outText to outText & (persistent ID of t) & us & (name of t) & us & (artist of t) & us & (album of t) & us & (duration of t as text) & rs
+        end try
+      end repeat
+      return outText
+    end tell
+  end run`, [limit | 0, text]);
+  if (!raw) return [];
+  return raw
+    .split(String.fromCharCode(30))
+    .filter(Boolean)
+    .map(row => {
+      const parts = row.split(String.fromCharCode(31));
+      return {
+        id: parts[0],
+        name: parts[1] || "",
+        artist: parts[2] || "",
+        album: parts[3] || "",
+        duration: parseFloat(String(parts[4] || "0").replace(",", ".")) || 0
+      };
+    });
+}
+
+async function playLibraryTrack(track) {
+  await osascript(`
+  on run argv
+    tell application "Music" to play (first track of library playlist 1 whose persistent ID is (item 2 of argv))
+  end run`, [1, track.id]);
+}
+
+async function addToPlaylist(track, playlistName) {
+  await osascript(`
+  on run argv
+    tell application "Music"
+      set src to (first track of library playlist 1 whose persistent ID is (item 2 of argv))
+      duplicate src to (first user playlist whose name is (item 3 of argv))
+    end tell
+  end run`, [1, track.id, playlistName]);
+}
+
+// ---------- Up Next ----------
+// Music.app does not expose Up Next; this is the rest of the current playlist
+// in order (empty while shuffle is on, since that order is not scriptable).
+async function getUpNext(limit = 50) {
+  const n = Math.max(1, limit | 0);
+  try {
+    return await run("upNext", [n], async () => {
+      const raw = await osaMulti(`
+      tell application "Music"
+        if shuffle enabled or player state is stopped then return ""
+        set us to (ASCII character 31)
+        set rs to (ASCII character 30)
+        set outText to ""
+        set pl to current playlist
+        set i to index of current track
+        set cnt to (count of tracks of pl)
+        if cnt > i + ${n} then set cnt to i + ${n}
+        repeat with k from i + 1 to cnt
+          set t to track k of pl
+          set outText to outText & (name of t) & us & (artist of t) & us & (album of t) & rs
+        end repeat
+        return outText
+      end tell`);
+      if (!raw) return [];
+      return raw.split(String.fromCharCode(30)).filter(Boolean).map(row => {
+        const [name, artist, album] = row.split(String.fromCharCode(31));
+        return { name: name || "", artist: artist || "", album: album || "" };
+      });
+    });
+  } catch (e) {
+    return swallowed("upNext", e, []);
+  }
+}
+
+// ---------- Lyrics ----------
+async function getLyrics() {
+  try {
+    return await run("lyrics", [], () => osaMulti(`
+    tell application "Music"
+      if player state is stopped then return ""
+      try
+        return lyrics of current track
+      on error
+        return ""
+      end try
+    end tell`));
+  } catch (e) {
+    return swallowed("lyrics", e, "");
+  }
+}
+
+// ---------- Artwork ----------
+// raw data of the first artwork (PNG or JPEG as stored), via a temp file:
+// osascript can't print binary data. A directory of its own per call, since
+// calls can overlap. Errors propagate so lib/artwork.js doesn't cache them.
+async function getArtwork() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "music-tui-artwork-"));
+  const file = path.join(dir, "artwork");
+  try {
+    const res = await osascript(`
+    on run argv
+      tell application "Music"
+        if player state is stopped then return "none"
+        if (count of artworks of current track) is 0 then return "none"
+        set d to raw data of artwork 1 of current track
+      end tell
+      set fh to open for access (POSIX file (item 1 of argv)) with write permission
+      try
+        set eof fh to 0
+        write d to fh
+      on error msg number n
+        close access fh
+        error msg number n
+      end try
+      close access fh
+      return "ok"
+    end run`, [file]);
+    return res === "ok" ? await fs.promises.readFile(file) : null;
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// ---------- Player state ----------
+// Fallback for when the worker is unavailable: still a single osascript round-trip.
+async function stateViaOsascript() {
+  const raw = await osaMulti(`
+  tell application "Music"
+    set us to (ASCII character 31)
+    set st to (player state as text)
+    set nm to ""
+    set ar to ""
+    set al to ""
+    set du to "0"
+    set ps to "0"
+    set nn to ""
+    set na to ""
+    set rt to "0"
+    set lv to "false"
+    set dl to "false"
+    if st is "playing" or st is "paused" then
+      try
+        set t to current track
+        set nm to (name of t) as text
+        set ar to (artist of t) as text
+        set al to (album of t) as text
+        set du to (duration of t) as text
+        set ps to (player position) as text
+        try
+          set rt to (rating of t) as text
+          set dl to (disliked of t) as text
+        end try
+        try
+          set lv to (favorited of t) as text
+        on error
+          try
+            set lv to (loved of t) as text
+          end try
+        end try
+        if not shuffle enabled then
+          set nt to track ((index of t) + 1) of current playlist
+          set nn to (name of nt) as text
+          set na to (artist of nt) as text
+        end if
+      end try
+    end if
+    set sh to (shuffle enabled) as text
+    set rp to (song repeat) as text
+    set vo to (sound volume) as text
+    return st & us & nm & us & ar & us & al & us & du & us & ps & us & sh & us & rp & us & vo & us & nn & us & na & us & rt & us & lv & us & dl
+  end tell`);
+  const [state, name, artist, album, du, ps, sh, rp, vo, nextName, nextArtist, rt, lv, dl] = raw.split(String.fromCharCode(31));
+  const num = (x) => parseFloat(String(x || "0").replace(",", ".")) || 0; // locale decimal comma
+  return {
+    running: true, state, name, artist, album,
+    duration: num(du), position: num(ps),
+    shuffle: sh === "true", repeat: rp, volume: parseInt(vo, 10) || 0,
+    nextName, nextArtist,
+    rating: Math.round((parseInt(rt, 10) || 0) / 20), loved: lv === "true", disliked: dl === "true"
+  };
+}
+
+async function getState() {
+  const s = await run("state", [], stateViaOsascript);
+  if (!s.running) launched = false;
+  const state = s.running ? s.state : "stopped";
+  const active = state === "playing" || state === "paused";
+  return {
+    name: active ? s.name || "" : "",
+    artist: active ? s.artist || "" : "",
+    album: active ? s.album || "" : "",
+    duration: active ? Number(s.duration) || 0 : 0,
+    position: active ? Number(s.position) || 0 : 0,
+    state,
+    shuffle: !!s.shuffle,
+    repeat: s.repeat === "off" ? "none" : (s.repeat || "none"),
+    volume: Number(s.volume) || 0,
+    nextName: s.nextName || "",
+    nextArtist: s.nextArtist || "",
+    rating: active ? Number(s.rating) || 0 : 0,
+    loved: active && !!s.loved,
+    disliked: active && !!s.disliked
+  };
+}
+
+function createAppleScriptBackend() {
+  return {
+    name: "applescript",
+    label: "Music.app",
+    ensureReady,
+    play, pause, nextTrack, prevTrack,
+    getPlayerState, getVolume, setVolume, seekRel, seekTo,
+    toggleShuffle, cycleRepeat,
+    getPlaylists, getLibraryPlaylist, playPlaylistByName, getTracksOfPlaylist, getTrackLocations, playTrackInPlaylist,
+    getTrackPage, getPlaylistVersion,
+    searchLibrary, playLibraryTrack, addToPlaylist,
+    getUpNext, getLyrics, getArtwork,
+    createPlaylist, renamePlaylist, deletePlaylist, addCurrentToPlaylist,
+    removeTrackFromPlaylist, moveTrackInPlaylist,
+    setRating, setLoved, setDisliked, getTrackInfo, setTrackInfo,
+    getState,
+    async close() { stopWorker("closed"); }
+  };
+}
+
+module.exports = { createAppleScriptBackend, osa, osaMulti, osascript, safe };
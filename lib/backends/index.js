@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * Player backends. Every backend is a plain object with the same async API,
+ * so the UI never talks to osascript (or anything else) directly. The one
+ * exception is currentPlayer(), which returns its value synchronously:
+ *
+ *   ensureReady()                      make sure the player is reachable
+ *   getState()                         { name, artist, album, duration, position,
+ *                                        state, shuffle, repeat, volume,
+ *                                        nextName, nextArtist }
+ *   getPlayerState()                   "playing" | "paused" | "stopped"
+ *   play() pause() nextTrack() prevTrack()
+ *   getVolume() setVolume(v)           0–100
+ *   seekRel(seconds) seekTo(seconds)   relative / absolute (fractions allowed for seekTo)
+ *   toggleShuffle() cycleRepeat()      repeat cycles none → one → all
+ *   getPlaylists()                     [name]
+ *   playPlaylistByName(name)
+ *   getTracksOfPlaylist(name)          [{ index (1-based), id?, name, artist, album, duration? }]
+ *                                      id: same as searchLibrary's, where known
+ *   playTrackInPlaylist(name, index)
+ *   close()
+ *
+ * Optional capabilities (the UI hides what a backend does not provide):
+ *   listPlayers() currentPlayer() selectPlayer(name)
+ *                                      backends that can drive several players;
+ *                                      currentPlayer() is synchronous
+ *   getLibraryPlaylist()               name of the playlist holding the whole library, as
+ *                                      getPlaylists() lists it (Music.app localizes it)
+ *   searchLibrary(text, limit)         [{ id, name, artist, album, duration }]
+ *                                      coarse substring search, see lib/search.js
+ *   playLibraryTrack(track)            play a track returned by searchLibrary
+ *   playNext(track) playLater(track)   insert after the current track / at the end
+ *   getUpNext(limit)                   [{ name, artist, album }] what the player plays next
+ *   removeUpNext(i) moveUpNext(from, to) playUpNext(i)
+ *                                      edit the player's own queue (i indexes getUpNext);
+ *                                      without these the TUI keeps its own queue
+ *   addToPlaylist(track, playlistName)
+ *   createPlaylist(name) renamePlaylist(name, newName) deletePlaylist(name)
+ *   addCurrentToPlaylist(name)
+ *   removeTrackFromPlaylist(name, index) moveTrackInPlaylist(name, from, to)
+ *                                      playlist editing (1-based indexes); these
+ *                                      reject on failure so the UI can say why
+ *   getTrackPage(name, offset, limit)  { total, tracks } – a window of getTracksOfPlaylist(name)
+ *                                      (offset 0-based, indexes stay playlist-wide)
+ *   getTrackLocations(name)            [path] the playlist's files in order ("" where a track has
+ *                                      none); asked for separately since it can be slow
+ *   getPlaylistVersion(name)           changes whenever the playlist does (its modification
+ *                                      date where the player has one); "" = unknown
+ *   getLyrics()                        lyrics stored with the current track ("" if none),
+ *                                      plain text or LRC, see lib/lyrics.js
+ *   setRating(stars) setLoved(bool) setDisliked(bool)
+ *                                      rate the current track (0–5 stars, 0 = none); such
+ *                                      backends add rating, loved, disliked to getState()
+ *                                      and rating to getTracksOfPlaylist() rows
+ *   getArtwork()                       image file (PNG or JPEG Buffer) of the current track's
+ *                                      artwork, null if it has none; see lib/artwork.js
+ *   getTrackInfo(name, index)          { genre, year, comment, playedCount } of a playlist track
+ *   setTrackInfo(name, index, fields)  change any of those (year 0 = none)
+ */
+
+const { createAppleScriptBackend } = require("./applescript");
+const { createSimulatorBackend } = require("./simulator");
+const { createMpdBackend } = require("./mpd");
+const { createMprisBackend } = require("./mpris");
+
+const BACKENDS = {
+  applescript: createAppleScriptBackend,
+  simulator: createSimulatorBackend,
+  mpd: createMpdBackend,
+  mpris: createMprisBackend
+};
+
+function defaultBackendName() {
+  return process.platform === "darwin" ? "applescript" : "simulator";
+}
+
+function createBackend(name = defaultBackendName(), opts = {}) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown backend "${name}" (available: ${Object.keys(BACKENDS).join(", ")})`);
+  }
+  return factory(opts);
+}
+
+// precedence: CLI option > environment > config file section
+function backendOptions(name, config = {}, opts = {}, env = process.env) {
+  const out = Object.assign({}, config[name]);
+  if (name === "mpd") {
+    // MPD_HOST may be "password@host", same as mpc
+    const envHost = env.MPD_HOST || "";
+    const at = envHost.lastIndexOf("@");
+    if (at > 0) { out.password = envHost.slice(0, at); out.host = envHost.slice(at + 1); }
+    else if (envHost) out.host = envHost;
+    if (env.MPD_PORT) out.port = env.MPD_PORT;
+    if (opts["mpd-host"]) out.host = opts["mpd-host"];
+    if (opts["mpd-port"]) out.port = opts["mpd-port"];
+  }
+  if (name === "mpris") {
+    if (opts.player) out.player = opts.player;
+    if (opts["dbus-address"]) out.busAddress = opts["dbus-address"];
+  }
+  return out;
+}
+
+module.exports = { createBackend, defaultBackendName, backendOptions, BACKENDS };
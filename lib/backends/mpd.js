@@ -0,0 +1,391 @@
+"use strict";
+
+/**
+ * MPD backend – speaks the Music Player Daemon text protocol over TCP or a
+ * unix socket. One connection is kept open; when the daemon goes away the
+ * connection is dropped and re-established on the next command.
+ */
+
+const net = require("net");
+const { logError } = require("../diagnostics");
+
+const CONNECT_TIMEOUT_MS = 5000;
+const COMMAND_TIMEOUT_MS = 10000; // a daemon that stops answering gets disconnected
+
+// "ACK [50@0] {load} No such playlist" -> Error with .code / .command
+function ackError(line) {
+  const m = /^ACK \[(\d+)@(\d+)\] \{([^}]*)\} (.*)$/.exec(line);
+  const err = new Error(m ? m[4] : line);
+  if (m) { err.code = parseInt(m[1], 10); err.command = m[3]; }
+  return err;
+}
+
+// a line break would end the command and start another one, so arguments
+// with one are refused rather than sent
+function quoteArg(arg) {
+  const s = String(arg);
+  if (/[\r\n]/.test(s)) throw new Error("MPD arguments can't contain line breaks");
+  if (/^[\w.+-]+$/.test(s)) return s;
+  return `"${s.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// "key: value" lines -> [[key, value]]
+function parsePairs(lines) {
+  return lines.map(l => {
+    const i = l.indexOf(": ");
+    return i === -1 ? [l, ""] : [l.slice(0, i), l.slice(i + 2)];
+  });
+}
+
+function toObject(lines) {
+  const o = {};
+  for (const [k, v] of parsePairs(lines)) o[k] = v;
+  return o;
+}
+
+// split a song list into one object per song; every song starts with "file"
+function toSongs(lines) {
+  const songs = [];
+  for (const [k, v] of parsePairs(lines)) {
+    if (k === "file") songs.push({ file: v });
+    else if (songs.length) songs[songs.length - 1][k] = v;
+  }
+  return songs;
+}
+
+function songTitle(song) {
+  if (!song) return "";
+  if (song.Title) return song.Title;
+  if (song.Name) return song.Name;
+  return (song.file || "").split("/").pop();
+}
+
+function createConnection({ host, port, password }) {
+  let socket = null;
+  let connecting = null;
+  let buffer = "";
+  let pending = [];   // [{ resolve, reject, lines, timer }] in send order
+
+  function fail(err) {
+    const waiting = pending;
+    pending = [];
+    buffer = "";
+    if (socket) { socket.removeAllListeners(); socket.destroy(); socket = null; }
+    waiting.forEach(p => { clearTimeout(p.timer); p.reject(err); });
+  }
+
+  function onData(chunk) {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 1);
+      const cur = pending[0];
+      if (!cur) continue;
+      if (line === "OK") { pending.shift(); clearTimeout(cur.timer); cur.resolve(cur.lines); }
+      else if (line.startsWith("ACK ")) { pending.shift(); clearTimeout(cur.timer); cur.reject(ackError(line)); }
+      else cur.lines.push(line);
+    }
+  }
+
+  function open() {
+    return new Promise((resolve, reject) => {
+      const s = host && host.startsWith("/")
+        ? net.createConnection({ path: host })
+        : net.createConnection({ host: host || "localhost", port: port || 6600 });
+      s.setEncoding("utf8");
+      s.setTimeout(CONNECT_TIMEOUT_MS);
+      let greeted = false;
+      let head = "";
+      s.on("timeout", () => {
+        const err = new Error("MPD connection timed out");
+        if (!greeted) { s.destroy(); reject(err); } else fail(err);
+      });
+      s.on("error", err => { if (!greeted) reject(err); else fail(err); });
+      s.on("close", () => {
+        if (!greeted) reject(new Error("MPD closed the connection"));
+        else if (socket === s) fail(new Error("MPD connection closed"));
+      });
+      s.on("data", chunk => {
+        if (greeted) return onData(chunk);
+        head += chunk;
+        const nl = head.indexOf("\n");
+        if (nl === -1) return;
+        const greeting = head.slice(0, nl);
+        if (!greeting.startsWith("OK MPD ")) {
+          s.destroy();
+          return reject(new Error(`Not an MPD server: ${greeting}`));
+        }
+        greeted = true;
+        s.setTimeout(0);
+        socket = s;
+        const rest = head.slice(nl + 1);
+        if (rest) onData(rest);
+        resolve();
+      });
+    });
+  }
+
+  // the socket is set before the password is sent, so callers wait for
+  // `connecting` until it has been accepted; a rejected password closes it
+  async function connect() {
+    if (socket && !connecting) return;
+    if (!connecting) {
+      connecting = (async () => {
+        await open();
+        if (!password) return;
+        try {
+          await send(`password ${quoteArg(password)}`);
+        } catch (e) {
+          fail(e);
+          throw e;
+        }
+      })().finally(() => { connecting = null; });
+    }
+    await connecting;
+  }
+
+  function send(line) {
+    return new Promise((resolve, reject) => {
+      if (!socket) return reject(new Error("MPD not connected"));
+      const timer = setTimeout(() => {
+        fail(new Error(`MPD timed out on "${line.split(" ")[0]}"`));
+      }, COMMAND_TIMEOUT_MS);
+      pending.push({ resolve, reject, lines: [], timer });
+      socket.write(line + "\n");
+    });
+  }
+
+  // command("seekcur", 12) -> response lines
+  async function command(name, ...args) {
+    const line = [name, ...args.map(quoteArg)].join(" ");
+    await connect();
+    return send(line);
+  }
+
+  function close() {
+    if (!socket) return;
+    socket.end("close\n");
+    socket.removeAllListeners();
+    // ECONNRESET / EPIPE while "close" is flushed: nothing left to tell
+    socket.on("error", () => {});
+    socket = null;
+  }
+
+  return { connect, command, close };
+}
+
+function createMpdBackend(opts = {}) {
+  const conn = createConnection({
+    host: opts.host || "localhost",
+    port: parseInt(opts.port, 10) || 6600,
+    password: opts.password || ""
+  });
+
+  async function status() { return toObject(await conn.command("status")); }
+  // failures go into the event log (lib/diagnostics.js) like the AppleScript
+  // backend's: a read carries on with a default, a command the user gave
+  // resolves but its error shows with a remedy and fails the CLI
+  async function read(label, fn, def) {
+    try { return await fn(); } catch (e) { logError(label, e, { background: true }); return def; }
+  }
+  async function act(label, fn) {
+    try { await fn(); } catch (e) { logError(label, e); }
+  }
+
+  function repeatMode(st) {
+    if (st.repeat !== "1") return "none";
+    return st.single === "1" ? "one" : "all";
+  }
+
+  // queue position of the first "up next" entry
+  async function upNextBase() {
+    const st = await status();
+    return st.song !== undefined ? parseInt(st.song, 10) + 1 : 0;
+  }
+
+  async function loadAndPlay(name, pos) {
+    await conn.command("clear");
+    await conn.command("load", name);
+    await conn.command("play", pos);
+  }
+
+  return {
+    name: "mpd",
+    label: "MPD",
+    async ensureReady() { await conn.connect(); },
+
+    async play() {
+      await act("play", async () => {
+        const st = await status();
+        if (st.state === "pause") await conn.command("pause", 0);
+        else await conn.command("play");
+      });
+    },
+    async pause()     { await act("pause", () => conn.command("pause", 1)); },
+    async nextTrack() { await act("next", () => conn.command("next")); },
+    async prevTrack() { await act("previous", () => conn.command("previous")); },
+    async getPlayerState() {
+      const st = await read("status", status, {});
+      return st.state === "play" ? "playing" : st.state === "pause" ? "paused" : "stopped";
+    },
+    async getVolume() { return Math.max(0, parseInt((await read("status", status, {})).volume, 10) || 0); },
+    async setVolume(v) { await act("setvol", () => conn.command("setvol", Math.max(0, Math.min(100, v | 0)))); },
+    async seekRel(d) {
+      await act("seekcur", async () => {
+        const st = await status();
+        if (st.state === "stop") return;
+        const pos = parseFloat(st.elapsed) || 0;
+        await conn.command("seekcur", Math.max(0, Math.floor(pos + d)));
+      });
+    },
+    async seekTo(t) {
+      await act("seekcur", async () => {
+        if ((await status()).state === "stop") return;
+        await conn.command("seekcur", Math.max(0, Number(t) || 0).toFixed(2));
+      });
+    },
+    async toggleShuffle() {
+      await act("random", async () => {
+        const st = await status();
+        await conn.command("random", st.random === "1" ? 0 : 1);
+      });
+    },
+    async cycleRepeat() {
+      await act("repeat", async () => {
+        const cur = repeatMode(await status());
+        // none -> one -> all, mapped onto MPD's repeat + single flags
+        if (cur === "none") { await conn.command("repeat", 1); await conn.command("single", 1); }
+        else if (cur === "one") { await conn.command("single", 0); }
+        else { await conn.command("repeat", 0); await conn.command("single", 0); }
+      });
+    },
+
+    async getPlaylists() {
+      const lines = await read("listplaylists", () => conn.command("listplaylists"), []);
+      const names = parsePairs(lines).filter(([k]) => k === "playlist").map(([, v]) => v);
+      return Array.from(new Set(names)).sort((a, b) => a.localeCompare(b));
+    },
+    async playPlaylistByName(name) { await act("load", () => loadAndPlay(name, 0)); },
+    async getTracksOfPlaylist(name) {
+      const songs = toSongs(await read("listplaylistinfo", () => conn.command("listplaylistinfo", name), []));
+      return songs.map((s, i) => ({
+        index: i + 1,
+        id: s.file,
+        name: songTitle(s),
+        artist: s.Artist || "",
+        album: s.Album || "",
+        duration: parseFloat(s.duration || s.Time) || 0
+      }));
+    },
+    // paths relative to MPD's music directory
+    async getTrackLocations(name) {
+      return toSongs(await read("listplaylistinfo", () => conn.command("listplaylistinfo", name), [])).map(s => s.file);
+    },
+    async playTrackInPlaylist(name, index) {
+      const i = Math.max(1, parseInt(index, 10) || 1);
+      await act("load", () => loadAndPlay(name, i - 1));
+    },
+    // stored playlists carry their modification time ("" for unknown names)
+    async getPlaylistVersion(name) {
+      const pairs = parsePairs(await read("listplaylists", () => conn.command("listplaylists"), []));
+      const i = pairs.findIndex(([k, v]) => k === "playlist" && v === name);
+      const next = i === -1 ? null : pairs[i + 1];
+      return next && next[0] === "Last-Modified" ? next[1] : "";
+    },
+
+    async searchLibrary(text, limit = 500) {
+      const songs = toSongs(await read("search", () => conn.command("search", "any", text, "window", `0:${limit | 0}`), []));
+      return songs.map(s => ({
+        id: s.file,
+        name: songTitle(s),
+        artist: s.Artist || "",
+        album: s.Album || "",
+        duration: parseFloat(s.duration || s.Time) || 0
+      }));
+    },
+    async playLibraryTrack(track) {
+      await act("playid", async () => {
+        const { Id } = toObject(await conn.command("addid", track.id));
+        await conn.command("playid", Id);
+      });
+    },
+    async playNext(track) {
+      await act("addid", async () => {
+        // "+0" = right after the current song (MPD 0.23+); append when nothing is playing
+        try { await conn.command("addid", track.id, "+0"); }
+        catch { await conn.command("addid", track.id); }
+      });
+    },
+    async playLater(track) {
+      await act("addid", () => conn.command("addid", track.id));
+    },
+
+    // Up Next = queue entries after the current song (MPD picks randomly in random mode)
+    async getUpNext(limit = 50) {
+      const from = await read("status", upNextBase, 0);
+      const songs = toSongs(await read("playlistinfo", () => conn.command("playlistinfo", `${from}:${from + limit}`), []));
+      return songs.map(s => ({ id: s.file, name: songTitle(s), artist: s.Artist || "", album: s.Album || "" }));
+    },
+    async removeUpNext(i) {
+      await act("delete", async () => conn.command("delete", (await upNextBase()) + i));
+    },
+    async moveUpNext(from, to) {
+      await act("move", async () => {
+        const base = await upNextBase();
+        await conn.command("move", base + from, base + to);
+      });
+    },
+    async playUpNext(i) {
+      await act("play", async () => conn.command("play", (await upNextBase()) + i));
+    },
+
+    // playlist editing: errors propagate so the UI can report them
+    async addToPlaylist(track, playlistName) {
+      await conn.command("playlistadd", playlistName, track.id);
+    },
+    async createPlaylist(name) {
+      const exists = parsePairs(await conn.command("listplaylists")).some(([k, v]) => k === "playlist" && v === name);
+      if (exists) throw new Error(`Playlist "${name}" already exists`);
+      await conn.command("playlistclear", name); // creates an empty stored playlist
+    },
+    async renamePlaylist(name, newName) { await conn.command("rename", name, newName); },
+    async deletePlaylist(name) { await conn.command("rm", name); },
+    async addCurrentToPlaylist(name) {
+      const cur = toObject(await conn.command("currentsong"));
+      if (!cur.file) throw new Error("Nothing playing");
+      await conn.command("playlistadd", name, cur.file);
+    },
+    async removeTrackFromPlaylist(name, index) {
+      await conn.command("playlistdelete", name, Math.max(1, parseInt(index, 10) || 1) - 1);
+    },
+    async moveTrackInPlaylist(name, from, to) {
+      await conn.command("playlistmove", name, (parseInt(from, 10) || 1) - 1, (parseInt(to, 10) || 1) - 1);
+    },
+
+    async getState() {
+      const st = await status();
+      const state = st.state === "play" ? "playing" : st.state === "pause" ? "paused" : "stopped";
+      let cur = null, next = null;
+      if (state !== "stopped") cur = toObject(await conn.command("currentsong"));
+      if (st.nextsong !== undefined) next = toSongs(await conn.command("playlistinfo", st.nextsong))[0] || null;
+      return {
+        name: songTitle(cur),
+        artist: (cur && cur.Artist) || "",
+        album: (cur && cur.Album) || "",
+        duration: parseFloat(st.duration || (cur && cur.duration)) || 0,
+        position: parseFloat(st.elapsed) || 0,
+        state,
+        shuffle: st.random === "1",
+        repeat: repeatMode(st),
+        volume: Math.max(0, parseInt(st.volume, 10) || 0),
+        nextName: songTitle(next),
+        nextArtist: (next && next.Artist) || ""
+      };
+    },
+
+    async close() { conn.close(); }
+  };
+}
+
+module.exports = { createMpdBackend, createConnection, quoteArg };
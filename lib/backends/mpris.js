@@ -0,0 +1,319 @@
+"use strict";
+
+/**
+ * MPRIS backend – controls any MPRIS2 player (Spotify, VLC, Rhythmbox, mpv…)
+ * over the session D-Bus. Requires the optional `dbus-next` package.
+ *
+ * Playlists: players implementing org.mpris.MediaPlayer2.TrackList get a
+ * "Now Playing" entry listing the current track list; players implementing
+ * org.mpris.MediaPlayer2.Playlists list their playlists too. MPRIS cannot
+ * enumerate the contents of those, so each shows a single row that starts
+ * the whole playlist.
+ *
+ * opts.bus replaces the session bus with a connected dbus-next bus, e.g. one
+ * on a private dbus-daemon (see test/mpris.test.js).
+ */
+
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const { logError } = require("../diagnostics");
+
+const MPRIS_PREFIX = "org.mpris.MediaPlayer2.";
+const MPRIS_PATH = "/org/mpris/MediaPlayer2";
+const ROOT_IFACE = "org.mpris.MediaPlayer2";
+const PLAYER_IFACE = "org.mpris.MediaPlayer2.Player";
+const TRACKLIST_IFACE = "org.mpris.MediaPlayer2.TrackList";
+const PLAYLISTS_IFACE = "org.mpris.MediaPlayer2.Playlists";
+const PROPS_IFACE = "org.freedesktop.DBus.Properties";
+const NOW_PLAYING = "Now Playing";
+const NO_TRACK = "/org/mpris/MediaPlayer2/TrackList/NoTrack";
+
+const LOOP_TO_REPEAT = { None: "none", Track: "one", Playlist: "all" };
+const REPEAT_TO_LOOP = { none: "None", one: "Track", all: "Playlist" };
+
+// unwrap a{sv} / Variant trees into plain values
+function unwrap(v) {
+  if (v && typeof v === "object" && "signature" in v && "value" in v) return unwrap(v.value);
+  if (Array.isArray(v)) return v.map(unwrap);
+  if (v && typeof v === "object" && !Buffer.isBuffer(v)) {
+    const o = {};
+    for (const k of Object.keys(v)) o[k] = unwrap(v[k]);
+    return o;
+  }
+  return v;
+}
+
+function metaTrack(meta = {}) {
+  const artist = meta["xesam:artist"];
+  let name = meta["xesam:title"] || "";
+  if (!name && meta["xesam:url"]) {
+    const file = String(meta["xesam:url"]).split("/").pop();
+    try { name = decodeURIComponent(file); } catch { name = file; } // "100%.mp3" is no escape
+  }
+  return {
+    id: meta["mpris:trackid"] || "",
+    name,
+    artist: Array.isArray(artist) ? artist.join(", ") : (artist || ""),
+    album: meta["xesam:album"] || "",
+    duration: Number(meta["mpris:length"] || 0) / 1e6
+  };
+}
+
+// "spotify" matches org.mpris.MediaPlayer2.spotify and org.mpris.MediaPlayer2.spotify.instance42
+function matchesPlayer(busName, wanted) {
+  const short = busName.slice(MPRIS_PREFIX.length);
+  return short === wanted || short.startsWith(wanted + ".") || busName === wanted;
+}
+
+function createMprisBackend(opts = {}) {
+  let dbus;
+  try {
+    dbus = require("dbus-next");
+  } catch {
+    throw new Error("The mpris backend needs the dbus-next package (npm i dbus-next).");
+  }
+  const { Message, Variant } = dbus;
+
+  let bus = null;
+  let wanted = opts.player || "";
+  let target = null;        // chosen bus name, e.g. org.mpris.MediaPlayer2.vlc
+  let caps = null;          // { trackList, playlists } for `target`
+
+  function getBus() {
+    if (!bus) {
+      bus = opts.bus || dbus.sessionBus(opts.busAddress ? { busAddress: opts.busAddress } : undefined);
+      bus.on("error", () => { bus = null; target = null; caps = null; });
+    }
+    return bus;
+  }
+
+  async function call(destination, path, iface, member, signature = "", body = []) {
+    const reply = await getBus().call(new Message({ destination, path, interface: iface, member, signature, body }));
+    return reply.body;
+  }
+  function mpris(iface, member, signature, body) {
+    if (!target) throw new Error("No MPRIS player running");
+    return call(target, MPRIS_PATH, iface, member, signature, body);
+  }
+  async function getAll(iface) {
+    const [props] = await mpris(PROPS_IFACE, "GetAll", "s", [iface]);
+    return unwrap(props);
+  }
+  async function setProp(iface, name, sig, value) {
+    await mpris(PROPS_IFACE, "Set", "ssv", [iface, name, new Variant(sig, value)]);
+  }
+  // probes of optional interfaces and players: failing just means "not there"
+  async function safe(fn, def) { try { return await fn(); } catch { return def; } }
+  // reads and commands go into the event log (lib/diagnostics.js), like mpd.js
+  async function read(label, fn, def) {
+    try { return await fn(); } catch (e) { logError(label, e, { background: true }); return def; }
+  }
+  async function act(label, fn) {
+    try { await fn(); } catch (e) { logError(label, e); }
+  }
+
+  async function listPlayers() {
+    const [names] = await call("org.freedesktop.DBus", "/org/freedesktop/DBus", "org.freedesktop.DBus", "ListNames");
+    return names.filter(n => n.startsWith(MPRIS_PREFIX)).sort();
+  }
+
+  async function pickPlayer() {
+    const players = await listPlayers();
+    if (target && players.includes(target)) return;
+    target = null; caps = null;
+    const candidates = wanted ? players.filter(n => matchesPlayer(n, wanted)) : players;
+    if (!candidates.length) {
+      throw new Error(wanted ? `MPRIS player "${wanted}" not running` : "No MPRIS player running");
+    }
+    // prefer a player that is currently playing
+    for (const name of candidates) {
+      const status = await safe(async () => {
+        const [v] = await call(name, MPRIS_PATH, PROPS_IFACE, "Get", "ss", [PLAYER_IFACE, "PlaybackStatus"]);
+        return unwrap(v);
+      }, "");
+      if (status === "Playing") { target = name; break; }
+    }
+    if (!target) target = candidates[0];
+    const root = await safe(() => getAll(ROOT_IFACE), {});
+    caps = { trackList: !!root.HasTrackList, playlists: false };
+    caps.playlists = await safe(async () => {
+      await mpris(PROPS_IFACE, "Get", "ss", [PLAYLISTS_IFACE, "PlaylistCount"]);
+      return true;
+    }, false);
+  }
+
+  async function trackList() {
+    if (!caps || !caps.trackList) return [];
+    const [ids] = await mpris(PROPS_IFACE, "Get", "ss", [TRACKLIST_IFACE, "Tracks"]);
+    const tracks = unwrap(ids) || [];
+    if (!tracks.length) return [];
+    const [metas] = await mpris(TRACKLIST_IFACE, "GetTracksMetadata", "ao", [tracks]);
+    return unwrap(metas).map(metaTrack);
+  }
+
+  async function mprisPlaylists() {
+    if (!caps || !caps.playlists) return [];
+    const [rows] = await mpris(PLAYLISTS_IFACE, "GetPlaylists", "uusb", [0, 1000, "Alphabetical", false]);
+    return rows.map(([id, name]) => ({ id, name }));
+  }
+
+  // unknown playlists and tracks reject, like the other backends
+  async function playPlaylistByName(name) {
+    if (name === NOW_PLAYING) return playTrackInPlaylist(name, 1);
+    const pl = (await read("GetPlaylists", mprisPlaylists, [])).find(p => p.name === name);
+    if (!pl) throw new Error(`No playlist named "${name}"`);
+    await act("ActivatePlaylist", () => mpris(PLAYLISTS_IFACE, "ActivatePlaylist", "o", [pl.id]));
+  }
+
+  // other playlists have a single row that plays all of it
+  async function playTrackInPlaylist(name, index) {
+    const i = Math.max(1, parseInt(index, 10) || 1);
+    if (name !== NOW_PLAYING) {
+      if (i !== 1) throw new Error(`No track ${i} in "${name}"`);
+      return playPlaylistByName(name);
+    }
+    const t = (await read("GetTracksMetadata", trackList, []))[i - 1];
+    if (!t) throw new Error(`No track ${i} in "${name}"`);
+    await act("GoTo", () => mpris(TRACKLIST_IFACE, "GoTo", "o", [t.id]));
+  }
+
+  function playerState(status) {
+    return status === "Playing" ? "playing" : status === "Paused" ? "paused" : "stopped";
+  }
+
+  return {
+    name: "mpris",
+    label: "MPRIS player",
+    async ensureReady() { await pickPlayer(); },
+
+    // several players can be running at once; the UI offers a picker
+    listPlayers,
+    currentPlayer() { return target; },
+    async selectPlayer(name) {
+      wanted = name;
+      target = null; caps = null;
+      await pickPlayer();
+    },
+
+    async play()      { await act("Play", () => mpris(PLAYER_IFACE, "Play")); },
+    async pause()     { await act("Pause", () => mpris(PLAYER_IFACE, "Pause")); },
+    async nextTrack() { await act("Next", () => mpris(PLAYER_IFACE, "Next")); },
+    async prevTrack() { await act("Previous", () => mpris(PLAYER_IFACE, "Previous")); },
+    async getPlayerState() {
+      return playerState((await read("PlaybackStatus", () => getAll(PLAYER_IFACE), {})).PlaybackStatus);
+    },
+    async getVolume() {
+      return Math.round((Number((await read("Volume", () => getAll(PLAYER_IFACE), {})).Volume) || 0) * 100);
+    },
+    async setVolume(v) {
+      await act("Volume", () => setProp(PLAYER_IFACE, "Volume", "d", Math.max(0, Math.min(100, v | 0)) / 100));
+    },
+    async seekRel(d) {
+      // Seek takes a relative offset in microseconds
+      await act("Seek", () => mpris(PLAYER_IFACE, "Seek", "x", [BigInt(Math.round(d * 1e6))]));
+    },
+    async seekTo(t) {
+      // SetPosition is absolute but only applies to the track id it is given
+      await act("SetPosition", async () => {
+        const cur = metaTrack((await getAll(PLAYER_IFACE)).Metadata);
+        if (!cur.id || cur.id === NO_TRACK) return;
+        await mpris(PLAYER_IFACE, "SetPosition", "ox", [cur.id, BigInt(Math.round(Math.max(0, Number(t) || 0) * 1e6))]);
+      });
+    },
+    async toggleShuffle() {
+      await act("Shuffle", async () => {
+        const p = await getAll(PLAYER_IFACE);
+        await setProp(PLAYER_IFACE, "Shuffle", "b", !p.Shuffle);
+      });
+    },
+    async cycleRepeat() {
+      await act("LoopStatus", async () => {
+        const p = await getAll(PLAYER_IFACE);
+        const order = ["none", "one", "all"];
+        const cur = LOOP_TO_REPEAT[p.LoopStatus] || "none";
+        const next = order[(order.indexOf(cur) + 1) % order.length];
+        await setProp(PLAYER_IFACE, "LoopStatus", "s", REPEAT_TO_LOOP[next]);
+      });
+    },
+
+    async getPlaylists() {
+      const names = [];
+      if (caps && caps.trackList) names.push(NOW_PLAYING);
+      const pls = await read("GetPlaylists", mprisPlaylists, []);
+      pls.forEach(p => { if (p.name && p.name !== NOW_PLAYING) names.push(p.name); });
+      return Array.from(new Set(names));
+    },
+    playPlaylistByName,
+    async getTracksOfPlaylist(name) {
+      if (name === NOW_PLAYING) {
+        return (await read("GetTracksMetadata", trackList, [])).map((t, i) => ({ index: i + 1, name: t.name, artist: t.artist, album: t.album, duration: t.duration }));
+      }
+      const pl = (await read("GetPlaylists", mprisPlaylists, [])).find(p => p.name === name);
+      return pl ? [{ index: 1, name: "(play entire playlist)", artist: "", album: "" }] : [];
+    },
+    playTrackInPlaylist,
+
+    async getUpNext(limit = 50) {
+      const p = await read("Metadata", () => getAll(PLAYER_IFACE), {});
+      const cur = metaTrack(p.Metadata);
+      const tracks = await read("GetTracksMetadata", trackList, []);
+      const at = tracks.findIndex(t => t.id === cur.id);
+      return at === -1 ? [] : tracks.slice(at + 1, at + 1 + limit).map(t => ({ name: t.name, artist: t.artist, album: t.album }));
+    },
+
+    // mpris:artUrl: usually a file:// path (a cached copy), sometimes http(s)
+    async getArtwork() {
+      if (!target) await pickPlayer();
+      const url = String(((await getAll(PLAYER_IFACE)).Metadata || {})["mpris:artUrl"] || "");
+      if (url.startsWith("file://")) return fs.promises.readFile(fileURLToPath(url)).catch(() => null);
+      if (!/^https?:\/\//.test(url)) return null;
+      try {
+        const res = await fetch(url, { signal: AbortSignal.timeout(5000) });
+        return res.ok ? Buffer.from(await res.arrayBuffer()) : null;
+      } catch {
+        return null;
+      }
+    },
+
+    // xesam:asText is the lyrics field of the MPRIS metadata spec
+    async getLyrics() {
+      if (!target) await pickPlayer();
+      const p = await getAll(PLAYER_IFACE);
+      const text = (p.Metadata || {})["xesam:asText"];
+      return Array.isArray(text) ? text.join("\n") : String(text || "");
+    },
+
+    async getState() {
+      if (!target) await pickPlayer();
+      const p = await getAll(PLAYER_IFACE);
+      const state = playerState(p.PlaybackStatus);
+      const cur = metaTrack(p.Metadata);
+      let next = null;
+      if (caps.trackList && cur.id && cur.id !== NO_TRACK) {
+        const tracks = await read("GetTracksMetadata", trackList, []);
+        const at = tracks.findIndex(t => t.id === cur.id);
+        if (at !== -1) next = tracks[at + 1] || (p.LoopStatus === "Playlist" ? tracks[0] : null);
+      }
+      const stopped = state === "stopped";
+      return {
+        name: stopped ? "" : cur.name,
+        artist: stopped ? "" : cur.artist,
+        album: stopped ? "" : cur.album,
+        duration: stopped ? 0 : cur.duration,
+        position: stopped ? 0 : Number(p.Position || 0) / 1e6,
+        state,
+        shuffle: !!p.Shuffle,
+        repeat: LOOP_TO_REPEAT[p.LoopStatus] || "none",
+        volume: Math.round((Number(p.Volume) || 0) * 100),
+        nextName: next ? next.name : "",
+        nextArtist: next ? next.artist : ""
+      };
+    },
+
+    async close() {
+      if (bus) { bus.disconnect(); bus = null; }
+    }
+  };
+}
+
+module.exports = { createMprisBackend, metaTrack, matchesPlayer, NOW_PLAYING };
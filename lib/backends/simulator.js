@@ -0,0 +1,449 @@
+"use strict";
+
+/**
+ * Simulator backend – an in-memory player with demo playlists.
+ * Position advances with the wall clock while "playing", so the UI behaves
+ * like it does against a real player (no macOS or daemon needed).
+ */
+
+const { encodePng } = require("../artwork");
+
+const DEMO_LIBRARY = {
+  "Late Night Jazz": [
+    { name: "Blue Lantern",        artist: "Marta Quinn Trio",   album: "After Hours",        duration: 312 },
+    { name: "Smoke on the Harbor", artist: "Marta Quinn Trio",   album: "After Hours",        duration: 275 },
+    { name: "Velvet Staircase",    artist: "Oscar Lind",         album: "Brass & Brick",      duration: 248 },
+    { name: "Half Past Two",       artist: "Oscar Lind",         album: "Brass & Brick",      duration: 201 },
+    { name: "Rain on Fifth",       artist: "The Hollow Reeds",   album: "Rain on Fifth",      duration: 334 }
+  ],
+  "Morning Run": [
+    { name: "Start Line",          artist: "Pulse Theory",       album: "Cadence",            duration: 184 },
+    { name: "Second Wind",         artist: "Pulse Theory",       album: "Cadence",            duration: 207 },
+    { name: "Neon Harbor",         artist: "The Static Lines",   album: "Signal Fire",        duration: 226 },
+    { name: "Uphill",              artist: "Kite Season",        album: "Thermals",           duration: 193 },
+    { name: "Finish Tape",         artist: "Kite Season",        album: "Thermals",           duration: 242 }
+  ],
+  "Focus": [
+    { name: "Paper Lanterns",      artist: "Elin Marsh",         album: "Quiet Rooms",        duration: 298 },
+    { name: "Slow Tide",           artist: "Elin Marsh",         album: "Quiet Rooms",        duration: 356 },
+    { name: "Graphite",            artist: "Northfold",          album: "Drafts",             duration: 265 },
+    { name: "Margins",             artist: "Northfold",          album: "Drafts",             duration: 281 }
+  ]
+};
+
+// "name::artist" -> lyrics, as the player would store them (synced or plain)
+const DEMO_LYRICS = {
+  "Paper Lanterns::Elin Marsh": [
+    "[00:04.00]Folded light along the windowsill",
+    "[00:09.50]Every corner of the room is still",
+    "[00:15.00]Paper lanterns, paper lanterns",
+    "[00:20.50]Hold the evening while it lasts",
+    "[00:27.00]",
+    "[00:30.00]Ink on fingers, tea gone cold",
+    "[00:35.50]Half the story left untold",
+    "[00:41.00]Paper lanterns, paper lanterns",
+    "[00:46.50]Carry me back to the past"
+  ].join("\n"),
+  "Start Line::Pulse Theory": [
+    "Laces tight and the street is grey",
+    "Count it down and we're on our way",
+    "",
+    "Start line, heartbeat, one two three",
+    "Nothing out here but the road and me"
+  ].join("\n")
+};
+
+// album -> colors of a generated cover; albums left out have no artwork
+const DEMO_COVERS = {
+  "After Hours": ["#1d2b53", "#e0a030"],
+  "Brass & Brick": ["#7a2e1c", "#f2c14e"],
+  "Cadence": ["#0f5257", "#9be564"],
+  "Signal Fire": ["#2b1b3f", "#ff5e5b"],
+  "Quiet Rooms": ["#d8d4c8", "#6b7f8c"],
+  "Drafts": ["#222222", "#bbbbbb"]
+};
+
+// 96×96 PNG: a diagonal gradient with a record in the middle
+function demoCover([from, to]) {
+  const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const [a, b] = [rgb(from), rgb(to)];
+  const size = 96;
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const t = (x + y) / (2 * size - 2);
+      const d = Math.hypot(x - size / 2 + 0.5, y - size / 2 + 0.5);
+      const c = d < 8 ? b : d < 30 ? a.map(v => v * 0.35) : a.map((v, i) => v + (b[i] - v) * t);
+      data.set([...c.map(Math.round), 255], (y * size + x) * 4);
+    }
+  }
+  return encodePng({ width: size, height: size, data });
+}
+
+function createSimulatorBackend(opts = {}) {
+  const now = opts.now || (() => Date.now());
+  const random = opts.random || Math.random;
+  const source = opts.library || DEMO_LIBRARY;
+  const lyrics = opts.lyrics || DEMO_LYRICS;
+  const covers = opts.covers || DEMO_COVERS;
+
+  // playlists: name -> [track]; "Library" holds every track, like Music.app.
+  // A song that appears in several playlists is one shared track object.
+  const playlists = new Map();
+  const library = [];
+  for (const [name, tracks] of Object.entries(source)) {
+    playlists.set(name, tracks.map(t => {
+      let track = library.find(l => l.name === t.name && l.artist === t.artist);
+      if (!track) {
+        track = {
+          id: `sim-${library.length + 1}`, name: t.name, artist: t.artist, album: t.album, duration: t.duration,
+          rating: t.rating || 0, loved: false, disliked: false,
+          genre: t.genre || "", year: t.year || 0, comment: t.comment || "", playedCount: 0
+        };
+        library.push(track);
+      }
+      return track;
+    }));
+  }
+  if (!playlists.has("Library")) playlists.set("Library", library);
+
+  // name -> modification time (ms), bumped by every edit
+  const modified = new Map();
+  function touch(name) {
+    modified.set(name, Math.max(now(), (modified.get(name) || 0) + 1));
+  }
+  for (const name of playlists.keys()) touch(name);
+
+  const p = {
+    state: "stopped",
+    playlist: null,   // name of the playlist context
+    order: [],        // play order: tracks of the playlist, plus anything queued
+    cursor: -1,       // position in `order`
+    position: 0,      // seconds, valid at `since`
+    since: now(),
+    shuffle: false,
+    repeat: "none",
+    volume: 50
+  };
+
+  function tracksOf(name) { return playlists.get(name) || []; }
+  function currentTrack() {
+    if (!p.playlist || p.cursor < 0) return null;
+    return p.order[p.cursor] || null;
+  }
+
+  function buildOrder(start) {
+    const order = tracksOf(p.playlist).slice();
+    if (p.shuffle) {
+      // Fisher-Yates, then move the requested track to the front
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      const at = order.indexOf(start);
+      if (at !== -1) order.splice(at, 1);
+      if (start) order.unshift(start);
+      p.order = order; p.cursor = 0;
+    } else {
+      const at = order.indexOf(start);
+      if (at === -1 && start) order.unshift(start);
+      p.order = order; p.cursor = Math.max(0, order.indexOf(start));
+    }
+  }
+
+  // Advance the virtual clock: roll over finished tracks according to repeat mode.
+  function tick() {
+    const t = now();
+    if (p.state === "playing") {
+      p.position += (t - p.since) / 1000;
+      let cur = currentTrack();
+      while (cur && cur.duration > 0 && p.position >= cur.duration) {
+        p.position -= cur.duration;
+        cur.playedCount++;
+        if (p.repeat === "one") continue;
+        if (p.cursor + 1 < p.order.length) p.cursor++;
+        else if (p.repeat === "all") p.cursor = 0;
+        else { p.state = "stopped"; p.cursor = -1; p.position = 0; break; }
+        cur = currentTrack();
+      }
+    }
+    p.since = t;
+  }
+
+  function step(dir) {
+    tick();
+    if (!p.playlist || !p.order.length) return;
+    if (dir < 0 && p.position > 3) { p.position = 0; return; }
+    let c = p.cursor + dir;
+    if (c >= p.order.length) c = p.repeat === "all" ? 0 : p.order.length - 1;
+    if (c < 0) c = p.repeat === "all" ? p.order.length - 1 : 0;
+    p.cursor = c;
+    p.position = 0;
+  }
+
+  function nextInOrder() {
+    if (!p.playlist || p.cursor < 0) return null;
+    if (p.repeat === "one") return currentTrack();
+    let c = p.cursor + 1;
+    if (c >= p.order.length) {
+      if (p.repeat !== "all") return null;
+      c = 0;
+    }
+    return p.order[c] || null;
+  }
+
+  // like Music.app, only user playlists (not "Library") can be edited
+  function editable(name) {
+    if (!playlists.has(name)) throw new Error(`No playlist "${name}"`);
+    if (name === "Library") throw new Error("Library can't be edited");
+  }
+
+  function trackRow(t, index) {
+    return { index, id: t.id, name: t.name, artist: t.artist, album: t.album, duration: t.duration, rating: t.rating };
+  }
+  function trackAt(name, index) {
+    if (!playlists.has(name)) throw new Error(`No playlist "${name}"`);
+    const t = tracksOf(name)[(parseInt(index, 10) || 1) - 1];
+    if (!t) throw new Error("Track index out of range");
+    return t;
+  }
+  function playing() {
+    tick();
+    const cur = p.state === "stopped" ? null : currentTrack();
+    if (!cur) throw new Error("Nothing playing");
+    return cur;
+  }
+
+  function startAt(name, index) {
+    if (!playlists.has(name) || !tracksOf(name).length) return;
+    tick();
+    p.playlist = name;
+    const tracks = tracksOf(name);
+    buildOrder(tracks[Math.min(tracks.length - 1, Math.max(0, index))]);
+    p.position = 0;
+    p.state = "playing";
+  }
+
+  return {
+    name: "simulator",
+    label: "Simulator",
+    async ensureReady() {},
+
+    async play() {
+      tick();
+      if (!currentTrack()) {
+        const first = playlists.has("Library") ? "Library" : playlists.keys().next().value;
+        if (first) startAt(first, 0);
+        return;
+      }
+      p.state = "playing";
+    },
+    async pause()     { tick(); if (p.state === "playing") p.state = "paused"; },
+    async nextTrack() { step(1); },
+    async prevTrack() { step(-1); },
+    async getPlayerState() { tick(); return p.state; },
+    async getVolume() { return p.volume; },
+    async setVolume(v) { p.volume = Math.max(0, Math.min(100, v | 0)); },
+    async seekRel(d) {
+      tick();
+      const cur = currentTrack();
+      if (!cur) return;
+      p.position = Math.max(0, Math.min(cur.duration, Math.floor(p.position + d)));
+    },
+    async seekTo(t) {
+      tick();
+      const cur = currentTrack();
+      if (cur) p.position = Math.max(0, Math.min(cur.duration, Number(t) || 0));
+    },
+    async toggleShuffle() {
+      tick();
+      p.shuffle = !p.shuffle;
+      const cur = currentTrack();
+      if (cur) buildOrder(cur);
+    },
+    async cycleRepeat() {
+      const order = ["none", "one", "all"];
+      p.repeat = order[(Math.max(0, order.indexOf(p.repeat)) + 1) % order.length];
+    },
+
+    async getPlaylists() {
+      return Array.from(playlists.keys()).sort((a, b) => a.localeCompare(b));
+    },
+    async getLibraryPlaylist() { return "Library"; },
+    async playPlaylistByName(name) { startAt(name, 0); },
+    async getTracksOfPlaylist(name) {
+      return tracksOf(name).map((t, i) => trackRow(t, i + 1));
+    },
+    async playTrackInPlaylist(name, index) {
+      startAt(name, Math.max(1, parseInt(index, 10) || 1) - 1);
+    },
+    async getTrackPage(name, offset, limit) {
+      const tracks = tracksOf(name);
+      return { total: tracks.length, tracks: tracks.slice(offset, offset + limit).map((t, i) => trackRow(t, offset + i + 1)) };
+    },
+    async getPlaylistVersion(name) {
+      return modified.has(name) ? new Date(modified.get(name)).toISOString() : "";
+    },
+
+    async searchLibrary(text, limit = 500) {
+      const q = text.toLowerCase();
+      return library
+        .filter(t => [t.name, t.artist, t.album].some(f => f.toLowerCase().includes(q)))
+        .slice(0, limit)
+        .map(t => Object.assign({}, t));
+    },
+    async playLibraryTrack(track) {
+      const i = library.findIndex(t => t.id === track.id);
+      if (i !== -1) startAt("Library", i);
+    },
+    async playNext(track) {
+      tick();
+      const t = library.find(l => l.id === track.id);
+      if (!t) return;
+      if (!currentTrack()) return startAt("Library", library.indexOf(t));
+      p.order.splice(p.cursor + 1, 0, t);
+    },
+    async playLater(track) {
+      tick();
+      const t = library.find(l => l.id === track.id);
+      if (!t) return;
+      if (!currentTrack()) return startAt("Library", library.indexOf(t));
+      p.order.push(t);
+    },
+
+    // Up Next = the rest of the play order (already shuffled when shuffle is on)
+    async getUpNext(limit = 50) {
+      tick();
+      if (!currentTrack()) return [];
+      return p.order.slice(p.cursor + 1, p.cursor + 1 + limit).map(t => Object.assign({}, t));
+    },
+    async removeUpNext(i) {
+      tick();
+      if (currentTrack() && p.order[p.cursor + 1 + i]) p.order.splice(p.cursor + 1 + i, 1);
+    },
+    async moveUpNext(from, to) {
+      tick();
+      const base = p.cursor + 1;
+      if (!currentTrack() || !p.order[base + from] || to < 0 || base + to >= p.order.length) return;
+      const [t] = p.order.splice(base + from, 1);
+      p.order.splice(base + to, 0, t);
+    },
+    async playUpNext(i) {
+      tick();
+      if (!currentTrack() || !p.order[p.cursor + 1 + i]) return;
+      p.cursor += 1 + i;
+      p.position = 0;
+      p.state = "playing";
+    },
+
+    async addToPlaylist(track, playlistName) {
+      editable(playlistName);
+      const t = library.find(l => l.id === track.id);
+      if (!t) throw new Error(`No track with id "${track.id}" in the library`);
+      tracksOf(playlistName).push(t);
+      touch(playlistName);
+    },
+
+    async createPlaylist(name) {
+      if (playlists.has(name)) throw new Error(`Playlist "${name}" already exists`);
+      playlists.set(name, []);
+      touch(name);
+    },
+    async renamePlaylist(name, newName) {
+      editable(name);
+      if (playlists.has(newName)) throw new Error(`Playlist "${newName}" already exists`);
+      playlists.set(newName, playlists.get(name));
+      playlists.delete(name);
+      modified.delete(name);
+      touch(newName);
+      if (p.playlist === name) p.playlist = newName;
+    },
+    async deletePlaylist(name) {
+      editable(name);
+      playlists.delete(name);
+      modified.delete(name);
+      if (p.playlist === name) { tick(); p.playlist = null; p.order = []; p.cursor = -1; p.state = "stopped"; p.position = 0; }
+    },
+    async addCurrentToPlaylist(name) {
+      editable(name);
+      tick();
+      const cur = currentTrack();
+      if (!cur) throw new Error("Nothing playing");
+      tracksOf(name).push(cur);
+      touch(name);
+    },
+    async removeTrackFromPlaylist(name, index) {
+      editable(name);
+      const i = (parseInt(index, 10) || 1) - 1;
+      if (!tracksOf(name)[i]) throw new Error("Track index out of range");
+      tracksOf(name).splice(i, 1);
+      touch(name);
+    },
+    async moveTrackInPlaylist(name, from, to) {
+      editable(name);
+      const tracks = tracksOf(name);
+      const f = (parseInt(from, 10) || 1) - 1, t = (parseInt(to, 10) || 1) - 1;
+      if (!tracks[f] || !tracks[t]) throw new Error("Track index out of range");
+      tracks.splice(t, 0, tracks.splice(f, 1)[0]);
+      touch(name);
+    },
+
+    async setRating(stars) { playing().rating = Math.max(0, Math.min(5, stars | 0)); },
+    // like Music.app, loved and disliked exclude each other
+    async setLoved(on) { const t = playing(); t.loved = !!on; if (on) t.disliked = false; },
+    async setDisliked(on) { const t = playing(); t.disliked = !!on; if (on) t.loved = false; },
+    async getTrackInfo(name, index) {
+      const t = trackAt(name, index);
+      return { genre: t.genre, year: t.year, comment: t.comment, playedCount: t.playedCount };
+    },
+    async setTrackInfo(name, index, fields) {
+      const t = trackAt(name, index);
+      for (const key of ["year", "playedCount"]) {
+        if (fields[key] !== undefined && !(Number.isInteger(fields[key]) && fields[key] >= 0)) {
+          throw new Error(`${key} must be a whole number`);
+        }
+      }
+      for (const key of ["genre", "year", "comment", "playedCount"]) {
+        if (fields[key] !== undefined) t[key] = fields[key];
+      }
+    },
+
+    async getLyrics() {
+      tick();
+      const cur = p.state === "stopped" ? null : currentTrack();
+      return cur ? lyrics[`${cur.name}::${cur.artist}`] || "" : "";
+    },
+
+    async getArtwork() {
+      tick();
+      const cur = p.state === "stopped" ? null : currentTrack();
+      return cur && covers[cur.album] ? demoCover(covers[cur.album]) : null;
+    },
+
+    async getState() {
+      tick();
+      const cur = p.state === "stopped" ? null : currentTrack();
+      const next = nextInOrder();
+      return {
+        name: cur ? cur.name : "",
+        artist: cur ? cur.artist : "",
+        album: cur ? cur.album : "",
+        duration: cur ? cur.duration : 0,
+        position: cur ? p.position : 0,
+        state: p.state,
+        shuffle: p.shuffle,
+        repeat: p.repeat,
+        volume: p.volume,
+        nextName: next ? next.name : "",
+        nextArtist: next ? next.artist : "",
+        rating: cur ? cur.rating : 0,
+        loved: !!cur && cur.loved,
+        disliked: !!cur && cur.disliked
+      };
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createSimulatorBackend, DEMO_LIBRARY, DEMO_LYRICS };
@@ -0,0 +1,267 @@
+"use strict";
+
+/**
+ * Headless subcommands (`music-tui status`, `music-tui vol +5`, …) for
+ * scripts, status bars and global hotkeys. Every command talks to the same
+ * backend as the TUI and resolves to a process exit code:
+ *   0 ok, 1 the player failed / was not found, 2 bad usage.
+ */
+
+const fs = require("fs");
+const { timeFmt, parseSeekTarget } = require("./time");
+const { UsageError } = require("./args");
+const { describeError, onEvent, CATEGORIES } = require("./diagnostics");
+const { formatOf, exportPlaylist, importPlaylist, describeEntry, reportSummary } = require("./playlistfile");
+
+const USAGE = `Usage: music-tui [options] [command]
+
+Without a command the full-screen UI starts.
+
+Commands:
+  play | pause | toggle            control playback
+  next | prev                      skip tracks
+  vol [N | +N | -N]                print or set the volume (0–100)
+  seek <1:23 | 40% | +10 | -10>    jump to a position or seek relative
+  shuffle <on | off | toggle>
+  repeat <none | one | all | cycle>
+  status                           print the current track
+  playlists                        list playlists
+  tracks "<playlist>"              list the tracks of a playlist
+  playlist play "<playlist>"       start a playlist
+  playlist export "<playlist>" <file>
+                                   save a playlist as .m3u8, .json or .csv
+  playlist import <file> ["<name>"]
+                                   make a new playlist from such a file, with
+                                   the tracks found in the library
+
+Output (status, playlists, tracks):
+  --json                           machine-readable JSON
+  --format "<template>"            e.g. "{icon} {artist} - {name} [{position}/{duration}]"
+      status:  {name} {artist} {album} {state} {icon} {position} {duration}
+               {position_s} {duration_s} {percent} {volume} {shuffle} {repeat}
+               {next} {nextArtist}
+      lists:   {index} {name} {artist} {album}
+
+Options:
+  --backend <name>                 applescript | simulator | mpd | mpris
+  --config <file>                  config file (default ~/.config/music-tui/config.json)
+  --mpd-host <host> --mpd-port <port>
+  --player <name> --dbus-address <address>
+  --serve                          also start the remote control server (UI only)
+  --mini                           start as the one- or two-line mini-player (UI only)
+  --host <addr> --port <n>         where it listens (default 127.0.0.1:8181)
+  --token <token>                  remote access token (default ~/.config/music-tui/token)
+  --log-file <file>                append player commands and errors with timings to <file>
+  -h, --help                       show this help
+
+Exit codes: 0 ok, 1 player error, playlist / file not found or nothing to import, 2 usage error.
+`;
+
+const COMMANDS = ["play", "pause", "toggle", "next", "prev", "previous", "vol", "volume", "seek",
+  "shuffle", "repeat", "status", "playlists", "tracks", "playlist"];
+const ICONS = { playing: "▶", paused: "⏸", stopped: "⏹" };
+
+// ---------- Output ----------
+function fill(template, values) {
+  return template
+    .replace(/\\n/g, "\n").replace(/\\t/g, "\t")
+    .replace(/\{(\w+)\}/g, (m, key) => (key in values ? String(values[key]) : m));
+}
+
+function stateValues(s) {
+  return {
+    name: s.name, artist: s.artist, album: s.album, state: s.state,
+    icon: ICONS[s.state] || "",
+    position: timeFmt(s.position), duration: timeFmt(s.duration),
+    position_s: Math.floor(s.position || 0), duration_s: Math.floor(s.duration || 0),
+    percent: s.duration > 0 ? Math.round((s.position / s.duration) * 100) : 0,
+    volume: s.volume, shuffle: s.shuffle ? "on" : "off", repeat: s.repeat || "none",
+    next: s.nextName || "", nextArtist: s.nextArtist || ""
+  };
+}
+
+function printState(s, opts, out) {
+  if (opts.json) return out(JSON.stringify(s));
+  if (opts.format) return out(fill(opts.format, stateValues(s)));
+  if (!s.name) return out(`${ICONS[s.state] || ""} (no track)`.trim());
+  out(`${ICONS[s.state] || ""} ${[s.name, s.artist].filter(Boolean).join(" - ")}` +
+    (s.album ? ` (${s.album})` : "") +
+    `  ${timeFmt(s.position)}/${timeFmt(s.duration)}`);
+}
+
+// rows: [{ index, name, artist?, album? }]
+function printRows(rows, opts, out) {
+  if (opts.json) return out(JSON.stringify(rows));
+  for (const r of rows) {
+    const values = { index: r.index, name: r.name, artist: r.artist || "", album: r.album || "" };
+    if (opts.format) out(fill(opts.format, values));
+    else out(r.artist !== undefined ? `${r.index}. ${r.name}${r.artist ? " - " + r.artist : ""}` : r.name);
+  }
+}
+
+// ---------- Commands ----------
+function expectArgs(args, min, max, usage) {
+  if (args.length < min || args.length > max) throw new UsageError(`Usage: music-tui ${usage}`);
+}
+
+async function setVolume(backend, arg) {
+  if (!/^[+-]?\d+$/.test(arg)) throw new UsageError(`Invalid volume "${arg}" (expected N, +N or -N)`);
+  const n = parseInt(arg, 10);
+  const base = /^[+-]/.test(arg) ? await backend.getVolume() : 0;
+  const v = Math.max(0, Math.min(100, base + n));
+  await backend.setVolume(v);
+  return v;
+}
+
+async function seek(backend, arg) {
+  if (/^[+-]\d+(\.\d+)?$/.test(arg)) return backend.seekRel(parseFloat(arg));
+  const s = await backend.getState();
+  const target = parseSeekTarget(arg, s);
+  if (/%\s*$/.test(arg) && !(s.duration > 0)) throw new Error("nothing is playing");
+  if (Number.isNaN(target)) throw new UsageError(`Invalid position "${arg}" (expected 1:23, 83, +10, -10 or 40%)`);
+  await backend.seekTo(Math.max(0, target));
+}
+
+// toggle/cycle until the player reports the wanted value (backends only expose toggles)
+async function setShuffle(backend, arg) {
+  if (!["on", "off", "toggle"].includes(arg)) throw new UsageError(`Invalid shuffle mode "${arg}" (on, off, toggle)`);
+  const s = await backend.getState();
+  if (arg === "toggle" || s.shuffle !== (arg === "on")) await backend.toggleShuffle();
+}
+
+async function setRepeat(backend, arg) {
+  if (!["none", "one", "all", "cycle"].includes(arg)) throw new UsageError(`Invalid repeat mode "${arg}" (none, one, all, cycle)`);
+  if (arg === "cycle") return backend.cycleRepeat();
+  for (let i = 0; i < 3; i++) {
+    const s = await backend.getState();
+    if ((s.repeat || "none") === arg) return;
+    await backend.cycleRepeat();
+  }
+}
+
+async function findPlaylist(backend, name) {
+  const names = await backend.getPlaylists();
+  return names.find(n => n === name) || names.find(n => n.toLowerCase() === name.toLowerCase());
+}
+
+async function dispatch(backend, cmd, args, opts, out) {
+  switch (cmd) {
+    case "play": expectArgs(args, 0, 0, "play"); return backend.play();
+    case "pause": expectArgs(args, 0, 0, "pause"); return backend.pause();
+    case "toggle": {
+      expectArgs(args, 0, 0, "toggle");
+      const st = await backend.getPlayerState();
+      return st === "playing" ? backend.pause() : backend.play();
+    }
+    case "next": expectArgs(args, 0, 0, "next"); return backend.nextTrack();
+    case "prev":
+    case "previous": expectArgs(args, 0, 0, "prev"); return backend.prevTrack();
+    case "vol":
+    case "volume": {
+      expectArgs(args, 0, 1, "vol [N | +N | -N]");
+      const v = args.length ? await setVolume(backend, args[0]) : await backend.getVolume();
+      return out(opts.json ? JSON.stringify({ volume: v }) : String(v));
+    }
+    case "seek": expectArgs(args, 1, 1, "seek <1:23 | 40% | +10 | -10>"); return seek(backend, args[0]);
+    case "shuffle": expectArgs(args, 1, 1, "shuffle <on | off | toggle>"); return setShuffle(backend, args[0]);
+    case "repeat": expectArgs(args, 1, 1, "repeat <none | one | all | cycle>"); return setRepeat(backend, args[0]);
+    case "status": expectArgs(args, 0, 0, "status"); return printState(await backend.getState(), opts, out);
+    case "playlists": {
+      expectArgs(args, 0, 0, "playlists");
+      const names = await backend.getPlaylists();
+      if (opts.json) return out(JSON.stringify(names));
+      return printRows(names.map((name, i) => ({ index: i + 1, name })), opts, out);
+    }
+    case "tracks": {
+      expectArgs(args, 1, 1, "tracks \"<playlist>\"");
+      const name = await findPlaylist(backend, args[0]);
+      if (!name) return notFound(args[0]);
+      return printRows(await backend.getTracksOfPlaylist(name), opts, out);
+    }
+    case "playlist": return playlistCommand(backend, args, opts, out);
+  }
+}
+
+const PLAYLIST_USAGE = {
+  play: "playlist play \"<playlist>\"",
+  export: "playlist export \"<playlist>\" <file>",
+  import: "playlist import <file> [\"<name>\"]"
+};
+
+function playlistFormat(file) {
+  if (!formatOf(file)) throw new UsageError(`Unknown playlist format "${file}" (expected .m3u8, .m3u, .json or .csv)`);
+}
+
+async function playlistCommand(backend, args, opts, out) {
+  const [sub, ...rest] = args;
+  if (sub === "play" || sub === "export") {
+    expectArgs(rest, sub === "play" ? 1 : 2, sub === "play" ? 1 : 2, PLAYLIST_USAGE[sub]);
+    if (sub === "export") playlistFormat(rest[1]);
+    const name = await findPlaylist(backend, rest[0]);
+    if (!name) return notFound(rest[0]);
+    if (sub === "play") return backend.playPlaylistByName(name);
+    const done = await exportPlaylist(backend, name, rest[1]);
+    if (opts.json) return out(JSON.stringify(done));
+    return out(`Exported ${done.tracks} tracks of "${name}" to ${rest[1]}`);
+  }
+  if (sub === "import") {
+    expectArgs(rest, 1, 2, PLAYLIST_USAGE.import);
+    playlistFormat(rest[0]);
+    if (!fs.existsSync(rest[0])) throw new NotFoundError(`File not found: ${rest[0]}`);
+    const report = await importPlaylist(backend, rest[0], { name: rest[1] });
+    if (opts.json) {
+      out(JSON.stringify({
+        playlist: report.playlist, total: report.total,
+        exact: report.exact, fuzzy: report.fuzzy, missing: report.missing
+      }));
+    } else {
+      if (report.playlist) out(reportSummary(report));
+      report.fuzzy.forEach(m => out(`  ~ ${describeEntry(m.entry)}  ->  ${describeEntry(m.track)}`));
+      report.missing.forEach(e => out(`  - ${describeEntry(e)}`));
+    }
+    // no playlist was made: scripts should see that in the exit code
+    if (!report.playlist) throw new NotFoundError(reportSummary(report));
+    return;
+  }
+  throw new UsageError(`Usage: ${Object.values(PLAYLIST_USAGE).map(u => `music-tui ${u}`).join("\n       ")}`);
+}
+
+// the remedy only where there's something to do about it besides reading the error
+function failure(err, text, category) {
+  err(text);
+  if (category !== "script" && category !== "error") err(CATEGORIES[category].remedy);
+  return 1;
+}
+
+class NotFoundError extends Error {}
+function notFound(name) { throw new NotFoundError(`Playlist not found: ${name}`); }
+
+/**
+ * Runs one subcommand and resolves to its exit code; never rejects.
+ * positionals: [command, ...args]
+ */
+async function run(backend, positionals, opts = {}, out = s => console.log(s), err = s => console.error(s)) {
+  const [cmd, ...args] = positionals;
+  if (!COMMANDS.includes(cmd)) {
+    err(`Unknown command "${cmd}" (see music-tui --help)`);
+    return 2;
+  }
+  // some backends only log a failed action and carry on; here it's still a failure
+  let failed = null;
+  const stopListening = onEvent(ev => { if (ev.kind === "error" && !ev.background && !failed) failed = ev; });
+  try {
+    await backend.ensureReady();
+    await dispatch(backend, cmd, args, opts, out);
+    return failed ? failure(err, `${backend.label}: ${failed.text}`, failed.category) : 0;
+  } catch (e) {
+    if (e instanceof UsageError) { err(e.message); return 2; }
+    if (e instanceof NotFoundError) { err(e.message); return 1; }
+    const d = describeError(e);
+    return failure(err, `${backend.label}: ${d.message}`, d.category);
+  } finally {
+    stopListening();
+    try { await backend.close(); } catch { /* exiting anyway */ }
+  }
+}
+
+module.exports = { run, USAGE, fill, stateValues };
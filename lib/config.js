@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * User configuration: ~/.config/music-tui/config.json
+ * ($XDG_CONFIG_HOME is respected, --config <file> overrides the path).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+function configDir() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "music-tui");
+}
+
+function configPath() {
+  return path.join(configDir(), "config.json");
+}
+
+// Missing file -> {}; unreadable or invalid JSON -> Error naming the file.
+function loadConfig(file = configPath()) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new Error(`${file}: ${e.message}`);
+  }
+  let cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${file}: invalid JSON (${e.message})`);
+  }
+  if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) {
+    throw new Error(`${file}: expected a JSON object`);
+  }
+  return cfg;
+}
+
+module.exports = { configDir, configPath, loadConfig };
@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Process-wide runtime context: parsed arguments, config and the active
+ * backend. index.js sets it up once before loading the TUI or a subcommand.
+ */
+
+let current = null;
+
+function setContext(ctx) {
+  current = ctx;
+}
+
+function getContext() {
+  if (!current) throw new Error("Runtime context used before index.js set it up");
+  return current;
+}
+
+module.exports = { setContext, getContext };
@@ -0,0 +1,192 @@
+"use strict";
+
+/**
+ * Diagnostics: what went wrong talking to the player, and what to do about it.
+ *
+ * classifyError() sorts a failure into a category with a remedy to show on
+ * screen; withRetry() repeats calls whose category is worth another try, with
+ * growing pauses. The event log keeps recent commands and errors with their
+ * timings for the TUI's Event log and, with --log-file, appends them to a file
+ * for bug reports. Like lib/context.js it is process-wide, so backends can
+ * record what their own fallbacks would otherwise swallow.
+ */
+
+const fs = require("fs");
+
+const MAX_EVENTS = 500;
+const SLOW_READ_MS = 1000;
+
+// category -> what the user sees; `retry`: worth trying again by itself
+const CATEGORIES = {
+  permission: {
+    title: "Not allowed to control Music.app",
+    remedy: "Allow your terminal under System Settings › Privacy & Security › Automation › Music, then restart the terminal.",
+    retry: false
+  },
+  notRunning: {
+    title: "Music.app is not running",
+    remedy: "Open Music.app; playback controls work again as soon as it's up.",
+    retry: true
+  },
+  timeout: {
+    title: "Music.app did not answer in time",
+    remedy: "Music.app may be busy or waiting on a dialog – check its window. Requests are retried.",
+    retry: true
+  },
+  script: {
+    title: "AppleScript error",
+    remedy: "A Music.app command failed; the Event log has the details.",
+    retry: false
+  },
+  unavailable: {
+    title: "osascript is not available",
+    remedy: "Controlling Music.app needs macOS; elsewhere use --backend mpd, mpris or simulator.",
+    retry: false
+  },
+  unreachable: {
+    title: "Player unreachable",
+    remedy: "Check that the player is running and the connection settings (--mpd-host, --player, …) are right.",
+    retry: true
+  },
+  error: {
+    title: "Player error",
+    remedy: "The Event log has the details.",
+    retry: false
+  }
+};
+
+const NETWORK_CODES = ["ECONNREFUSED", "ECONNRESET", "EHOSTUNREACH", "ENETUNREACH", "ENOTFOUND", "EPIPE", "ETIMEDOUT"];
+
+// the last non-empty line: for osascript that's "execution error: … (-1743)"
+// rather than the script that failed
+function errorMessage(e) {
+  const lines = String((e && e.message) || e || "").trim().split("\n").map(l => l.trim()).filter(Boolean);
+  return lines[lines.length - 1] || "unknown error";
+}
+
+// AppleScript error number from the worker (e.number) or osascript's "(-1743)"
+function errorNumber(e) {
+  if (e && e.number !== undefined && e.number !== null && Number.isFinite(Number(e.number))) return Number(e.number);
+  const m = /\((-?\d+)\)\s*$/.exec(errorMessage(e));
+  return m ? Number(m[1]) : null;
+}
+
+// -> a CATEGORIES key
+function classifyError(e) {
+  const msg = errorMessage(e);
+  const num = errorNumber(e);
+  const code = e && e.code;
+  if (num === -1743 || /not (authori[sz]ed|allowed) to send apple ?events/i.test(msg)) return "permission";
+  if ((code === "ENOENT" && /osascript/.test(String(e.path || e.message))) || /osascript worker disabled/.test(msg)) return "unavailable";
+  if (num === -600 || num === -609 || /isn.t running|not running/i.test(msg)) return "notRunning";
+  if (NETWORK_CODES.includes(code) || /unreachable|not connected|ServiceUnknown|NoReply/i.test(msg)) return "unreachable";
+  if (num === -1712 || (e && e.killed) || /timed? ?out/i.test(msg)) return "timeout";
+  if (num !== null || /execution error|osascript/i.test(String(e && e.message))) return "script";
+  return "error";
+}
+
+// -> { category, title, remedy, message }
+function describeError(e) {
+  const category = classifyError(e);
+  return Object.assign({ category, message: errorMessage(e) }, CATEGORIES[category]);
+}
+
+// ---------- Event log ----------
+// { at, kind, text, ms?, category?, background? }; kind: command | error | retry | info.
+// background: a read the user didn't ask for (polling, artwork, …)
+const events = [];
+const listeners = new Set();
+let logFile = null;
+
+function fileLine(ev) {
+  const extra = [ev.category, ev.ms !== undefined ? `${ev.ms} ms` : ""].filter(Boolean).join(", ");
+  return `${new Date(ev.at).toISOString()} ${ev.kind.padEnd(7)} ${ev.text}${extra ? ` (${extra})` : ""}\n`;
+}
+
+function logEvent(kind, text, extra = {}) {
+  const ev = Object.assign({ at: Date.now(), kind, text }, extra);
+  events.push(ev);
+  if (events.length > MAX_EVENTS) events.shift();
+  if (logFile) {
+    try { fs.appendFileSync(logFile, fileLine(ev)); } catch { logFile = null; /* disk gone: keep running */ }
+  }
+  for (const fn of listeners) fn(ev);
+  return ev;
+}
+
+function logError(label, e, extra = {}) {
+  return logEvent("error", `${label}: ${errorMessage(e)}`, Object.assign({ category: classifyError(e) }, extra));
+}
+
+// runs fn and logs it with its duration (and the error, which is rethrown);
+// background calls are only logged when they fail or are slow
+async function timed(label, fn, { background = false } = {}) {
+  const started = Date.now();
+  try {
+    const result = await fn();
+    const ms = Date.now() - started;
+    if (!background || ms >= SLOW_READ_MS) logEvent("command", label, { ms, background });
+    return result;
+  } catch (e) {
+    logError(label, e, { ms: Date.now() - started, background });
+    throw e;
+  }
+}
+
+// "setVolume(40)", "addToPlaylist(Blue Lantern, "Focus")"
+function callLabel(name, args) {
+  const arg = a => (a && typeof a === "object" ? (a.name || "{…}") : JSON.stringify(a));
+  const text = `${name}(${args.map(arg).join(", ")})`;
+  return text.length > 80 ? text.slice(0, 79) + "…)" : text;
+}
+
+// methods passed through untimed: close() and the synchronous accessors
+// (see lib/backends/index.js), which would otherwise turn into Promises
+const UNTIMED = new Set(["close", "currentPlayer"]);
+
+// the backend with every method timed; reads (get…, search…) count as background
+function instrumentBackend(backend) {
+  const out = {};
+  for (const [key, value] of Object.entries(backend)) {
+    if (typeof value !== "function" || UNTIMED.has(key)) { out[key] = value; continue; }
+    const background = /^(get|search|list|current|ensureReady)/.test(key);
+    out[key] = (...args) => timed(callLabel(key, args), () => value.apply(backend, args), { background });
+  }
+  return out;
+}
+
+// fn is tried up to `attempts` times while its errors are of a retryable
+// category, waiting delay, 2 × delay, … in between
+async function withRetry(label, fn, { attempts = 3, delay = 250 } = {}) {
+  for (let i = 1; ; i++) {
+    try {
+      return await fn();
+    } catch (e) {
+      const category = classifyError(e);
+      if (i >= attempts || !CATEGORIES[category].retry) throw e;
+      const wait = delay * 2 ** (i - 1);
+      logEvent("retry", `${label}: ${errorMessage(e)} – attempt ${i + 1} in ${wait} ms`, { category });
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+}
+
+function recentEvents() { return events.slice(); }
+function clearEvents() { events.length = 0; }
+
+// fn(event) for every new event; returns the unsubscribe function
+function onEvent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// appends every event from now on to file; throws if it can't be written
+function setLogFile(file, header = "") {
+  fs.appendFileSync(file, `--- ${new Date().toISOString()} music-tui${header ? " " + header : ""}\n`);
+  logFile = file;
+}
+
+module.exports = {
+  CATEGORIES, classifyError, describeError, errorMessage,
+  logEvent, logError, timed, instrumentBackend, withRetry, recentEvents, clearEvents, onEvent, setLogFile
+};
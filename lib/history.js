@@ -0,0 +1,198 @@
+"use strict";
+
+/**
+ * Listening history: one JSON line per play in ~/.config/music-tui/history.jsonl
+ *
+ *   { "start": ISO time, "end": ISO time, "name", "artist", "album",
+ *     "duration": s, "listened": s, "skipped": bool }
+ *
+ * `listened` only counts time the position actually advanced while playing,
+ * so seeking ahead or pausing doesn't inflate it. A play counts as full when
+ * at least half the track (or 4 minutes) was heard, otherwise as a skip –
+ * unless the program quit mid-track ("interrupted": true, not a skip).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { configDir } = require("./config");
+
+const FULL_PLAY_SECONDS = 240;
+const SEEK_GRACE_MS = 5000; // after seeked(), a jump back to the start isn't a restart
+
+function historyPath() {
+  return path.join(configDir(), "history.jsonl");
+}
+
+function isSkip(listened, duration) {
+  const needed = duration > 0 ? Math.min(duration / 2, FULL_PLAY_SECONDS) : FULL_PLAY_SECONDS;
+  return listened < needed;
+}
+
+// Follows one play at a time through successive getState() snapshots from the
+// refresh loop:
+//   onStart(play)      a new track started (scrobblers: "now playing")
+//   onThreshold(play)  heard long enough to count as played, fired once
+//   onFinish(entry)    the play ended; entry is a history line (see top)
+// play = { name, artist, album, duration, start (ms), listened (s) }
+// seeked() says the UI itself is about to jump within the track (A–B loop,
+// bookmark), so going back near the start doesn't count as a new play.
+function createPlayTracker({ onStart = () => {}, onThreshold = () => {}, onFinish = () => {}, now = () => Date.now() } = {}) {
+  let play = null; // the track being listened to
+  let last = null; // { position, at, state } of the previous observation
+  let seekedAt = -Infinity;
+
+  function finish(at, interrupted = false) {
+    if (!play) return;
+    const entry = {
+      start: new Date(play.start).toISOString(),
+      end: new Date(at).toISOString(),
+      name: play.name, artist: play.artist, album: play.album,
+      duration: Math.round(play.duration),
+      listened: Math.round(play.listened),
+      skipped: !interrupted && isSkip(play.listened, play.duration)
+    };
+    if (interrupted) entry.interrupted = true;
+    play = null;
+    onFinish(entry);
+  }
+
+  return {
+    observe(s) {
+      const at = now();
+      const key = s.name ? `${s.name}::${s.artist}::${s.album}` : "";
+      // same track from the top again (repeat one, or restarted by hand) is a new play
+      const restarted = play && last && s.position < 5 && last.position > 30 && at - seekedAt > SEEK_GRACE_MS;
+      if (play && (play.key !== key || s.state === "stopped" || restarted)) finish(at);
+      if (!play && key && s.state !== "stopped") {
+        play = { key, name: s.name, artist: s.artist, album: s.album, duration: s.duration, start: at, listened: 0, counted: false };
+        last = null;
+        onStart(play);
+      }
+      if (play) {
+        // heard = how far the position moved, but never more than the wall clock did
+        if (last && last.state === "playing") {
+          const moved = s.position - last.position;
+          if (moved > 0) play.listened += Math.min(moved, (at - last.at) / 1000 + 0.5);
+        }
+        if (s.duration) play.duration = s.duration;
+        last = { position: s.position, at, state: s.state };
+        if (!play.counted && !isSkip(play.listened, play.duration)) {
+          play.counted = true;
+          onThreshold(play);
+        }
+      }
+    },
+    seeked() { seekedAt = now(); },
+    // on exit: record the current track as heard so far
+    flush() { finish(now(), true); }
+  };
+}
+
+function appendHistory(entry, file = historyPath()) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+  } catch { /* history is best effort, never break playback */ }
+}
+
+function loadHistory(file = historyPath()) {
+  let raw;
+  try { raw = fs.readFileSync(file, "utf8"); } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw new Error(`${file}: ${e.message}`);
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (e && e.start && e.name) entries.push(e);
+    } catch { /* a torn last line after a crash */ }
+  }
+  return entries;
+}
+
+// ---------- Statistics ----------
+const PERIODS = [
+  { id: "today", label: "Today" },
+  { id: "7d", label: "Last 7 days", days: 7 },
+  { id: "30d", label: "Last 30 days", days: 30 },
+  { id: "year", label: "Last 12 months", days: 365 },
+  { id: "all", label: "All time" }
+];
+
+function periodStart(id, now = Date.now()) {
+  const p = PERIODS.find(x => x.id === id);
+  if (!p || id === "all") return 0;
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  return p.days ? midnight.getTime() - (p.days - 1) * 86400000 : midnight.getTime();
+}
+
+function localDay(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function tally(entries, keyOf, describe, limit) {
+  const map = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    if (!key) continue;
+    let row = map.get(key);
+    if (!row) { row = Object.assign({ plays: 0, skips: 0, listened: 0 }, describe(e)); map.set(key, row); }
+    row.plays++;
+    if (e.skipped) row.skips++;
+    row.listened += e.listened || 0;
+  }
+  return Array.from(map.values())
+    .sort((a, b) => (b.plays - b.skips) - (a.plays - a.skips) || b.listened - a.listened)
+    .slice(0, limit);
+}
+
+function computeStats(entries, period = "7d", { now = Date.now(), limit = 10 } = {}) {
+  const since = periodStart(period, now);
+  const inPeriod = entries.filter(e => Date.parse(e.start) >= since);
+  const perDay = new Map();
+  for (const e of inPeriod) {
+    const day = localDay(e.start);
+    perDay.set(day, (perDay.get(day) || 0) + (e.listened || 0));
+  }
+  const plays = inPeriod.length;
+  const skips = inPeriod.filter(e => e.skipped).length;
+  return {
+    period,
+    plays,
+    skips,
+    skipRate: plays ? skips / plays : 0,
+    listened: inPeriod.reduce((sum, e) => sum + (e.listened || 0), 0),
+    topArtists: tally(inPeriod, e => e.artist, e => ({ name: e.artist }), limit),
+    topTracks: tally(inPeriod, e => `${e.name}::${e.artist}`, e => ({ name: e.name, artist: e.artist }), limit),
+    topAlbums: tally(inPeriod, e => e.album && `${e.album}::${e.artist}`, e => ({ name: e.album, artist: e.artist }), limit),
+    perDay: Array.from(perDay, ([day, listened]) => ({ day, listened })).sort((a, b) => a.day.localeCompare(b.day))
+  };
+}
+
+function csvField(v) {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// one table: section (artist/track/album/day), name, artist, plays, skips, skip_rate, listened_seconds
+function statsToCsv(stats) {
+  const rows = [["section", "name", "artist", "plays", "skips", "skip_rate", "listened_seconds"]];
+  const add = (section, list) => list.forEach(r => rows.push([
+    section, r.name, r.artist || "", r.plays, r.skips, r.plays ? (r.skips / r.plays).toFixed(2) : "0.00", Math.round(r.listened)
+  ]));
+  rows.push(["total", "", "", stats.plays, stats.skips, stats.skipRate.toFixed(2), Math.round(stats.listened)]);
+  add("artist", stats.topArtists);
+  add("track", stats.topTracks);
+  add("album", stats.topAlbums);
+  stats.perDay.forEach(d => rows.push(["day", d.day, "", "", "", "", Math.round(d.listened)]));
+  return rows.map(r => r.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+  createPlayTracker, appendHistory, loadHistory, historyPath, isSkip,
+  computeStats, statsToCsv, csvField, PERIODS
+};
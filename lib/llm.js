@@ -0,0 +1,32 @@
+"use strict";
+
+/**
+ * OpenAI SDK client for the language-model features (trivia, command bar).
+ * The SDK is an optional dependency; `openai-compatible` points it at another
+ * server's /v1 API (Ollama, llama.cpp server, a local mock, …).
+ */
+
+// the SDK would wait 10 minutes and try twice more; a hung server shouldn't
+// keep "Thinking…" up for half an hour
+const REQUEST_TIMEOUT_MS = 60000;
+const MAX_RETRIES = 1;
+
+function loadOpenAI() {
+  try { return require("openai"); } catch { return null; }
+}
+
+// options: { provider: "openai" | "openai-compatible", baseURL, apiKey }
+// -> { client } or { error } explaining what's missing
+function createClient({ provider, baseURL, apiKey }) {
+  const OpenAI = loadOpenAI();
+  if (!OpenAI) return { error: "Install the openai package (npm i openai)." };
+  if (provider === "openai-compatible") {
+    // local servers usually ignore the key, but the client insists on one
+    return { client: new OpenAI({ baseURL, apiKey: apiKey || process.env.OPENAI_API_KEY || "none", timeout: REQUEST_TIMEOUT_MS, maxRetries: MAX_RETRIES }) };
+  }
+  const key = apiKey || process.env.OPENAI_API_KEY;
+  if (!key) return { error: "Set OPENAI_API_KEY." };
+  return { client: new OpenAI({ apiKey: key, timeout: REQUEST_TIMEOUT_MS, maxRetries: MAX_RETRIES }) };
+}
+
+module.exports = { createClient };
@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Lyrics: LRC parsing, current-line lookup, a folder of .lrc files matched by
+ * artist/title, and per-track timing offsets kept in
+ * ~/.config/music-tui/lyrics-offsets.json.
+ *
+ * Parsed lyrics are { synced, lines: [{ time, text }] } with `time` in
+ * seconds (already corrected by an [offset:] tag); unsynced lyrics have
+ * time = null on every line.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { configDir } = require("./config");
+const { normalize } = require("./search");
+
+const TIME_TAG = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+
+function parseLrc(text) {
+  const timed = [];
+  const plain = [];
+  let offset = 0; // [offset:+500] = show lines 0.5 s earlier
+  for (const raw of String(text || "").replace(/\r\n?/g, "\n").split("\n")) {
+    const meta = raw.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]\s*$/i);
+    if (meta) { offset = parseInt(meta[1], 10) / 1000; continue; }
+    if (/^\s*\[[a-z]+:.*\]\s*$/i.test(raw)) continue; // [ar:], [ti:], … id tags
+
+    const times = [];
+    let rest = raw.replace(TIME_TAG, (m, min, sec) => {
+      times.push(parseInt(min, 10) * 60 + parseFloat(sec.replace(":", ".")));
+      return "";
+    });
+    rest = rest.replace(/<\d+:\d{1,2}(?:\.\d+)?>/g, "").trim(); // enhanced-LRC word timings
+    if (times.length) times.forEach(time => timed.push({ time, text: rest }));
+    else plain.push({ time: null, text: raw.trim() });
+  }
+  if (!timed.length) {
+    // trim blank lines at both ends, keep the inner ones (verse breaks)
+    while (plain.length && !plain[0].text) plain.shift();
+    while (plain.length && !plain[plain.length - 1].text) plain.pop();
+    return { synced: false, lines: plain };
+  }
+  timed.sort((a, b) => a.time - b.time);
+  return { synced: true, lines: timed.map(l => ({ time: Math.max(0, l.time - offset), text: l.text })) };
+}
+
+// index of the line sung at `position` (seconds), -1 before the first one
+function lineAt(lines, position) {
+  let lo = 0, hi = lines.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (lines[mid].time <= position) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+// "Artist - Title.lrc", "Artist/Title.lrc" or "Title.lrc", compared loosely
+function slug(s) {
+  return normalize(s).replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function findLrcFile(dir, artist, title) {
+  if (!dir || !title) return null;
+  const want = slug(title);
+  const wantArtist = slug(artist);
+  let entries;
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return null; }
+
+  let titleOnly = null;
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      if (wantArtist && slug(e.name) === wantArtist) {
+        const inner = findLrcFile(full, "", title);
+        if (inner) return inner;
+      }
+      continue;
+    }
+    if (!/\.lrc$/i.test(e.name)) continue;
+    const base = e.name.slice(0, -4);
+    const dash = base.lastIndexOf(" - ");
+    if (dash !== -1) {
+      if (slug(base.slice(dash + 3)) === want && (!wantArtist || slug(base.slice(0, dash)) === wantArtist)) return full;
+    } else if (slug(base) === want) {
+      titleOnly = titleOnly || full;
+    }
+  }
+  return titleOnly;
+}
+
+// Per-track offsets (seconds, + = lines appear later), saved on every change.
+function createOffsetStore(file = path.join(configDir(), "lyrics-offsets.json")) {
+  let offsets = null;
+  function load() {
+    if (offsets) return offsets;
+    try { offsets = JSON.parse(fs.readFileSync(file, "utf8")) || {}; } catch { offsets = {}; }
+    return offsets;
+  }
+  return {
+    get(key) { return Number(load()[key]) || 0; },
+    set(key, seconds) {
+      const all = load();
+      const value = Math.round(seconds * 10) / 10;
+      if (value) all[key] = value; else delete all[key];
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(all, null, 2) + "\n");
+      return value;
+    }
+  };
+}
+
+module.exports = { parseLrc, lineAt, findLrcFile, createOffsetStore };
@@ -0,0 +1,290 @@
+"use strict";
+
+/**
+ * Playlist files: any playlist can be written out as M3U8, JSON or CSV, and
+ * such a file read back into a new playlist.
+ *
+ * Importing looks every entry up in the library by title, artist and album.
+ * An entry matches exactly when those agree (ignoring case and accents), and
+ * fuzzily when they only agree without punctuation and additions such as
+ * "(Remastered)" or "feat. …"; anything else is reported as missing and left
+ * out of the new playlist.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { normalize, createSearchCache } = require("./search");
+const { csvField } = require("./history");
+const { parseTime } = require("./time");
+
+const FORMATS = ["m3u8", "json", "csv"];
+const SEARCH_LIMIT = 200;
+
+// from the file extension; null if it's none of ours
+function formatOf(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".m3u8" || ext === ".m3u") return "m3u8";
+  return FORMATS.includes(ext.slice(1)) ? ext.slice(1) : null;
+}
+
+// ---------- Writing ----------
+const M3U_NOTE = "# music-tui: "; // prefix of a track without a file, see serialize()
+const oneLine = s => String(s || "").replace(/[\r\n]+/g, " ");
+
+// tracks: getTracksOfPlaylist rows, plus location (file path) where known
+function serialize(format, name, tracks) {
+  const secs = t => Math.round(t.duration || 0);
+  if (format === "json") {
+    const rows = tracks.map(t => Object.assign(
+      { name: t.name, artist: t.artist || "", album: t.album || "", duration: secs(t) },
+      t.location ? { location: t.location } : {}
+    ));
+    return JSON.stringify({ name, tracks: rows }, null, 2) + "\n";
+  }
+  if (format === "csv") {
+    const rows = [["name", "artist", "album", "duration"]]
+      .concat(tracks.map(t => [t.name, t.artist || "", t.album || "", secs(t)]));
+    return rows.map(r => r.map(csvField).join(",")).join("\n") + "\n";
+  }
+  // M3U8: a track without a file can't be an entry (a bare #EXTINF would take
+  // the next entry's path), so its lines go into a comment that only an
+  // import here reads
+  const lines = ["#EXTM3U", `#PLAYLIST:${oneLine(name)}`];
+  for (const t of tracks) {
+    const note = t.location ? "" : M3U_NOTE;
+    lines.push(`${note}#EXTINF:${secs(t) || -1},${t.artist ? oneLine(t.artist) + " - " : ""}${oneLine(t.name)}`);
+    if (t.album) lines.push(`${note}#EXTALB:${oneLine(t.album)}`);
+    if (t.location) lines.push(t.location);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// -> { format, tracks, located } (located: how many got a file location)
+async function exportPlaylist(backend, name, file) {
+  const format = formatOf(file);
+  if (!format) throw new Error(`Unknown playlist format "${path.extname(file)}" (use .m3u8, .json or .csv)`);
+  const tracks = await backend.getTracksOfPlaylist(name);
+  let located = 0;
+  if (format !== "csv" && typeof backend.getTrackLocations === "function") {
+    const locations = await backend.getTrackLocations(name);
+    tracks.forEach(t => { t.location = locations[t.index - 1] || ""; if (t.location) located++; });
+  }
+  await fs.promises.writeFile(file, serialize(format, name, tracks));
+  return { format, tracks: tracks.length, located };
+}
+
+// ---------- Reading ----------
+// "Artist - Title" as in #EXTINF; without the dash it's all title
+function splitTitle(text) {
+  const i = text.indexOf(" - ");
+  return i === -1 ? { artist: "", name: text.trim() } : { artist: text.slice(0, i).trim(), name: text.slice(i + 3).trim() };
+}
+
+// a bare path: the file name without track number and extension is the best guess at a title
+function fromLocation(location) {
+  let base = location.replace(/[?#].*$/, "").split(/[\\/]/).pop();
+  try { base = decodeURIComponent(base); } catch { /* not URL-encoded */ }
+  return { name: base.replace(/\.[^.]+$/, "").replace(/^\d+[\s.\-_]+/, ""), artist: "", album: "", duration: 0 };
+}
+
+function parseM3u(text) {
+  const entries = [];
+  let name = "", pending = null;
+  let fileless = false; // pending came from a comment: no path of its own
+  for (const raw of text.split(/\r?\n/)) {
+    let line = raw.trim();
+    if (!line) continue;
+    const noted = line.startsWith(M3U_NOTE);
+    if (noted) line = line.slice(M3U_NOTE.length);
+    if (noted && !line.startsWith("#")) continue;
+    if (line.startsWith("#PLAYLIST:")) { name = line.slice(10).trim(); continue; }
+    const inf = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/.exec(line);
+    if (inf) {
+      if (pending) entries.push(pending);
+      pending = Object.assign({ album: "", duration: Math.max(0, parseFloat(inf[1]) || 0) }, splitTitle(inf[2]));
+      fileless = noted;
+      continue;
+    }
+    if (line.startsWith("#EXTALB:")) { if (pending) pending.album = line.slice(8).trim(); continue; }
+    if (line.startsWith("#")) continue;
+    if (pending && fileless) { entries.push(pending); pending = null; }
+    entries.push(Object.assign(pending || fromLocation(line), { location: line }));
+    pending = null;
+  }
+  if (pending) entries.push(pending);
+  return { name, entries };
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === "\"" && text[i + 1] === "\"") { field += "\""; i++; }
+      else if (c === "\"") quoted = false;
+      else field += c;
+    } else if (c === "\"") quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// columns by header (name or title, artist, album, duration); without a header
+// they're taken in that order
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  const head = (rows[0] || []).map(h => h.trim().toLowerCase());
+  const col = names => head.findIndex(h => names.includes(h));
+  let cols = { name: col(["name", "title"]), artist: col(["artist"]), album: col(["album"]), duration: col(["duration"]) };
+  if (cols.name === -1) cols = { name: 0, artist: 1, album: 2, duration: 3 };
+  else rows.shift();
+  const get = (r, c) => (c >= 0 && r[c] ? r[c].trim() : "");
+  return {
+    name: "",
+    entries: rows.map(r => ({
+      name: get(r, cols.name), artist: get(r, cols.artist), album: get(r, cols.album),
+      duration: parseTime(get(r, cols.duration)) || 0
+    }))
+  };
+}
+
+// a { name, tracks: [...] } object (what export writes) or just the array
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const tracks = Array.isArray(data) ? data : data && data.tracks;
+  if (!Array.isArray(tracks)) throw new Error("expected a list of tracks");
+  return {
+    name: (!Array.isArray(data) && typeof data.name === "string") ? data.name : "",
+    entries: tracks.filter(t => t && typeof t === "object").map(t => ({
+      name: String(t.name || t.title || ""), artist: String(t.artist || ""), album: String(t.album || ""),
+      duration: typeof t.duration === "number" ? t.duration : parseTime(t.duration || "") || 0,
+      location: t.location ? String(t.location) : undefined
+    }))
+  };
+}
+
+// -> { name, entries: [{ name, artist, album, duration, location? }] }; name
+// falls back to the file name. Throws if the file can't be read or parsed.
+function readPlaylistFile(file) {
+  const format = formatOf(file);
+  if (!format) throw new Error(`Unknown playlist format "${path.extname(file)}" (use .m3u8, .m3u, .json or .csv)`);
+  const text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+  let parsed;
+  try {
+    parsed = format === "json" ? parseJson(text) : format === "csv" ? parseCsv(text) : parseM3u(text);
+  } catch (e) {
+    throw new Error(`${path.basename(file)}: ${e.message}`);
+  }
+  parsed.entries = parsed.entries.filter(e => e.name);
+  if (!parsed.name) parsed.name = path.basename(file, path.extname(file));
+  return parsed;
+}
+
+// ---------- Matching ----------
+const same = (a, b) => normalize(a).trim() === normalize(b).trim();
+
+// what's left of a title or artist without the usual decorations
+function simplify(s) {
+  return normalize(s)
+    .replace(/[([][^)\]]*[)\]]/g, " ")
+    .replace(/\s(feat|ft|featuring|with)\.?\s.*$/, "")
+    .replace(/\s-\s.*\b(remaster(ed)?|live|version|edit|mix|mono|stereo)\b.*$/, "")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function similarArtist(a, b) {
+  if (!a || !b) return true;
+  const [x, y] = [simplify(a), simplify(b)];
+  return x === y || (!!x && !!y && (x.includes(y) || y.includes(x)));
+}
+
+// the best library track for entry: { track, exact } or null
+function bestMatch(entry, candidates) {
+  const byLocation = entry.location && candidates.find(t => t.id === entry.location);
+  if (byLocation) return { track: byLocation, exact: true };
+  const exact = entry.artist ? candidates.filter(t => same(t.name, entry.name) && same(t.artist, entry.artist)) : [];
+  const exactAlbum = exact.find(t => !entry.album || same(t.album, entry.album));
+  if (exactAlbum) return { track: exactAlbum, exact: true };
+
+  const title = simplify(entry.name);
+  const fuzzy = candidates.filter(t => simplify(t.name) === title && similarArtist(t.artist, entry.artist));
+  if (!fuzzy.length) return null;
+  // same album first, then the closest length
+  const rank = t => (entry.album && same(t.album, entry.album) ? 0 : 1e6) +
+    (entry.duration && t.duration ? Math.abs(t.duration - entry.duration) : 1000);
+  return { track: fuzzy.sort((a, b) => rank(a) - rank(b))[0], exact: false };
+}
+
+// -> { exact: [{ entry, track }], fuzzy: [{ entry, track }], missing: [entry], tracks: [track] }
+// tracks: the matches in file order. onProgress(done, total) after every entry.
+async function matchEntries(backend, entries, onProgress = () => {}) {
+  const cache = createSearchCache((word, limit) => backend.searchLibrary(word, limit), { limit: SEARCH_LIMIT });
+  const report = { exact: [], fuzzy: [], missing: [], tracks: [] };
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    let match = bestMatch(entry, await cache.candidates(simplify(entry.name) || entry.name));
+    // a common title may not leave room for the right artist in the results
+    if ((!match || !match.exact) && entry.artist) match = bestMatch(entry, await cache.candidates(simplify(entry.artist))) || match;
+    if (!match) report.missing.push(entry);
+    else {
+      (match.exact ? report.exact : report.fuzzy).push({ entry, track: match.track });
+      report.tracks.push(match.track);
+    }
+    onProgress(i + 1, entries.length);
+  }
+  return report;
+}
+
+function uniqueName(existing, name) {
+  if (!existing.includes(name)) return name;
+  let n = 2;
+  while (existing.includes(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+// reads file, matches it against the library and saves the matches as a new
+// playlist (named after the file unless name is given; never an existing
+// name). Resolves to matchEntries' report plus { playlist, total };
+// playlist is "" when nothing matched and no playlist was made.
+async function importPlaylist(backend, file, { name, onProgress } = {}) {
+  for (const method of ["createPlaylist", "addToPlaylist"]) {
+    if (typeof backend[method] !== "function") throw new Error(`${backend.label} can't import playlists`);
+  }
+  if (typeof backend.searchLibrary !== "function") throw new Error(`Importing needs library search, which is not supported by ${backend.label}`);
+  const parsed = readPlaylistFile(file);
+  if (!parsed.entries.length) throw new Error(`No tracks in ${path.basename(file)}`);
+  const report = await matchEntries(backend, parsed.entries, onProgress);
+  report.total = parsed.entries.length;
+  report.playlist = "";
+  if (!report.tracks.length) return report;
+  report.playlist = uniqueName(await backend.getPlaylists(), name || parsed.name);
+  await backend.createPlaylist(report.playlist);
+  for (const t of report.tracks) await backend.addToPlaylist(t, report.playlist);
+  return report;
+}
+
+// "Title - Artist (Album)", for reports
+function describeEntry(e) {
+  return [e.name, e.artist].filter(Boolean).join(" - ") + (e.album ? ` (${e.album})` : "");
+}
+
+function reportSummary(report) {
+  const counts = `${report.exact.length} exact, ${report.fuzzy.length} fuzzy, ${report.missing.length} missing`;
+  return report.playlist
+    ? `Imported "${report.playlist}": ${report.tracks.length} of ${report.total} tracks (${counts})`
+    : `Nothing imported: none of the ${report.total} tracks is in the library`;
+}
+
+module.exports = {
+  FORMATS, formatOf, serialize, exportPlaylist, readPlaylistFile, simplify, bestMatch,
+  matchEntries, importPlaylist, describeEntry, reportSummary
+};
@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * A–B loop and per-track bookmarks, for going over one part of a track again.
+ *
+ * The loop only lives in memory: the TUI marks A, then B, then turns it off,
+ * and its refresh loop jumps back to A whenever the position reaches B.
+ * Bookmarks are named positions kept per track (title and artist) in
+ * bookmarks.json in the config directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { configDir } = require("./config");
+const { preciseTimeFmt } = require("./time");
+
+const MIN_LOOP = 0.5; // seconds; a shorter B–A would only stutter
+
+function createAbLoop() {
+  let loop = null; // { key, a, b }
+
+  return {
+    // key: the track (see the TUI's trackKey); each call sets A, then B, then
+    // clears. Returns "a", "ab" or "off".
+    mark(key, position) {
+      if (!loop || loop.key !== key) { loop = { key, a: position, b: null }; return "a"; }
+      if (loop.b === null) {
+        const a = Math.min(loop.a, position), b = Math.max(loop.a, position);
+        if (b - a < MIN_LOOP) return "a";
+        loop = { key, a, b };
+        return "ab";
+      }
+      loop = null;
+      return "off";
+    },
+
+    clear() {
+      const had = !!loop;
+      loop = null;
+      return had;
+    },
+
+    // { a, b } (b null until set) for the track, null if the loop is on another one
+    get(key) { return loop && loop.key === key ? { a: loop.a, b: loop.b } : null; },
+    get active() { return !!loop; },
+    get key() { return loop ? loop.key : ""; },
+
+    status() {
+      if (!loop) return "";
+      return loop.b === null ? `⟲ A ${preciseTimeFmt(loop.a)}` : `⟲ ${preciseTimeFmt(loop.a)}–${preciseTimeFmt(loop.b)}`;
+    }
+  };
+}
+
+// ---------- Bookmarks ----------
+function createBookmarkStore(file = path.join(configDir(), "bookmarks.json")) {
+  let all = null; // key -> [{ name, at }]
+  function load() {
+    if (all) return all;
+    try { all = JSON.parse(fs.readFileSync(file, "utf8")) || {}; } catch { all = {}; }
+    return all;
+  }
+  function save(key, marks) {
+    load();
+    if (marks.length) all[key] = marks; else delete all[key];
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(all, null, 2) + "\n");
+    return marks;
+  }
+
+  return {
+    // sorted by position
+    list(key) {
+      const marks = load()[key];
+      return Array.isArray(marks) ? marks.filter(m => Number.isFinite(m.at)).sort((a, b) => a.at - b.at) : [];
+    },
+
+    // a bookmark at (almost) the same position is renamed instead of doubled
+    add(key, name, at) {
+      at = Math.round(at * 10) / 10;
+      const marks = this.list(key).filter(m => Math.abs(m.at - at) >= 0.1);
+      marks.push({ name, at });
+      return save(key, marks.sort((a, b) => a.at - b.at));
+    },
+
+    rename(key, at, name) {
+      return save(key, this.list(key).map(m => (m.at === at ? { name, at } : m)));
+    },
+
+    remove(key, at) {
+      return save(key, this.list(key).filter(m => m.at !== at));
+    }
+  };
+}
+
+// the bookmark to jump to from position: dir 1 = next, -1 = previous. Going
+// back skips one that was just passed, so pressing again keeps stepping back.
+function adjacentBookmark(marks, position, dir) {
+  if (dir > 0) return marks.find(m => m.at > position + 0.5) || null;
+  for (let i = marks.length - 1; i >= 0; i--) if (marks[i].at < position - 1.5) return marks[i];
+  return null;
+}
+
+module.exports = { createAbLoop, createBookmarkStore, adjacentBookmark };
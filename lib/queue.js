@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * TUI-owned Up Next queue, used when the backend cannot edit the player's own
+ * queue (Music.app, MPRIS). Entries are track objects that know how to be
+ * played: either a library `id` (backend.playLibraryTrack) or a `playlist`
+ * name + 1-based `index` (backend.playTrackInPlaylist).
+ */
+
+function createLocalQueue() {
+  const items = [];
+  return {
+    get length() { return items.length; },
+    list() { return items.slice(); },
+    playNext(entry) { items.unshift(entry); },
+    playLater(entry) { items.push(entry); },
+    remove(i) { if (i >= 0 && i < items.length) items.splice(i, 1); },
+    move(from, to) {
+      if (from < 0 || from >= items.length || to < 0 || to >= items.length) return false;
+      const [e] = items.splice(from, 1);
+      items.splice(to, 0, e);
+      return true;
+    },
+    shift() { return items.shift(); },
+    clear() { items.length = 0; }
+  };
+}
+
+async function playEntry(backend, entry) {
+  if (entry.playlist) await backend.playTrackInPlaylist(entry.playlist, entry.index);
+  else await backend.playLibraryTrack(entry);
+}
+
+module.exports = { createLocalQueue, playEntry };
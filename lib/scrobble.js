@@ -0,0 +1,284 @@
+"use strict";
+
+/**
+ * Scrobbling to ListenBrainz and/or Last.fm.
+ *
+ * The TUI feeds plays from the play tracker (lib/history.js): a new track is
+ * sent as "now playing", and once it has been heard for half its length (or
+ * 4 minutes) it is queued as a scrobble. The queue lives in
+ * ~/.config/music-tui/scrobble-queue.json and is written before anything is
+ * sent, so plays that fail to submit (offline, service down, bad token) are
+ * retried with backoff – also after a restart.
+ *
+ * Each service's "url" can point at a local mock server for testing.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { configDir } = require("./config");
+
+const CLIENT = "music-tui";
+const TIMEOUT_MS = 15000;
+const RETRY_MIN_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const MIN_DURATION = 30; // Last.fm ignores shorter tracks, so do both services
+
+const DEFAULT_URLS = {
+  listenbrainz: "https://api.listenbrainz.org",
+  lastfm: "https://ws.audioscrobbler.com/2.0/"
+};
+
+function queuePath() {
+  return path.join(configDir(), "scrobble-queue.json");
+}
+
+// retry: worth sending again later; auth: the credentials are wrong (the queue
+// is kept so plays aren't lost while the config gets fixed)
+class ScrobbleError extends Error {
+  constructor(message, { retry = true, auth = false } = {}) {
+    super(message);
+    this.retry = retry;
+    this.auth = auth;
+  }
+}
+
+async function post(fetchFn, url, init) {
+  let res;
+  try {
+    res = await fetchFn(url, Object.assign({ method: "POST", signal: AbortSignal.timeout(TIMEOUT_MS) }, init));
+  } catch (e) {
+    const why = e.name === "TimeoutError" ? "timed out" : (e.cause && e.cause.code) || e.message;
+    throw new ScrobbleError(`${new URL(url).host} unreachable (${why})`);
+  }
+  const text = await res.text();
+  let body = null;
+  try { body = JSON.parse(text); } catch { /* error pages are often HTML */ }
+  return { status: res.status, ok: res.ok, body, text };
+}
+
+// ---------- ListenBrainz ----------
+function listenBrainzClient({ token, url }, fetchFn) {
+  const endpoint = `${url.replace(/\/+$/, "")}/1/submit-listens`;
+
+  const metadata = t => ({
+    artist_name: t.artist,
+    track_name: t.track,
+    ...(t.album ? { release_name: t.album } : {}),
+    additional_info: Object.assign({ media_player: CLIENT, submission_client: CLIENT },
+      t.duration ? { duration_ms: Math.round(t.duration * 1000) } : {})
+  });
+
+  async function send(payload) {
+    const res = await post(fetchFn, endpoint, {
+      headers: { "Authorization": `Token ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    if (res.ok) return;
+    const why = (res.body && res.body.error) || `HTTP ${res.status}`;
+    if (res.status === 401 || res.status === 403) throw new ScrobbleError(`invalid token (${why})`, { auth: true });
+    if (res.status === 429 || res.status >= 500) throw new ScrobbleError(why);
+    throw new ScrobbleError(why, { retry: false });
+  }
+
+  return {
+    id: "listenbrainz",
+    label: "ListenBrainz",
+    batchSize: 100,
+    nowPlaying: t => send({ listen_type: "playing_now", payload: [{ track_metadata: metadata(t) }] }),
+    submit: list => send({
+      listen_type: list.length === 1 ? "single" : "import",
+      payload: list.map(t => ({ listened_at: t.timestamp, track_metadata: metadata(t) }))
+    })
+  };
+}
+
+// ---------- Last.fm ----------
+// error codes: https://www.last.fm/api/errorcodes
+const LASTFM_AUTH_ERRORS = [4, 9, 10, 14, 26];
+const LASTFM_RETRY_ERRORS = [8, 11, 16, 29];
+
+function lastFmSignature(params, secret) {
+  const base = Object.keys(params).sort().map(k => k + params[k]).join("") + secret;
+  return crypto.createHash("md5").update(base, "utf8").digest("hex");
+}
+
+function lastFmClient({ apiKey, apiSecret, sessionKey, username, password, url }, fetchFn) {
+  let session = sessionKey || null;
+
+  async function call(method, params) {
+    const signed = Object.assign({ method, api_key: apiKey }, params);
+    signed.api_sig = lastFmSignature(signed, apiSecret);
+    signed.format = "json";
+    const res = await post(fetchFn, url, {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams(signed).toString()
+    });
+    const body = res.body || {};
+    if (res.ok && !body.error) return body;
+    const code = Number(body.error);
+    const why = body.message || `HTTP ${res.status}`;
+    if (LASTFM_AUTH_ERRORS.includes(code)) {
+      if (code === 9 && !sessionKey) session = null; // log in again next time
+      throw new ScrobbleError(`${why} (check apiKey/apiSecret/sessionKey)`, { auth: true });
+    }
+    if (LASTFM_RETRY_ERRORS.includes(code) || !code || res.status >= 500) throw new ScrobbleError(why);
+    throw new ScrobbleError(why, { retry: false });
+  }
+
+  // with username/password instead of a sessionKey, log in once per run
+  async function sessionKeyFor() {
+    if (!session) {
+      const body = await call("auth.getMobileSession", { username, password });
+      session = body.session && body.session.key;
+      if (!session) throw new ScrobbleError("login returned no session key", { auth: true });
+    }
+    return session;
+  }
+
+  const fields = (t, i = "") => {
+    const f = { [`artist${i}`]: t.artist, [`track${i}`]: t.track };
+    if (t.album) f[`album${i}`] = t.album;
+    if (t.duration) f[`duration${i}`] = String(Math.round(t.duration));
+    return f;
+  };
+
+  return {
+    id: "lastfm",
+    label: "Last.fm",
+    batchSize: 50,
+    async nowPlaying(t) {
+      await call("track.updateNowPlaying", Object.assign({ sk: await sessionKeyFor() }, fields(t)));
+    },
+    async submit(list) {
+      const params = { sk: await sessionKeyFor() };
+      list.forEach((t, i) => Object.assign(params, fields(t, `[${i}]`), { [`timestamp[${i}]`]: String(t.timestamp) }));
+      await call("track.scrobble", params);
+    }
+  };
+}
+
+// ---------- Queue + retry ----------
+// services: settings.scrobble ({ listenbrainz?, lastfm? });
+// onStatus(): called whenever status() changes, onError(label, message) on failures
+function createScrobbler(services, { queueFile = queuePath(), fetch: fetchFn = globalThis.fetch, onStatus = () => {}, onError = () => {} } = {}) {
+  const clients = [];
+  if (services.listenbrainz) clients.push(listenBrainzClient(services.listenbrainz, fetchFn));
+  if (services.lastfm) clients.push(lastFmClient(services.lastfm, fetchFn));
+
+  let queue = {}; // service id -> [track, ...]
+  try {
+    const saved = JSON.parse(fs.readFileSync(queueFile, "utf8"));
+    if (saved && typeof saved === "object") queue = saved;
+  } catch { /* no queue yet */ }
+  for (const c of clients) if (!Array.isArray(queue[c.id])) queue[c.id] = [];
+
+  // written before every send, so a crash mid-request never loses a play
+  function saveQueue() {
+    try {
+      fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+      fs.writeFileSync(queueFile + ".tmp", JSON.stringify(queue) + "\n");
+      fs.renameSync(queueFile + ".tmp", queueFile);
+    } catch (e) {
+      onError("Scrobble queue", e.message);
+    }
+  }
+
+  const state = {}; // service id -> { error, failures, timer, sending }
+  for (const c of clients) state[c.id] = { error: null, failures: 0, timer: null, sending: false };
+
+  function failed(c, e) {
+    const st = state[c.id];
+    const changed = st.error !== e.message;
+    st.error = e.message;
+    if (changed) onError(c.label, e.message);
+    onStatus();
+  }
+
+  function scheduleRetry(c) {
+    const st = state[c.id];
+    clearTimeout(st.timer);
+    const delay = Math.min(RETRY_MAX_MS, RETRY_MIN_MS * 2 ** st.failures);
+    st.failures++;
+    st.timer = setTimeout(() => { st.timer = null; flush(c); }, delay);
+    st.timer.unref();
+  }
+
+  async function flush(c) {
+    const st = state[c.id];
+    if (st.sending) return;
+    st.sending = true;
+    try {
+      while (queue[c.id].length) {
+        const batch = queue[c.id].slice(0, c.batchSize);
+        try {
+          await c.submit(batch);
+        } catch (e) {
+          if (e.retry === false) {
+            // the service rejected these plays; resending won't help
+            queue[c.id].splice(0, batch.length);
+            saveQueue();
+            failed(c, new Error(`dropped ${batch.length} scrobble(s): ${e.message}`));
+            continue;
+          }
+          failed(c, e);
+          scheduleRetry(c);
+          return;
+        }
+        queue[c.id].splice(0, batch.length);
+        saveQueue();
+        st.error = null;
+        st.failures = 0;
+        onStatus();
+      }
+    } finally {
+      st.sending = false;
+    }
+  }
+
+  const toTrack = play => ({
+    artist: play.artist, track: play.name, album: play.album || "",
+    duration: Math.round(play.duration) || 0,
+    timestamp: Math.floor(play.start / 1000)
+  });
+  const scrobblable = play => play.artist && play.name && !(play.duration > 0 && play.duration <= MIN_DURATION);
+
+  return {
+    enabled: clients.length > 0,
+
+    // play = the tracker's play ({ name, artist, album, duration, start })
+    nowPlaying(play) {
+      if (!scrobblable(play)) return;
+      for (const c of clients) {
+        c.nowPlaying(toTrack(play)).then(() => {
+          if (state[c.id].error && !queue[c.id].length) { state[c.id].error = null; onStatus(); }
+        }, e => failed(c, e));
+      }
+    },
+
+    scrobble(play) {
+      if (!scrobblable(play)) return;
+      for (const c of clients) queue[c.id].push(toTrack(play));
+      saveQueue();
+      onStatus();
+      // a service in backoff waits for its timer instead of hammering the server
+      for (const c of clients) if (!state[c.id].timer) flush(c);
+    },
+
+    // send whatever an earlier run left behind
+    retry() {
+      for (const c of clients) {
+        clearTimeout(state[c.id].timer);
+        state[c.id].timer = null;
+        flush(c);
+      }
+    },
+
+    // [{ label, queued, error }] per service
+    status() {
+      return clients.map(c => ({ label: c.label, queued: queue[c.id].length, error: state[c.id].error }));
+    }
+  };
+}
+
+module.exports = { createScrobbler, queuePath, lastFmSignature, ScrobbleError, DEFAULT_URLS };
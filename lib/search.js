@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * Library search: fuzzy ranking, grouping into tracks / albums / artists and
+ * a candidate cache so refining a query doesn't ask the backend again.
+ *
+ * Backends only do a coarse substring search for one word of the query
+ * (backend.searchLibrary); everything else happens here.
+ */
+
+function normalize(s) {
+  return String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function tokens(query) {
+  return normalize(query).split(/\s+/).filter(Boolean);
+}
+
+// Subsequence match of `needle` in `hay` (both normalized). -1 = no match.
+// Contiguous runs, word starts and an early first hit score higher.
+function fuzzyScore(needle, hay) {
+  if (!needle) return 0;
+  const exact = hay.indexOf(needle);
+  if (exact !== -1) {
+    const wordStart = exact === 0 || /\W/.test(hay[exact - 1]);
+    return 100 + needle.length * 10 + (wordStart ? 50 : 0) + (hay === needle ? 100 : 0) - Math.min(exact, 30);
+  }
+  let score = 0, h = 0, run = 0;
+  for (let i = 0; i < needle.length; i++) {
+    const at = hay.indexOf(needle[i], h);
+    if (at === -1) return -1;
+    run = at === h && i > 0 ? run + 1 : 0;
+    score += 1 + run * 3 + (at === 0 || /\W/.test(hay[at - 1]) ? 5 : 0);
+    h = at + 1;
+  }
+  return score - Math.min(hay.length - needle.length, 20) / 4;
+}
+
+// every query token must match one of the fields; the best field counts
+function scoreFields(toks, fields) {
+  let total = 0;
+  for (const t of toks) {
+    let best = -1;
+    for (const f of fields) best = Math.max(best, fuzzyScore(t, f));
+    if (best < 0) return -1;
+    total += best;
+  }
+  return total;
+}
+
+function rankTracks(query, tracks) {
+  const toks = tokens(query);
+  return tracks
+    .map(track => ({
+      track,
+      score: scoreFields(toks, [normalize(track.name), normalize(track.artist), normalize(track.album)])
+    }))
+    .filter(r => r.score >= 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// -> { tracks: [track], albums: [{ album, artist, count }], artists: [{ artist, count }] }
+function groupResults(query, tracks, limits = {}) {
+  const toks = tokens(query);
+  const { maxTracks = 50, maxAlbums = 10, maxArtists = 10 } = limits;
+
+  const albums = new Map();
+  const artists = new Map();
+  for (const t of tracks) {
+    if (t.album) {
+      const key = `${normalize(t.album)}\u0000${normalize(t.artist)}`;
+      const a = albums.get(key) || { album: t.album, artist: t.artist, count: 0 };
+      a.count++;
+      albums.set(key, a);
+    }
+    if (t.artist) {
+      const key = normalize(t.artist);
+      const a = artists.get(key) || { artist: t.artist, count: 0 };
+      a.count++;
+      artists.set(key, a);
+    }
+  }
+  const rank = (items, fields) => items
+    .map(item => ({ item, score: scoreFields(toks, fields(item)) }))
+    .filter(r => r.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .map(r => r.item);
+
+  return {
+    tracks: rankTracks(query, tracks).slice(0, maxTracks).map(r => r.track),
+    albums: rank(Array.from(albums.values()), a => [normalize(a.album), normalize(a.artist)]).slice(0, maxAlbums),
+    artists: rank(Array.from(artists.values()), a => [normalize(a.artist)]).slice(0, maxArtists)
+  };
+}
+
+// the word sent to the backend: the longest token narrows the candidates most
+function fetchWord(query) {
+  return tokens(query).reduce((best, t) => (t.length > best.length ? t : best), "");
+}
+
+// fetch(word, limit) -> Promise<[track]>. A complete (untruncated) result for
+// "yes" already contains every track matching "yesterday", so it is reused.
+function createSearchCache(fetch, { limit = 500, maxEntries = 50 } = {}) {
+  const entries = new Map(); // word -> { tracks, complete }
+
+  function remember(word, entry) {
+    entries.delete(word);
+    entries.set(word, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  async function candidates(query) {
+    const word = fetchWord(query);
+    if (!word) return [];
+    const hit = entries.get(word);
+    if (hit) { remember(word, hit); return hit.tracks; }
+    for (const [w, e] of entries) {
+      if (e.complete && word.includes(w)) return e.tracks;
+    }
+    const tracks = await fetch(word, limit);
+    remember(word, { tracks, complete: tracks.length < limit });
+    return tracks;
+  }
+
+  return { candidates, clear: () => entries.clear() };
+}
+
+module.exports = { normalize, fuzzyScore, rankTracks, groupResults, fetchWord, createSearchCache };
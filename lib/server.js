@@ -0,0 +1,262 @@
+"use strict";
+
+/**
+ * Remote control over HTTP + WebSocket (opt-in with --serve).
+ *
+ *   GET  /                                   bundled web remote (lib/web/remote.html)
+ *   GET  /api/state                          backend.getState()
+ *   POST /api/play | pause | toggle | next | prev
+ *   POST /api/volume    { volume } | { delta }
+ *   POST /api/seek      { position } | { delta }      seconds
+ *   GET  /api/playlists                      [name]
+ *   POST /api/playlists/:name/play
+ *   GET  /api/playlists/:name/tracks         [{ index, name, artist, album }]
+ *   POST /api/playlists/:name/tracks/:index/play
+ *   WS   /ws                                 { type: "state", state } once, then
+ *                                            { type: "diff", changes } per change
+ *
+ * Every request needs the token, as "Authorization: Bearer <token>" or
+ * "?token=<token>". The server never polls: the TUI's refresh loop calls
+ * publish() and remote clients see the same state the screen shows.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { WebSocketServer } = require("ws");
+const { configDir } = require("./config");
+const { logError } = require("./diagnostics");
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 8181;
+const MAX_BODY = 16 * 1024;
+const PAGE = path.join(__dirname, "web", "remote.html");
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --token > MUSIC_TUI_TOKEN > config.server.token > generated once and kept
+// in ~/.config/music-tui/token so bookmarked remotes survive restarts
+function resolveToken(explicit) {
+  if (explicit) return String(explicit);
+  const file = path.join(configDir(), "token");
+  try {
+    const saved = fs.readFileSync(file, "utf8").trim();
+    if (saved) return saved;
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`${file}: ${e.message}`);
+  }
+  const token = crypto.randomBytes(18).toString("base64url");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, token + "\n", { mode: 0o600 });
+  return token;
+}
+
+function tokenMatches(given, token) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requestToken(req, url) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  return url.searchParams.get("token");
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) { reject(new HttpError(413, "Request body too large")); req.destroy(); }
+    });
+    req.on("end", () => {
+      if (!body.trim()) return resolve({});
+      let value;
+      try { value = JSON.parse(body); } catch { return reject(new HttpError(400, "Invalid JSON body")); }
+      if (!value || typeof value !== "object" || Array.isArray(value)) return reject(new HttpError(400, "Body must be a JSON object"));
+      resolve(value);
+    });
+    req.on("error", reject);
+  });
+}
+
+function numberField(body, key) {
+  if (body[key] === undefined) return undefined;
+  const n = Number(body[key]);
+  if (!Number.isFinite(n)) throw new HttpError(400, `"${key}" must be a number`);
+  return n;
+}
+
+// changed keys of getState() between two refreshes
+function diffState(prev, next) {
+  const changes = {};
+  for (const key of Object.keys(next)) {
+    if (!prev || prev[key] !== next[key]) changes[key] = next[key];
+  }
+  return changes;
+}
+
+/**
+ * opts: { backend, host, port, token }
+ * Resolves once listening; rejects if the port cannot be bound.
+ */
+async function startServer({ backend, host = DEFAULT_HOST, port = DEFAULT_PORT, token }) {
+  if (!token) throw new Error("Remote control needs a token");
+  let lastState = null;
+  let actionListener = () => {};
+
+  async function findPlaylist(name) {
+    const names = await backend.getPlaylists();
+    if (!names.includes(name)) throw new HttpError(404, `Playlist not found: ${name}`);
+    return name;
+  }
+
+  const actions = {
+    play: () => backend.play(),
+    pause: () => backend.pause(),
+    async toggle() {
+      const st = await backend.getPlayerState();
+      await (st === "playing" ? backend.pause() : backend.play());
+    },
+    next: () => backend.nextTrack(),
+    prev: () => backend.prevTrack(),
+    async volume(body) {
+      const volume = numberField(body, "volume");
+      const delta = numberField(body, "delta");
+      if (volume === undefined && delta === undefined) throw new HttpError(400, "Expected { volume } or { delta }");
+      const base = volume !== undefined ? volume : (await backend.getVolume()) + delta;
+      const v = Math.round(Math.max(0, Math.min(100, base)));
+      await backend.setVolume(v);
+      return { volume: v };
+    },
+    async seek(body) {
+      const position = numberField(body, "position");
+      const delta = numberField(body, "delta");
+      if (position !== undefined) {
+        await backend.seekTo(Math.max(0, position));
+      } else if (delta !== undefined) {
+        await backend.seekRel(delta);
+      } else {
+        throw new HttpError(400, "Expected { position } or { delta }");
+      }
+    }
+  };
+
+  async function route(req, url) {
+    let parts;
+    try { parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent); }
+    catch { throw new HttpError(400, "Malformed URL"); }
+    const method = req.method;
+    if (parts[0] !== "api") throw new HttpError(404, "Not found");
+
+    if (parts.length === 2 && parts[1] === "state" && method === "GET") {
+      return lastState || backend.getState();
+    }
+    if (parts.length === 2 && actions[parts[1]] && method === "POST") {
+      const result = await actions[parts[1]](await readJson(req));
+      actionListener();
+      return result || { ok: true };
+    }
+    if (parts[1] === "playlists") {
+      if (parts.length === 2 && method === "GET") return backend.getPlaylists();
+      const name = parts[2] !== undefined && await findPlaylist(parts[2]);
+      if (parts.length === 4 && parts[3] === "play" && method === "POST") {
+        await backend.playPlaylistByName(name);
+        actionListener();
+        return { ok: true };
+      }
+      if (parts.length === 4 && parts[3] === "tracks" && method === "GET") {
+        return backend.getTracksOfPlaylist(name);
+      }
+      if (parts.length === 6 && parts[3] === "tracks" && parts[5] === "play" && method === "POST") {
+        const index = parseInt(parts[4], 10);
+        if (!(index >= 1)) throw new HttpError(400, "Track index is 1-based");
+        await backend.playTrackInPlaylist(name, index);
+        actionListener();
+        return { ok: true };
+      }
+    }
+    throw new HttpError(404, "Not found");
+  }
+
+  function send(res, status, body, type = "application/json; charset=utf-8") {
+    res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store" });
+    res.end(type.startsWith("application/json") ? JSON.stringify(body) : body);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    // the page itself is public; it asks for the token and sends it with every call
+    if (url.pathname === "/" && req.method === "GET") {
+      return fs.readFile(PAGE, "utf8", (err, html) => {
+        if (err) send(res, 500, { error: "Web remote missing" });
+        else send(res, 200, html, "text/html; charset=utf-8");
+      });
+    }
+    if (!tokenMatches(requestToken(req, url), token)) return send(res, 401, { error: "Missing or wrong token" });
+    try {
+      send(res, 200, await route(req, url));
+    } catch (e) {
+      send(res, e.status || 500, { error: e.message || String(e) });
+    }
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  server.on("upgrade", (req, socket, head) => {
+    // a client that drops mid-handshake must not take the process (and the TUI) down
+    socket.on("error", () => socket.destroy());
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/ws" || !tokenMatches(requestToken(req, url), token)) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => {
+      // bad frames (unknown opcode, oversized, …) end this client only
+      ws.on("error", e => { logError("Remote client", e, { background: true }); ws.terminate(); });
+      if (lastState) ws.send(JSON.stringify({ type: "state", state: lastState }));
+    });
+  });
+
+  function broadcast(msg) {
+    const data = JSON.stringify(msg);
+    for (const ws of wss.clients) {
+      if (ws.readyState === ws.OPEN) ws.send(data);
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once("error", e => reject(e.code === "EADDRINUSE" ? new Error(`Port ${port} on ${host} is already in use`) : e));
+    server.listen(port, host, resolve);
+  });
+  server.on("error", e => logError("Remote control", e));
+  const shownHost = host.includes(":") ? `[${host}]` : host;
+
+  return {
+    url: `http://${shownHost}:${server.address().port}/`,
+    token,
+    // fn() runs after every remote action so the refresh loop can pick it up early
+    onAction(fn) { actionListener = fn; },
+    // called by the refresh loop with each fresh getState()
+    publish(state) {
+      const changes = diffState(lastState, state);
+      const first = !lastState;
+      lastState = Object.assign({}, state);
+      if (first) broadcast({ type: "state", state: lastState });
+      else if (Object.keys(changes).length) broadcast({ type: "diff", changes });
+    },
+    close() {
+      for (const ws of wss.clients) ws.terminate();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { startServer, resolveToken, diffState, DEFAULT_HOST, DEFAULT_PORT };
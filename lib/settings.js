@@ -0,0 +1,298 @@
+"use strict";
+
+/**
+ * UI settings from the config file: keybindings, theme colors, seek/volume
+ * steps, refresh intervals, layout and panel visibility, how artwork is drawn, the
+ * lyrics folder, history, scrobbling and the language models behind trivia
+ * and the command bar.
+ * resolveSettings() fills in defaults and rejects anything it doesn't
+ * understand, listing every problem at once so a typo never silently falls
+ * back to a default.
+ */
+
+const os = require("os");
+const path = require("path");
+const { configDir } = require("./config");
+const { DEFAULT_URLS } = require("./scrobble");
+const { PROVIDERS, DEFAULT_PROMPT, DEFAULT_MODELS } = require("./trivia");
+const { MODES: ARTWORK_MODES } = require("./artwork");
+
+// action -> default keys (blessed key names); [] = reachable from Commands only
+const DEFAULT_KEYS = {
+  playPause: ["space"],
+  next: [],
+  prev: [],
+  volumeUp: ["+"],
+  volumeDown: ["-"],
+  seekForward: ["right"],
+  seekBack: ["left"],
+  jumpTo: ["j"],             // type a position: 1:23, 40%, +15
+  seekPercent: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"], // the nth key jumps to n × 10 %
+  abLoop: ["x"],             // set A, set B, loop off
+  bookmarks: ["b"],
+  addBookmark: ["S-b"],
+  prevBookmark: [","],
+  nextBookmark: ["."],
+  shuffle: ["s"],
+  repeat: ["r"],
+  playlists: ["p"],
+  search: ["/"],
+  upNext: ["u"],
+  addToPlaylist: ["a"],
+  rate: ["*"],               // 0–5 stars for the current track
+  love: ["l"],
+  dislike: ["d"],
+  stats: ["h"],              // listening history
+  eventLog: ["S-e"],         // recent commands and errors
+  miniPlayer: ["S-m"],       // one- or two-line player ⇄ full layout
+  panels: ["S-p"],           // show / hide panels
+  selectPlayer: [],
+  switchTab: ["t"],          // Trivia ⇄ Lyrics
+  regenerateTrivia: ["g"],   // ask the model again, bypassing the cache
+  commandBar: [":"],         // natural-language commands
+  generatePlaylist: ["m"],   // AI playlist from the library
+  sleepTimer: ["z"],         // sleep timer + wake-up alarm
+  cancelTimers: [],
+  lyricsEarlier: ["["],      // timing offset −0.5 s
+  lyricsLater: ["]"],        // timing offset +0.5 s
+  quit: ["q", "C-c"]
+};
+
+const DEFAULT_THEME = {
+  border: "blue",        // frame, Now playing, Progress, Commands
+  trivia: "green",       // Trivia panel border
+  selectedBg: "blue",
+  selectedFg: "white",
+  progress: "green",
+  progressTrack: "gray",
+  playing: "green",
+  paused: "yellow",
+  stopped: "gray",
+  lyrics: "yellow"       // current lyrics line
+};
+
+const DEFAULT_PANELS = { artwork: true, progress: true, commands: true, trivia: true, help: true };
+const LAYOUTS = ["auto", "wide", "stacked", "mini"];
+const DEFAULT_REFRESH = { playing: 1000, paused: 3000, stopped: 5000 };
+
+// sections other modules read; anything else at the top level is a typo
+const KNOWN_SECTIONS = ["backend", "mpd", "mpris", "server",
+  "keys", "theme", "seekStep", "volumeStep", "refresh", "layout", "panels", "artwork", "lyrics", "history", "scrobble", "trivia", "assistant"];
+
+// Esc always closes the open dialog, so it can't be bound
+const RESERVED_KEYS = ["escape"];
+const COLOR_NAMES = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white", "gray", "grey"];
+const KEY_RE = /^(?:[CMS]-)*(?:[\x21-\x7e]|space|enter|return|escape|tab|backspace|delete|insert|up|down|left|right|home|end|pageup|pagedown|f(?:[1-9]|1[0-2]))$/;
+
+const isObject = v => v && typeof v === "object" && !Array.isArray(v);
+const isColor = v => typeof v === "string" && (COLOR_NAMES.includes(v) || /^#(?:[0-9a-f]{3}){1,2}$/i.test(v));
+
+function resolveSettings(config = {}, source = "config") {
+  const problems = [];
+  const bad = (where, msg) => problems.push(`${where}: ${msg}`);
+
+  for (const key of Object.keys(config)) {
+    if (!KNOWN_SECTIONS.includes(key)) bad(key, `unknown setting (known: ${KNOWN_SECTIONS.join(", ")})`);
+  }
+  if (config.backend !== undefined && typeof config.backend !== "string") bad("backend", "expected a string");
+  for (const section of ["mpd", "mpris", "server"]) {
+    if (config[section] !== undefined && !isObject(config[section])) bad(section, "expected an object");
+  }
+
+  // keys: { action: "key" | ["key", ...] }; a remapped action loses its default keys
+  const keys = Object.assign({}, DEFAULT_KEYS);
+  if (config.keys !== undefined) {
+    if (!isObject(config.keys)) bad("keys", "expected an object of action → key(s)");
+    else {
+      for (const [action, value] of Object.entries(config.keys)) {
+        if (!DEFAULT_KEYS[action]) { bad(`keys.${action}`, `unknown action (actions: ${Object.keys(DEFAULT_KEYS).join(", ")})`); continue; }
+        const list = Array.isArray(value) ? value : [value];
+        const invalid = list.filter(k => typeof k !== "string" || !KEY_RE.test(k));
+        if (invalid.length) { bad(`keys.${action}`, `${invalid.map(k => JSON.stringify(k)).join(", ")} is not a key name (e.g. "x", "space", "C-p", "S-left", "f5")`); continue; }
+        const reserved = list.filter(k => RESERVED_KEYS.includes(k));
+        if (reserved.length) { bad(`keys.${action}`, `"${reserved[0]}" is reserved for closing dialogs`); continue; }
+        keys[action] = list;
+      }
+    }
+  }
+  const owner = {};
+  for (const [action, list] of Object.entries(keys)) {
+    for (const k of list) {
+      if (owner[k]) bad("keys", `"${k}" is bound to both ${owner[k]} and ${action}`);
+      else owner[k] = action;
+    }
+  }
+
+  const theme = Object.assign({}, DEFAULT_THEME);
+  if (config.theme !== undefined) {
+    if (!isObject(config.theme)) bad("theme", "expected an object of role → color");
+    else {
+      for (const [role, color] of Object.entries(config.theme)) {
+        if (!(role in DEFAULT_THEME)) bad(`theme.${role}`, `unknown color role (roles: ${Object.keys(DEFAULT_THEME).join(", ")})`);
+        else if (!isColor(color)) bad(`theme.${role}`, `${JSON.stringify(color)} is not a color (${COLOR_NAMES.join(", ")} or "#rrggbb")`);
+        else theme[role] = color;
+      }
+    }
+  }
+
+  const number = (where, value, min, max, fallback) => {
+    if (value === undefined) return fallback;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+      bad(where, `expected a number from ${min} to ${max}`);
+      return fallback;
+    }
+    return value;
+  };
+  const seekStep = number("seekStep", config.seekStep, 1, 600, 10);
+  const volumeStep = number("volumeStep", config.volumeStep, 1, 100, 5);
+
+  // refresh: ms while playing, or { playing, paused, stopped }
+  const refresh = Object.assign({}, DEFAULT_REFRESH);
+  if (typeof config.refresh === "number") {
+    refresh.playing = number("refresh", config.refresh, 100, 60000, refresh.playing);
+  } else if (isObject(config.refresh)) {
+    for (const [state, ms] of Object.entries(config.refresh)) {
+      if (!(state in DEFAULT_REFRESH)) bad(`refresh.${state}`, "unknown state (playing, paused, stopped)");
+      else refresh[state] = number(`refresh.${state}`, ms, 100, 60000, refresh[state]);
+    }
+  } else if (config.refresh !== undefined) {
+    bad("refresh", "expected milliseconds or { playing, paused, stopped }");
+  }
+
+  const panels = Object.assign({}, DEFAULT_PANELS);
+  if (config.panels !== undefined) {
+    if (!isObject(config.panels)) bad("panels", "expected an object of panel → true/false");
+    else {
+      for (const [panel, shown] of Object.entries(config.panels)) {
+        if (!(panel in DEFAULT_PANELS)) bad(`panels.${panel}`, `unknown panel (panels: ${Object.keys(DEFAULT_PANELS).join(", ")})`);
+        else if (typeof shown !== "boolean") bad(`panels.${panel}`, "expected true or false");
+        else panels[panel] = shown;
+      }
+    }
+  }
+
+  // layout: "auto" picks by terminal size, see "Layout" in lib/tui.js
+  let layout = "auto";
+  if (config.layout !== undefined) {
+    if (!LAYOUTS.includes(config.layout)) bad("layout", `expected one of ${LAYOUTS.join(", ")}`);
+    else layout = config.layout;
+  }
+
+  // artwork: how the album art panel draws ("auto" picks by terminal, see lib/artwork.js)
+  let artwork = "auto";
+  if (config.artwork !== undefined) {
+    if (!ARTWORK_MODES.includes(config.artwork)) bad("artwork", `expected one of ${ARTWORK_MODES.join(", ")}`);
+    else artwork = config.artwork;
+  }
+
+  // lyrics: { dir } – folder of .lrc files, "~" is the home directory
+  let lyricsDir = path.join(configDir(), "lyrics");
+  if (config.lyrics !== undefined) {
+    if (!isObject(config.lyrics)) bad("lyrics", "expected an object like { \"dir\": \"~/Music/Lyrics\" }");
+    else {
+      for (const key of Object.keys(config.lyrics)) {
+        if (key !== "dir") bad(`lyrics.${key}`, "unknown setting (known: dir)");
+      }
+      const dir = config.lyrics.dir;
+      if (dir !== undefined && (typeof dir !== "string" || !dir.trim())) bad("lyrics.dir", "expected a folder path");
+      else if (dir) lyricsDir = path.resolve(dir.replace(/^~(?=$|[\\/])/, os.homedir()));
+    }
+  }
+
+  // history: { enabled } – record plays to history.jsonl (default on)
+  let historyEnabled = true;
+  if (config.history !== undefined) {
+    if (!isObject(config.history)) bad("history", "expected an object like { \"enabled\": false }");
+    else {
+      for (const key of Object.keys(config.history)) {
+        if (key !== "enabled") bad(`history.${key}`, "unknown setting (known: enabled)");
+      }
+      if (config.history.enabled !== undefined && typeof config.history.enabled !== "boolean") bad("history.enabled", "expected true or false");
+      else if (config.history.enabled === false) historyEnabled = false;
+    }
+  }
+
+  // scrobble: { listenbrainz: { token, url? }, lastfm: { apiKey, apiSecret,
+  // sessionKey | username + password, url? } } – either or both
+  const scrobble = {};
+  const SCROBBLE_FIELDS = {
+    listenbrainz: ["token", "url"],
+    lastfm: ["apiKey", "apiSecret", "sessionKey", "username", "password", "url"]
+  };
+  if (config.scrobble !== undefined) {
+    if (!isObject(config.scrobble)) bad("scrobble", "expected an object like { \"listenbrainz\": { \"token\": \"…\" } }");
+    else {
+      for (const [service, opts] of Object.entries(config.scrobble)) {
+        const where = `scrobble.${service}`;
+        if (!SCROBBLE_FIELDS[service]) { bad(where, `unknown service (services: ${Object.keys(SCROBBLE_FIELDS).join(", ")})`); continue; }
+        if (!isObject(opts)) { bad(where, "expected an object"); continue; }
+        let ok = true;
+        for (const [key, value] of Object.entries(opts)) {
+          if (!SCROBBLE_FIELDS[service].includes(key)) { bad(`${where}.${key}`, `unknown setting (known: ${SCROBBLE_FIELDS[service].join(", ")})`); ok = false; }
+          else if (typeof value !== "string" || !value.trim()) { bad(`${where}.${key}`, "expected a non-empty string"); ok = false; }
+        }
+        if (opts.url && !/^https?:\/\/[^/]/.test(opts.url)) { bad(`${where}.url`, "expected an http:// or https:// URL"); ok = false; }
+        const missing = service === "listenbrainz" ? ["token"].filter(k => !opts[k]) :
+          ["apiKey", "apiSecret"].filter(k => !opts[k]);
+        if (missing.length) { bad(where, `missing ${missing.join(" and ")}`); ok = false; }
+        if (service === "lastfm" && !opts.sessionKey && !(opts.username && opts.password)) {
+          bad(where, "needs a sessionKey, or username and password"); ok = false;
+        }
+        if (ok) scrobble[service] = Object.assign({ url: DEFAULT_URLS[service] }, opts);
+      }
+    }
+  }
+
+  // trivia: { provider, model, baseURL, apiKey, prompt, language, cacheDays }
+  const trivia = { provider: "openai", prompt: DEFAULT_PROMPT, language: "English", cacheDays: 30 };
+  const TRIVIA_FIELDS = ["provider", "model", "baseURL", "apiKey", "prompt", "language", "cacheDays"];
+  if (config.trivia !== undefined) {
+    if (!isObject(config.trivia)) bad("trivia", "expected an object like { \"provider\": \"openai\", \"model\": \"gpt-4.1-mini\" }");
+    else {
+      for (const [key, value] of Object.entries(config.trivia)) {
+        if (!TRIVIA_FIELDS.includes(key)) bad(`trivia.${key}`, `unknown setting (known: ${TRIVIA_FIELDS.join(", ")})`);
+        else if (key === "cacheDays") trivia.cacheDays = number("trivia.cacheDays", value, 0, 3650, trivia.cacheDays);
+        else if (typeof value !== "string" || !value.trim()) bad(`trivia.${key}`, "expected a non-empty string");
+        else trivia[key] = value;
+      }
+      if (!PROVIDERS.includes(trivia.provider)) bad("trivia.provider", `expected one of ${PROVIDERS.join(", ")}`);
+      if (trivia.baseURL && !/^https?:\/\/[^/]/.test(trivia.baseURL)) bad("trivia.baseURL", "expected an http:// or https:// URL");
+      if (trivia.provider === "openai-compatible" && !trivia.baseURL) bad("trivia.baseURL", "required for the openai-compatible provider (e.g. \"http://localhost:11434/v1\")");
+      if (!trivia.prompt.includes("{title}")) bad("trivia.prompt", "should mention {title} (also available: {artist}, {album}, {language})");
+    }
+  }
+  trivia.model = trivia.model || DEFAULT_MODELS[trivia.provider];
+
+  // assistant: { provider, model, baseURL, apiKey } for the command bar;
+  // whatever isn't set comes from the trivia model (when that's a real one)
+  const ASSISTANT_PROVIDERS = ["openai", "openai-compatible", "off"];
+  const assistant = ASSISTANT_PROVIDERS.includes(trivia.provider) ?
+    { provider: trivia.provider, model: trivia.model, baseURL: trivia.baseURL, apiKey: trivia.apiKey } : { provider: "off" };
+  if (config.assistant !== undefined) {
+    if (!isObject(config.assistant)) bad("assistant", "expected an object like { \"provider\": \"openai\", \"model\": \"gpt-4.1-mini\" }");
+    else {
+      const own = {};
+      for (const [key, value] of Object.entries(config.assistant)) {
+        if (!["provider", "model", "baseURL", "apiKey"].includes(key)) bad(`assistant.${key}`, "unknown setting (known: provider, model, baseURL, apiKey)");
+        else if (typeof value !== "string" || !value.trim()) bad(`assistant.${key}`, "expected a non-empty string");
+        else own[key] = value;
+      }
+      if (own.provider && own.provider !== assistant.provider) {
+        // another provider: the trivia model and server don't apply
+        Object.assign(assistant, { provider: own.provider, model: undefined, baseURL: undefined, apiKey: undefined });
+      }
+      Object.assign(assistant, own);
+      if (!ASSISTANT_PROVIDERS.includes(assistant.provider)) bad("assistant.provider", `expected one of ${ASSISTANT_PROVIDERS.join(", ")}`);
+      if (assistant.baseURL && !/^https?:\/\/[^/]/.test(assistant.baseURL)) bad("assistant.baseURL", "expected an http:// or https:// URL");
+      if (assistant.provider === "openai-compatible" && !assistant.baseURL) bad("assistant.baseURL", "required for the openai-compatible provider (e.g. \"http://localhost:11434/v1\")");
+    }
+  }
+  assistant.model = assistant.model || DEFAULT_MODELS[assistant.provider];
+
+  if (problems.length) {
+    throw new Error(`${source}: invalid settings\n  ${problems.join("\n  ")}`);
+  }
+  return { keys, theme, seekStep, volumeStep, refresh, layout, panels, artwork, lyricsDir, historyEnabled, scrobble, trivia, assistant };
+}
+
+module.exports = { resolveSettings, DEFAULT_KEYS, DEFAULT_THEME, KNOWN_SECTIONS };
@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * Time helpers shared by the TUI and the CLI.
+ */
+
+function timeFmt(sec) {
+  if (!Number.isFinite(sec) || sec < 0) return "--:--";
+  const m = Math.floor(sec / 60);
+  const s = Math.floor(sec % 60);
+  return `${m}:${s.toString().padStart(2, "0")}`;
+}
+
+// "1:23.4", for positions set to the tenth of a second (bookmarks, loop points)
+function preciseTimeFmt(sec) {
+  if (!Number.isFinite(sec) || sec < 0) return "--:--";
+  const tenths = Math.round(sec * 10);
+  return `${timeFmt(Math.floor(tenths / 10))}.${tenths % 10}`;
+}
+
+// listening time: "45s", "12m", "3h 05m"
+function durationFmt(sec) {
+  const total = Math.round(Number(sec) || 0);
+  if (total < 60) return `${total}s`;
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  return h ? `${h}h ${String(m).padStart(2, "0")}m` : `${m}m`;
+}
+
+// "83", "1:23", "1:02:03" -> seconds; NaN if malformed
+function parseTime(str) {
+  const parts = String(str).trim().split(":");
+  if (parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return NaN;
+  return parts.reduce((acc, p) => acc * 60 + parseFloat(p), 0);
+}
+
+// a seek target as typed: "1:23", "83.5", "1:02:03" (absolute), "+15" / "-1:00"
+// (from position) or "40%" (of duration) -> seconds, not clamped; NaN if malformed
+function parseSeekTarget(str, { position = 0, duration = 0 } = {}) {
+  const text = String(str).trim();
+  const pct = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (pct) return duration > 0 ? duration * parseFloat(pct[1]) / 100 : NaN;
+  const rel = text.match(/^([+-])\s*(.+)$/);
+  if (rel) return (position || 0) + (rel[1] === "-" ? -1 : 1) * parseTime(rel[2]);
+  return parseTime(text);
+}
+
+module.exports = { timeFmt, preciseTimeFmt, durationFmt, parseTime, parseSeekTarget };
@@ -0,0 +1,194 @@
+"use strict";
+
+/**
+ * Sleep timer and wake-up alarm.
+ *
+ * The sleep timer pauses after N minutes, at the end of the current track, or
+ * once the current album is over. Before pausing (except for the album, whose
+ * last track can't be known in advance) the volume fades out; it is put back
+ * to where it was once playback has paused, so the next play starts normally.
+ *
+ * The alarm starts a playlist at a time of day with the volume faded in from
+ * zero. Both only run while the UI is open: the TUI calls tick() every second.
+ */
+
+const { timeFmt, durationFmt } = require("./time");
+
+const FADE_OUT_MS = 30 * 1000;
+const FADE_IN_MS = 60 * 1000;
+const FADE_STEP_MS = 1000;
+
+const wait = ms => new Promise(r => setTimeout(r, ms));
+
+// "7:30", "07:30", "19:05" -> the next time it's that o'clock; null if malformed
+function parseClock(text, now = new Date()) {
+  const m = String(text).trim().match(/^(\d{1,2})[:.](\d{2})$/);
+  if (!m) return null;
+  const h = parseInt(m[1], 10), min = parseInt(m[2], 10);
+  if (h > 23 || min > 59) return null;
+  const at = new Date(now);
+  at.setHours(h, min, 0, 0);
+  if (at <= now) at.setDate(at.getDate() + 1);
+  return at;
+}
+
+function clockFmt(ms) {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+// onChange(): a timer started, fired or was cancelled; onMessage(text) for the UI
+function createTimers(backend, { fadeOutMs = FADE_OUT_MS, fadeInMs = FADE_IN_MS, onChange = () => {}, onMessage = () => {} } = {}) {
+  let sleep = null; // { mode: "time"|"track"|"album", at, trackKey, album, fade }
+  let alarm = null; // { at, playlist, volume, fade }
+
+  // volume from -> to in ms; resolves false if cancel() was called meanwhile
+  function fade(from, to, ms) {
+    const job = { cancelled: false };
+    job.done = (async () => {
+      const steps = Math.max(1, Math.round(ms / FADE_STEP_MS));
+      for (let i = 1; i <= steps; i++) {
+        if (job.cancelled) return false;
+        await backend.setVolume(Math.round(from + (to - from) * i / steps));
+        if (i < steps) await wait(ms / steps);
+      }
+      return !job.cancelled;
+    })();
+    return job;
+  }
+
+  async function fadeOutAndPause(timer, volume, ms) {
+    timer.fade = fade(volume, 0, ms);
+    try {
+      if (!(await timer.fade.done)) return; // cancelled: cancelSleep() restored the volume
+      await backend.pause();
+      onMessage("Sleep timer: paused.");
+    } catch (e) {
+      onMessage(`Sleep timer: ${e.message}`);
+    } finally {
+      if (!timer.fade.cancelled) await backend.setVolume(volume).catch(() => {});
+      if (sleep === timer) sleep = null;
+      onChange();
+    }
+  }
+
+  async function startAlarm(timer) {
+    try {
+      await backend.setVolume(0);
+      // cancelled while starting: cancelAlarm() has put the volume back
+      if (alarm !== timer) return;
+      await backend.playPlaylistByName(timer.playlist);
+      onMessage(`Alarm: playing ${timer.playlist}`);
+      onChange();
+      if (alarm !== timer) return;
+      timer.fade = fade(0, timer.volume, fadeInMs);
+      await timer.fade.done;
+    } catch (e) {
+      await backend.setVolume(timer.volume).catch(() => {});
+      onMessage(`Alarm: ${e.message}`);
+    } finally {
+      if (alarm === timer) alarm = null;
+      onChange();
+    }
+  }
+
+  const trackKey = s => (s && s.name ? `${s.name}::${s.artist}` : "");
+
+  return {
+    sleepIn(minutes, now = Date.now()) {
+      this.cancelSleep();
+      sleep = { mode: "time", at: now + minutes * 60000 };
+      onChange();
+    },
+
+    // mode: "track" | "album"; s: the current state
+    sleepAtEnd(mode, s) {
+      this.cancelSleep();
+      sleep = { mode, trackKey: trackKey(s), album: s.album };
+      onChange();
+    },
+
+    cancelSleep() {
+      if (!sleep) return false;
+      const timer = sleep;
+      sleep = null;
+      if (timer.fade && !timer.fade.cancelled) {
+        timer.fade.cancelled = true;
+        if (timer.volume !== undefined) backend.setVolume(timer.volume).catch(() => {});
+      }
+      onChange();
+      return true;
+    },
+
+    // at: Date/ms; volume: where the fade-in ends
+    setAlarm(at, playlist, volume) {
+      this.cancelAlarm();
+      alarm = { at: +at, playlist, volume };
+      onChange();
+    },
+
+    cancelAlarm() {
+      if (!alarm) return false;
+      const timer = alarm;
+      alarm = null;
+      if (timer.fade && !timer.fade.cancelled) {
+        timer.fade.cancelled = true;
+        backend.setVolume(timer.volume).catch(() => {});
+      }
+      onChange();
+      return true;
+    },
+
+    get active() { return !!(sleep || alarm); },
+    get sleeping() { return !!sleep; },
+    get alarmSet() { return !!alarm; },
+
+    // s: latest state with the position interpolated to `now`
+    tick(s, now = Date.now()) {
+      if (alarm && !alarm.fade && now >= alarm.at) {
+        alarm.fade = { cancelled: false }; // placeholder until the playlist starts
+        startAlarm(alarm);
+      }
+      if (!sleep || sleep.fade || !s) return;
+      const playing = s.state === "playing";
+      if (sleep.mode === "time") {
+        const left = sleep.at - now;
+        if (left > fadeOutMs || (!playing && left > 0)) return;
+        if (!playing) { sleep = null; onMessage("Sleep timer: done."); onChange(); return; }
+        sleep.volume = s.volume;
+        fadeOutAndPause(sleep, s.volume, Math.max(0, left));
+      } else if (sleep.mode === "track") {
+        // another track already (skipped, or the end came between two polls)
+        const same = trackKey(s) === sleep.trackKey;
+        if (same && !(s.duration > 0)) return; // a stream: no end to fade towards until the track changes
+        const left = same ? (s.duration - s.position) * 1000 : 0;
+        if (left > fadeOutMs + 1500) return;
+        if (!playing) return;
+        sleep.volume = s.volume;
+        // finish a moment early so the next track doesn't start
+        fadeOutAndPause(sleep, s.volume, Math.max(0, left - 1500));
+      } else if (sleep.mode === "album") {
+        if (s.state === "paused" || (playing && s.album === sleep.album)) return;
+        if (!playing) { sleep = null; onMessage("Sleep timer: done."); onChange(); return; }
+        sleep.volume = s.volume;
+        fadeOutAndPause(sleep, s.volume, 0);
+      }
+    },
+
+    // short text for the status line, "" when nothing is set
+    status(now = Date.now()) {
+      const parts = [];
+      if (sleep) {
+        parts.push("☾ " + (sleep.fade ? "fading" :
+          sleep.mode === "track" ? "end of track" :
+          sleep.mode === "album" ? "end of album" : timeFmt(Math.max(0, sleep.at - now) / 1000)));
+      }
+      if (alarm) {
+        parts.push(`⏰ ${clockFmt(alarm.at)}` + (alarm.fade ? "" : ` in ${durationFmt(Math.max(0, alarm.at - now) / 1000)}`));
+      }
+      return parts.join("  ");
+    }
+  };
+}
+
+module.exports = { createTimers, parseClock, FADE_OUT_MS, FADE_IN_MS };
@@ -0,0 +1,82 @@
+"use strict";
+
+/**
+ * Loads a playlist's tracks for the tracks modal.
+ *
+ * Backends with getTrackPage() are read page by page, so the first rows show
+ * while the rest of a 10k-track playlist is still coming in. Results are kept
+ * in memory per playlist for as long as getPlaylistVersion() (its modification
+ * date, or in Music.app a hash of that and its tracks' IDs and tags) returns
+ * the same value; without a version nothing is cached.
+ */
+
+const { normalize } = require("./search");
+
+const FIRST_PAGE = 200; // small, so the modal fills quickly
+const PAGE_SIZE = 1000;
+
+function createTrackLoader(backend, { firstPage = FIRST_PAGE, pageSize = PAGE_SIZE } = {}) {
+  const cache = new Map(); // name -> { version, tracks }
+
+  async function versionOf(name) {
+    if (!backend.getPlaylistVersion) return "";
+    try { return (await backend.getPlaylistVersion(name)) || ""; } catch { return ""; }
+  }
+
+  return {
+    // onPage(tracksSoFar, total) after every page (once for cached or unpaged
+    // results); cancelled() is checked between pages and makes load() resolve
+    // null. Resolves to all tracks.
+    async load(name, { onPage = () => {}, cancelled = () => false } = {}) {
+      // read first: an edit while loading leaves a stale version, not stale tracks
+      const version = await versionOf(name);
+      const hit = cache.get(name);
+      if (version && hit && hit.version === version) {
+        onPage(hit.tracks, hit.tracks.length);
+        return hit.tracks;
+      }
+      cache.delete(name);
+
+      let tracks = [];
+      if (backend.getTrackPage) {
+        for (;;) {
+          const page = await backend.getTrackPage(name, tracks.length, tracks.length ? pageSize : firstPage);
+          if (cancelled()) return null;
+          tracks = tracks.concat(page.tracks);
+          if (!page.tracks.length || tracks.length >= page.total) break;
+          onPage(tracks, page.total);
+        }
+      } else {
+        tracks = await backend.getTracksOfPlaylist(name);
+        if (cancelled()) return null;
+      }
+      onPage(tracks, tracks.length);
+      if (version) cache.set(name, { version, tracks });
+      return tracks;
+    },
+
+    // after the UI's own edits, which may keep the version (e.g. a move in Music.app)
+    invalidate(name) { cache.delete(name); },
+    clear() { cache.clear(); }
+  };
+}
+
+// ---------- Filtering ----------
+const haystacks = new WeakMap(); // track -> normalized "name artist album"
+
+// tracks with every word of the query in their title, artist or album (case
+// and accents ignored), in playlist order
+function filterTracks(tracks, query) {
+  const words = normalize(query).split(/\s+/).filter(Boolean);
+  if (!words.length) return tracks;
+  return tracks.filter(t => {
+    let hay = haystacks.get(t);
+    if (hay === undefined) {
+      hay = normalize(`${t.name}\n${t.artist}\n${t.album}`);
+      haystacks.set(t, hay);
+    }
+    return words.every(w => hay.includes(w));
+  });
+}
+
+module.exports = { createTrackLoader, filterTracks, PAGE_SIZE };
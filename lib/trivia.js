@@ -0,0 +1,153 @@
+"use strict";
+
+/**
+ * Song trivia from a language model, for the Trivia panel.
+ *
+ * Providers:
+ *   openai             OpenAI's Responses API (OPENAI_API_KEY)
+ *   openai-compatible  any /v1/chat/completions server: Ollama, llama.cpp, …
+ *   stub               canned text, no network – for offline use and testing
+ *
+ * Answers stream in as they are generated and are cached on disk in
+ * ~/.config/music-tui/trivia-cache/ for `cacheDays`. Failures are never
+ * cached, so the next attempt (or the regenerate key) asks again.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { configDir } = require("./config");
+const { createClient } = require("./llm");
+
+const PROVIDERS = ["openai", "openai-compatible", "stub", "off"];
+
+const DEFAULT_PROMPT = "Write a detailed and engaging description in Markdown format about the song \"{title}\" by {artist}. " +
+  "Include historical context, lyrical themes, impact, and any notable facts about the artist related to the track. " +
+  "The response should be at least 5-10 sentences and formatted with proper Markdown (e.g. headings, italics, bold if needed). " +
+  "Write in {language}.";
+
+const DEFAULT_MODELS = { openai: "gpt-4.1-mini", "openai-compatible": "llama3.1", stub: "stub" };
+
+function cacheDir() {
+  return path.join(configDir(), "trivia-cache");
+}
+
+// {title}, {artist}, {album}, {language}; unknown placeholders stay as they are
+function fillPrompt(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name] || "") : m));
+}
+
+// ---------- Providers ----------
+// each: { label, stream(prompt, signal) } – an async iterable of text chunks
+
+function openAIProvider({ model, apiKey }) {
+  const { client, error } = createClient({ provider: "openai", apiKey });
+  if (error) return { error: error.replace(/\.$/, " to show trivia.") };
+  return {
+    label: `OpenAI ${model}`,
+    async *stream(prompt, signal) {
+      const events = await client.responses.create({ model, input: prompt, stream: true }, { signal });
+      for await (const ev of events) {
+        if (ev.type === "response.output_text.delta") yield ev.delta;
+        else if (ev.type === "error") throw new Error(ev.message);
+      }
+    }
+  };
+}
+
+function compatibleProvider({ model, baseURL, apiKey }) {
+  const { client, error } = createClient({ provider: "openai-compatible", baseURL, apiKey });
+  if (error) return { error: error.replace(/\.$/, " to show trivia.") };
+  return {
+    label: `${model} @ ${new URL(baseURL).host}`,
+    async *stream(prompt, signal) {
+      const chunks = await client.chat.completions.create({
+        model, stream: true, messages: [{ role: "user", content: prompt }]
+      }, { signal });
+      for await (const chunk of chunks) {
+        const text = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+function stubProvider() {
+  return {
+    label: "stub",
+    async *stream(prompt, signal) {
+      const title = (prompt.match(/"([^"]+)"/) || [])[1] || "this song";
+      const text = `## ${title}\n\nThis is placeholder trivia from the **stub** provider – no model was asked.\n\n` +
+        "Set `\"trivia\": { \"provider\": \"openai\" }` (or `openai-compatible` with a `baseURL`) in config.json for real answers.\n";
+      for (const word of text.split(/(?<= )/)) {
+        if (signal && signal.aborted) return;
+        await new Promise(r => setTimeout(r, 15));
+        yield word;
+      }
+    }
+  };
+}
+
+// ---------- Cache ----------
+function createCache(dir, ttlMs) {
+  const file = key => path.join(dir, crypto.createHash("sha1").update(key).digest("hex") + ".json");
+  return {
+    get(key) {
+      if (!ttlMs) return null;
+      try {
+        const entry = JSON.parse(fs.readFileSync(file(key), "utf8"));
+        if (entry.key === key && Date.now() - entry.created < ttlMs) return entry.text;
+      } catch { /* missing or damaged: ask again */ }
+      return null;
+    },
+    set(key, text) {
+      if (!ttlMs) return;
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file(key), JSON.stringify({ key, created: Date.now(), text }) + "\n");
+      } catch { /* cache is an optimisation only */ }
+    }
+  };
+}
+
+// options: settings.trivia ({ provider, model, baseURL, apiKey, prompt, language, cacheDays })
+function createTrivia(options, { dir = cacheDir() } = {}) {
+  const provider = options.provider === "openai" ? openAIProvider(options) :
+    options.provider === "openai-compatible" ? compatibleProvider(options) :
+    options.provider === "stub" ? stubProvider() :
+    { error: "Trivia is turned off." };
+  const cache = createCache(dir, options.cacheDays * 86400000);
+
+  return {
+    available: !provider.error,
+    // why there is no trivia, when !available
+    unavailableText: provider.error || "",
+    label: provider.label || "",
+
+    // track: { name, artist, album }; onChunk(textSoFar) while streaming.
+    // Resolves to the full text; rejects on failure (nothing is cached then).
+    async generate(track, { onChunk = () => {}, signal, refresh = false } = {}) {
+      if (provider.error) throw new Error(provider.error);
+      const prompt = fillPrompt(options.prompt, {
+        title: track.name, artist: track.artist || "an unknown artist", album: track.album, language: options.language
+      });
+      const key = JSON.stringify([options.provider, options.model, options.baseURL || "", prompt]);
+      if (!refresh) {
+        const cached = cache.get(key);
+        if (cached) return cached;
+      }
+      let text = "";
+      for await (const chunk of provider.stream(prompt, signal)) {
+        text += chunk;
+        onChunk(text);
+      }
+      if (signal && signal.aborted) throw new Error("cancelled");
+      text = text.trim();
+      if (!text) throw new Error("the model returned no text");
+      cache.set(key, text);
+      return text;
+    }
+  };
+}
+
+module.exports = { createTrivia, fillPrompt, cacheDir, PROVIDERS, DEFAULT_PROMPT, DEFAULT_MODELS };
@@ -0,0 +1,676 @@
+"use strict";
+
+/**
+ * Full-screen blessed UI
+ * • Shows current track (auto-refresh 1 s while playing, slower when idle)
+ * • Playback, volume, seek controls
+ * • Playlists → tracks → play selected
+ * • Layout follows the terminal size, down to a one-line mini-player
+ * Loaded by index.js when no subcommand is given.
+ *
+ * This file holds the main view, the layout and the refresh loop; each modal
+ * and feature is a module in lib/tui/ that gets the shared `ui` object below.
+ */
+
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { getContext } = require("./context");
+const { timeFmt } = require("./time");
+const { createPlayTracker, appendHistory } = require("./history");
+const { createScrobbler } = require("./scrobble");
+const { createAssistant } = require("./assistant");
+const { describeError, logEvent, logError } = require("./diagnostics");
+const { trackKey, stars, paint, keyLabel, setIfChanged, wrapWords } = require("./tui/common");
+const { createDialogs } = require("./tui/dialogs");
+const { createTriviaPanel } = require("./tui/trivia");
+const { createLyricsPanel } = require("./tui/lyrics");
+const { createArtworkPanel } = require("./tui/artwork");
+const { createPlaylists } = require("./tui/playlists");
+const { createPlaylistFiles } = require("./tui/playlistfiles");
+const { createTracks } = require("./tui/tracks");
+const { createRatings } = require("./tui/ratings");
+const { createUpNext } = require("./tui/upnext");
+const { createSeeking } = require("./tui/seeking");
+const { createPlayers } = require("./tui/players");
+const { createSearch } = require("./tui/search");
+const { createStats } = require("./tui/stats");
+const { createCommandBar } = require("./tui/commandbar");
+const { createMix } = require("./tui/mix");
+const { createEventLog } = require("./tui/events");
+const { createSleep } = require("./tui/sleep");
+// Force simpler terminfo capabilities to avoid "Setulc" parsing issues on some systems
+if (process.env.TERM && process.env.TERM.includes("256color")) {
+  process.env.TERM = process.env.TERM.replace("256color", "color");
+}
+
+// Banner removed – we now use frame label only
+const HEADER_HEIGHT = 0; // no extra header box
+
+// backend + config are set up by index.js before the TUI is loaded
+const { args, backend, server, settings } = getContext();
+const { keys, theme, panels, seekStep, volumeStep } = settings;
+const assistant = createAssistant(settings.assistant, backend);
+
+// ---------- UI ----------
+const screen = blessed.screen({ smartCSR: true, title: "Music Terminal UI" });
+
+// Outer frame for the whole UI
+const outer = blessed.box({
+  top: 0, left: 0, width: "100%", height: "100%",
+  border: "line", label: " Music Terminal UI ", style: { border: { fg: "blue" } }
+});
+screen.append(outer);
+
+const BASE_TOP = 1; // start inside outer border
+const INFO_HEIGHT = 6; // title, artist/album, next, status line + border
+const PROGRESS_HEIGHT = 3;
+// the panels shown now (settings.panels is how a session starts) and the
+// layout asked for ("auto" picks by terminal size), see "Layout"
+const shown = Object.assign({}, panels);
+const startLayout = args.opts.mini ? "mini" : settings.layout;
+let layoutChoice = startLayout;
+let currentLayout = null; // "wide" | "stacked" | "mini"
+
+// stays empty: the art is drawn over it, see lib/tui/artwork.js; boxes are placed by layout()
+const artBox = blessed.box({
+  border: "line", style: { border: { fg: theme.border } }
+});
+// Header box removed; infoBox moves up. Lines too long are cut, not wrapped
+const infoBox = blessed.box({
+  height: INFO_HEIGHT, tags: true, wrap: false,
+  border: "line", label: " Now playing ", style: { border: { fg: theme.border } }
+});
+const progressBox = blessed.box({
+  height: PROGRESS_HEIGHT, tags: true,
+  border: "line", label: " Progress ", style: { border: { fg: theme.border } }
+});
+// Trivia and Lyrics: two tabs in one side panel
+const sideBox = blessed.box({});
+
+let currentState = null; // ostatni znany stan odtwarzacza
+let stateAt = Date.now(); // when currentState.position was true, for interpolation
+
+// what the modules in lib/tui/ share: the main view's parts, the last state and
+// the functions below; each module adds itself (ui.dialogs, ui.upNext, …)
+const ui = {
+  screen, backend, server, settings, assistant, outer, artBox, infoBox, progressBox, sideBox,
+  list: null, // the Commands list, below
+  get state() { return currentState; },
+  livePosition, showMessage, renderState, drawProgress, drawInfo, refresh, handleCommand
+};
+
+const trivia = ui.trivia = createTriviaPanel(ui);
+const lyrics = ui.lyrics = createLyricsPanel(ui, trivia);
+// allow focus switching
+for (const box of [trivia.box, lyrics.box]) {
+  box.key(["pageup","pagedown","up","down"], function(ch, key) {
+    if (key.name === "up") this.scroll(-1);
+    else if (key.name === "down") this.scroll(1);
+    else if (key.name === "pageup") this.scroll(-this.height + 1);
+    else if (key.name === "pagedown") this.scroll(this.height - 1);
+    screen.render();
+  });
+}
+
+// Commands list order, with UTF icons (no emoji); keys come from settings.keys
+const commandDefs = [
+  { id: "playPause",     icon: chalk.green("⏯"),   label: "Play/Pause" },
+  { id: "next",          icon: chalk.cyan("⏭"),    label: "Next Track" },
+  { id: "prev",          icon: chalk.cyan("⏮"),    label: "Previous Track" },
+  { id: "volumeUp",      icon: chalk.yellow("▲"),  label: "Volume +" },
+  { id: "volumeDown",    icon: chalk.yellow("▼"),  label: "Volume -" },
+  { id: "seekForward",   icon: chalk.green("≫"),   label: `Seek +${seekStep}s` },
+  { id: "seekBack",      icon: chalk.green("≪"),   label: `Seek -${seekStep}s` },
+  { id: "jumpTo",        icon: chalk.green("↦"),   label: "Jump to Time..." },
+  { id: "abLoop",        icon: chalk.magenta("⟲"), label: "A–B Loop" },
+  { id: "bookmarks",     icon: chalk.yellow("⚑"),  label: "Bookmarks..." },
+  { id: "addBookmark",   icon: chalk.yellow("⚐"),  label: "Add Bookmark..." },
+  { id: "shuffle",       icon: chalk.magenta("⇌"), label: "Toggle Shuffle" },
+  { id: "repeat",        icon: chalk.magenta("⟳"), label: "Cycle Repeat" },
+  { id: "playlists",     icon: chalk.blue("♫"),    label: "Playlists..." },
+  { id: "search",        icon: chalk.blue("⌕"),    label: "Search Library..." },
+  { id: "upNext",        icon: chalk.blue("☰"),    label: "Up Next..." },
+  { id: "addToPlaylist", icon: chalk.blue("✚"),    label: "Add to Playlist..." },
+  ...(backend.setRating ? [{ id: "rate", icon: chalk.yellow("★"), label: "Rate..." }] : []),
+  ...(backend.setLoved ? [{ id: "love", icon: chalk.red("♥"), label: "Love" }] : []),
+  ...(backend.setDisliked ? [{ id: "dislike", icon: chalk.gray("⊖"), label: "Dislike" }] : []),
+  { id: "stats",         icon: chalk.blue("▤"),    label: "Listening Stats..." },
+  { id: "eventLog",      icon: chalk.red("⚠"),     label: "Event Log..." },
+  { id: "miniPlayer",    icon: chalk.cyan("▭"),    label: "Mini Player" },
+  { id: "panels",        icon: chalk.cyan("◫"),    label: "Panels..." },
+  { id: "commandBar",    icon: chalk.magenta("❯"), label: "Command Bar..." },
+  { id: "generatePlaylist", icon: chalk.magenta("✦"), label: "AI Playlist..." },
+  { id: "sleepTimer",    icon: chalk.yellow("☾"),  label: "Sleep Timer / Alarm..." },
+  { id: "cancelTimers",  icon: chalk.yellow("⊘"),  label: "Cancel Timers" },
+  { id: "switchTab",     icon: chalk.green("♪"),   label: "Trivia / Lyrics" },
+  ...(trivia.available ? [{ id: "regenerateTrivia", icon: chalk.green("↻"), label: "Regenerate Trivia" }] : []),
+  ...(backend.listPlayers ? [{ id: "selectPlayer", icon: chalk.blue("◉"), label: "Select Player..." }] : []),
+  { id: "quit",          icon: chalk.red("✕"),     label: "Quit" }
+];
+const list = ui.list = blessed.list({
+  items: commandDefs.map(c => `${c.icon}  ${c.label.padEnd(20)}` + (keys[c.id][0] ? chalk.gray(keyLabel(keys[c.id][0])) : "")),
+  keys: true, mouse: true,
+  border: "line", label: " Commands ",
+  tags: true,
+  style: {
+    selected: { bg: theme.selectedBg, fg: theme.selectedFg },
+    border: { fg: theme.border },
+    item: { hover: { fg: "yellow" } }
+  }
+});
+
+// built from the keymap; actions without a key are left out
+const HELP_GROUPS = [
+  { ids: ["playPause"], text: "Play/Pause", color: "cyan" },
+  { ids: ["seekBack", "seekForward"], text: `Seek ±${seekStep}s`, color: "yellow" },
+  { ids: ["jumpTo"], text: "Jump", color: "yellow" },
+  { ids: ["abLoop"], text: "A–B loop", color: "magenta" },
+  { ids: ["bookmarks"], text: "Bookmarks", color: "yellow" },
+  { ids: ["volumeUp", "volumeDown"], text: `Vol ±${volumeStep}`, color: "green" },
+  { ids: ["prev", "next"], text: "Prev/Next", color: "cyan" },
+  { ids: ["shuffle"], text: "Shuffle", color: "magenta" },
+  { ids: ["repeat"], text: "Repeat", color: "cyan" },
+  { ids: ["playlists"], text: "Playlists", color: "blue" },
+  { ids: ["search"], text: "Search", color: "blue" },
+  { ids: ["upNext"], text: "Up Next", color: "blue" },
+  { ids: ["addToPlaylist"], text: "Add to playlist", color: "blue" },
+  ...(backend.setRating ? [{ ids: ["rate"], text: "Rate", color: "yellow" }] : []),
+  ...(backend.setLoved ? [{ ids: ["love", "dislike"], text: "Love/Dislike", color: "red" }] : []),
+  { ids: ["stats"], text: "Stats", color: "blue" },
+  { ids: ["commandBar"], text: "Ask", color: "magenta" },
+  { ids: ["generatePlaylist"], text: "AI playlist", color: "magenta" },
+  { ids: ["sleepTimer"], text: "Sleep", color: "yellow" },
+  ...(backend.listPlayers ? [{ ids: ["selectPlayer"], text: "Player", color: "blue" }] : []),
+  { ids: ["switchTab"], text: "Lyrics", color: "green" },
+  ...(trivia.available ? [{ ids: ["regenerateTrivia"], text: "New trivia", color: "green" }] : []),
+  { ids: ["miniPlayer"], text: "Mini", color: "cyan" },
+  { ids: ["panels"], text: "Panels", color: "cyan" },
+  { ids: ["quit"], text: "Quit", color: "red" }
+];
+const helpContent = HELP_GROUPS
+  .map(g => ({ g, shown: g.ids.map(id => keys[id][0]).filter(Boolean).map(keyLabel) }))
+  .filter(({ shown }) => shown.length)
+  .map(({ g, shown }) => `{${g.color}-fg}${blessed.escape(shown.join("/"))}{/${g.color}-fg}=${g.text}`)
+  .join("  ");
+
+const help = blessed.box({
+  left: 1, width: "100%-3", height: 1, tags: true,
+  content: helpContent,
+  style: { fg: "white" }
+});
+
+// the mini-player replaces the frame, see "Layout"
+const miniBox = blessed.box({ top: 0, left: 0, width: "100%", tags: true, wrap: false, hidden: true });
+
+for (const box of [artBox, infoBox, progressBox, list, sideBox, help]) outer.append(box);
+screen.append(miniBox);
+list.focus();
+
+// ---------- Modals and features ----------
+// created in this order, which is also how they stack
+const playlists = ui.playlists = createPlaylists(ui);
+const tracks = ui.tracks = createTracks(ui);
+const ratings = ui.ratings = createRatings(ui);
+const upNext = ui.upNext = createUpNext(ui);
+const seeking = ui.seeking = createSeeking(ui);
+const players = createPlayers(ui);
+const search = createSearch(ui);
+const stats = createStats(ui);
+const commandBar = createCommandBar(ui);
+const mix = createMix(ui);
+const events = createEventLog(ui);
+const playlistFiles = createPlaylistFiles(ui);
+const dialogs = ui.dialogs = createDialogs(ui);
+
+function showMessage(msg = "") {
+  // with --serve the idle label shows where to point a phone
+  const idle = server ? `Remote: ${server.url}?token=${server.token}` : "";
+  outer.setLabel(msg || idle ? ` Music Terminal UI - ${msg || idle} ` : " Music Terminal UI ");
+  // the mini-player has no frame: the message takes the title's place for a while
+  if (msg && currentLayout === "mini") {
+    miniNote = msg;
+    clearTimeout(miniNoteTimer);
+    miniNoteTimer = setTimeout(() => { miniNote = ""; if (drawMini()) screen.render(); }, 4000);
+    drawMini();
+  }
+}
+
+// bookmarks (│) and the A–B loop (A, B) of the current track are marked on the bar
+function progressBar(position, duration, barWidth) {
+  const ratio = duration > 0 ? Math.min(1, Math.max(0, position / duration)) : 0;
+  const filled = Math.floor(barWidth * ratio);
+  const marks = new Map(); // cell -> char
+  if (duration > 0) {
+    const cell = t => Math.max(0, Math.min(barWidth - 1, Math.floor(barWidth * t / duration)));
+    for (const m of seeking.barMarks(trackKey(currentState))) marks.set(cell(m.at), m.ch);
+  }
+  const fill = paint(theme.progress), track = paint(theme.progressTrack);
+  let bar = "", run = "", runPaint = null;
+  for (let i = 0; i < barWidth; i++) {
+    const mark = marks.get(i);
+    const p = mark ? (mark === "│" ? chalk.yellow : chalk.magenta.bold) : i < filled ? fill : track;
+    if (p !== runPaint) { if (run) bar += runPaint(run); run = ""; runPaint = p; }
+    run += mark || (i < filled ? "█" : "░");
+  }
+  if (run) bar += runPaint(run);
+  return bar;
+}
+
+// the Progress panel and the mini-player; returns true if a redraw is needed
+function drawProgress(position, duration) {
+  const barWidth = Math.max(10, progressBox.width - 24);
+  const bar = progressBar(position, duration, barWidth);
+  // where the cells start, for clicks (see lib/tui/seeking.js)
+  progressBox._bar = { left: timeFmt(position).length + 3, width: barWidth, duration };
+  const dirty = setIfChanged(progressBox, ` ${timeFmt(position)} [${bar}] ${timeFmt(duration)}`);
+  return drawMini(position) || dirty;
+}
+
+function infoText(s) {
+  const status =
+    s.state === "playing" ? paint(theme.playing)("PLAY") :
+    s.state === "paused"  ? paint(theme.paused)("PAUSE") :
+                            paint(theme.stopped)("STOP");
+
+  const marks = [
+    s.rating ? chalk.yellow(stars(s.rating)) : "",
+    s.loved ? chalk.red("♥") : "",
+    s.disliked ? chalk.gray("⊖ disliked") : ""
+  ].filter(Boolean).join(" ");
+  const line1 = s.name ? `{bold}${s.name}{/bold}` + (marks ? `  ${marks}` : "") : chalk.gray("(no track)");
+  const line2 = [s.artist, s.album].filter(Boolean).join(" - ");
+  const queued = upNext.queued();
+  const nextLine = queued ? `Next: ${queued.name}${queued.artist ? " - " + queued.artist : ""} ${chalk.green("(queued)")}` :
+    s.nextName ? `Next: ${s.nextName}${s.nextArtist ? " - " + s.nextArtist : ""}` : "";
+  const shuffle = s.shuffle ? chalk.green("on") : chalk.gray("off");
+  const repeat = chalk.cyan(s.repeat || "none");
+  const vol = `${s.volume}%`;
+  const timer = sleep.status();
+  const loop = seeking.loopStatus();
+
+  const lines = [
+    line1,
+    line2,
+    nextLine,
+    // active sleep timer / alarm first, so a narrow box never cuts them off
+    (timer ? chalk.yellow(timer) + "   " : "") +
+      (loop ? chalk.magenta(loop) + "   " : "") +
+      `State: ${status}   Shuffle: ${shuffle}   Repeat: ${repeat}   Volume: ${vol}`
+  ].filter(Boolean);
+  return lines.join("\n");
+}
+
+function renderState(s) {
+  if (!s) return;
+  stateAt = Date.now();
+  let dirty = setIfChanged(infoBox, infoText(s));
+
+  if (trivia.update(s)) dirty = true;
+  lyrics.update(s);
+  artwork.update(s);
+  const dragTo = seeking.dragging();
+  dirty = drawProgress(dragTo !== null ? dragTo : s.position, s.duration) || dirty;
+  if (dirty) screen.render();
+}
+
+// Now playing again, e.g. for the sleep timer's countdown
+function drawInfo() {
+  if (currentState && setIfChanged(infoBox, infoText(currentState))) screen.render();
+}
+
+// position now, interpolated since the last refresh
+function livePosition() {
+  const s = currentState;
+  if (!s) return 0;
+  return s.position + (s.state === "playing" ? (Date.now() - stateAt) / 1000 : 0);
+}
+
+const artwork = createArtworkPanel(ui);
+
+// ---------- Layout ----------
+// layout() places the panels for the terminal size: side by side ("wide"),
+// in one column ("stacked") or as the one- or two-line mini-player instead of
+// the frame. Hidden panels give their room to the others.
+const STACK_BELOW_COLS = 90;
+const MINI_BELOW_COLS = 40;
+const MINI_BELOW_ROWS = 12;
+const MIN_INFO_COLS = 40;  // stacked: the art gives way before Now playing gets narrower
+const MIN_SIDE_ROWS = 8;   // stacked: the side panel gets half the rows below, but not fewer
+const PANEL_NAMES = { artwork: "Album art", progress: "Progress", commands: "Commands", trivia: "Trivia / Lyrics", help: "Key help" };
+let miniNote = "";         // a message over the mini-player's title, see showMessage()
+let miniNoteTimer = null;
+
+function layoutFor(choice) {
+  if (choice !== "auto") return choice;
+  if (screen.width < MINI_BELOW_COLS || screen.height < MINI_BELOW_ROWS) return "mini";
+  return screen.width < STACK_BELOW_COLS ? "stacked" : "wide";
+}
+
+// too small to show more than a border: hidden
+function place(box, visible, top, left, width, height) {
+  if (!visible || width < 3 || height < 3) { box.hide(); return; }
+  Object.assign(box, { top, left, width, height });
+  box.show();
+}
+
+// redraw: clear the screen first, as the art is written outside blessed
+// (not needed after a resize, which clears it anyway)
+function layout(redraw = true) {
+  const mode = layoutFor(layoutChoice);
+  const W = screen.width - 2, H = screen.height - 2; // inside the frame
+  const listFocused = screen.focused === list;
+  miniBox.height = Math.min(2, screen.height);
+  if (mode === "mini") { outer.hide(); miniBox.show(); }
+  else { miniBox.hide(); outer.show(); }
+
+  const stacked = mode === "stacked";
+  const end = H - (shown.help ? 3 : 1); // first row below the panels
+  const leftWidth = stacked || !shown.trivia ? W - 3 : Math.floor(W / 2) - 3;
+  const below = BASE_TOP + INFO_HEIGHT + (shown.progress ? PROGRESS_HEIGHT : 0);
+  // the art is square, as cells are about 1:2
+  let artWidth = shown.artwork ? (below - BASE_TOP - 2) * 2 + 2 : 0;
+  if (stacked && leftWidth - artWidth < MIN_INFO_COLS) artWidth = 0;
+  place(artBox, artWidth > 0, BASE_TOP, 1, artWidth, below - BASE_TOP);
+  place(infoBox, true, BASE_TOP, 1 + artWidth, leftWidth - artWidth, INFO_HEIGHT);
+  place(progressBox, shown.progress, BASE_TOP + INFO_HEIGHT, 1 + artWidth, leftWidth - artWidth, PROGRESS_HEIGHT);
+  if (stacked) {
+    const rows = end - below;
+    const sideRows = !shown.trivia ? 0 : !shown.commands ? rows : rows >= 2 * MIN_SIDE_ROWS ? Math.floor(rows / 2) : 0;
+    place(list, shown.commands, below, 1, leftWidth, rows - sideRows);
+    place(sideBox, sideRows > 0, end - sideRows, 1, leftWidth, sideRows);
+  } else {
+    place(list, shown.commands, below, 1, leftWidth, end - below);
+    place(sideBox, shown.trivia, BASE_TOP, Math.floor(W / 2), W - 1 - Math.floor(W / 2), end - BASE_TOP);
+  }
+  help.top = H - 2;
+  if (shown.help && H > 2) help.show(); else help.hide();
+
+  // a hidden list keeps the focus, so its keys keep working; a hidden side panel hands it back
+  if (listFocused || (!sideBox.visible && (screen.focused === trivia.box || screen.focused === lyrics.box))) list.focus();
+  artwork.reset();
+  if (redraw) screen.realloc();
+  currentLayout = mode;
+  if (currentState) renderState(currentState);
+  screen.render();
+}
+
+// state, time, progress and title in one or two lines as wide as the terminal;
+// returns true if it needs a redraw
+function drawMini(position = livePosition()) {
+  if (miniBox.hidden) return false;
+  const s = currentState || {};
+  const cols = screen.width;
+  const icon = s.state === "playing" ? paint(theme.playing)("▶") :
+    s.state === "paused" ? paint(theme.paused)("‖") : paint(theme.stopped)("■");
+  const title = miniNote ? chalk.yellow(blessed.escape(miniNote)) :
+    s.name ? `{bold}${blessed.escape(s.name)}{/bold}` + (s.artist ? ` – ${blessed.escape(s.artist)}` : "") : chalk.gray("(no track)");
+  const times = [timeFmt(position), timeFmt(s.duration || 0)];
+  let lines;
+  if (refreshError) {
+    lines = [chalk.magenta(refreshError.title), chalk.gray(refreshError.remedy)];
+  } else if (miniBox.height > 1) {
+    const barWidth = Math.max(5, cols - 7 - times[0].length - times[1].length);
+    lines = [`${icon} ${title}`, `${times[0]} [${progressBar(position, s.duration, barWidth)}] ${times[1]}`];
+  } else {
+    const barWidth = Math.max(5, Math.min(30, Math.floor(cols / 4)));
+    lines = [`${icon} ${times[0]} [${progressBar(position, s.duration, barWidth)}] ${times[1]}  ${title}`];
+  }
+  return setIfChanged(miniBox, miniBox.height > 1 ? lines.map(l => " " + l).join("\n") : " " + lines.join("  "));
+}
+
+function toggleMiniPlayer() {
+  if (currentLayout !== "mini") layoutChoice = "mini";
+  else {
+    layoutChoice = startLayout === "mini" ? "auto" : startLayout;
+    // too small for "auto" to leave the mini-player: one column then
+    if (layoutFor(layoutChoice) === "mini") layoutChoice = "stacked";
+  }
+  layout();
+}
+
+function setPanel(name, visible) {
+  shown[name] = visible;
+  layout();
+}
+
+// Enter shows / hides the selected panel and leaves the list open for the next
+async function choosePanels() {
+  const names = Object.keys(PANEL_NAMES);
+  let selected = 0;
+  for (;;) {
+    const items = names.map(p => `${shown[p] ? "●" : "○"} ${PANEL_NAMES[p]}`);
+    const picked = await dialogs.pickFromList("Panels – Enter shows / hides", items, selected);
+    if (picked === null) return;
+    selected = items.indexOf(picked);
+    setPanel(names[selected], !shown[names[selected]]);
+  }
+}
+
+screen.on("resize", () => layout(false));
+layout(false);
+
+// ---------- Plays: history + scrobbling ----------
+// every state the refresh loop sees goes to the play tracker (lib/history.js);
+// the track playing at exit is written to history as "interrupted"
+const scrobbler = createScrobbler(settings.scrobble, {
+  onStatus: () => { drawScrobbleStatus(); screen.render(); },
+  onError: (service, message) => { showMessage(`${service}: ${message}`); screen.render(); }
+});
+const plays = ui.plays = createPlayTracker({
+  onStart: play => scrobbler.nowPlaying(play),
+  onThreshold: play => scrobbler.scrobble(play),
+  onFinish: entry => { if (settings.historyEnabled) appendHistory(entry); }
+});
+process.on("exit", () => plays.flush());
+
+// per service in the Now playing label: "ListenBrainz ✓", "Last.fm 3 queued ✗"
+function drawScrobbleStatus() {
+  if (!scrobbler.enabled) return;
+  const services = scrobbler.status().map(st =>
+    st.label + (st.queued ? ` ${st.queued} queued` : "") + " " + (st.error ? chalk.red("✗") : chalk.green("✓")));
+  infoBox.setLabel(` Now playing – Scrobble: ${services.join("  ")} `);
+}
+drawScrobbleStatus();
+scrobbler.retry();
+
+const sleep = createSleep(ui);
+
+// the text width of Now playing
+function infoColumns() {
+  return Math.max(10, infoBox.width - 2);
+}
+
+// ---------- Refresh loop ----------
+// poll less often when nothing is moving, and back off while the player keeps failing
+const MAX_BACKOFF_MS = 30000;
+let refreshTimer = null;
+let refreshFailures = 0;
+let refreshError = null; // describeError() of the last failure, while it lasts
+function refreshDelay() {
+  const st = currentState && currentState.state;
+  const ms = settings.refresh[st] || settings.refresh.stopped;
+  return refreshFailures ? Math.max(ms, Math.min(MAX_BACKOFF_MS, 1000 * 2 ** refreshFailures)) : ms;
+}
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refresh, refreshDelay());
+}
+
+let refreshing = false;
+async function refresh() {
+  if (refreshing) return;
+  refreshing = true;
+  try {
+    await backend.ensureReady();
+    let s = await backend.getState();
+    if (await upNext.advance(s)) s = await backend.getState();
+    upNext.observe(s);
+    currentState = s;
+    renderState(s);
+    seeking.enforceLoop();
+    plays.observe(s);
+    if (server) server.publish(s);
+    if (refreshFailures) {
+      refreshFailures = 0;
+      refreshError = null;
+      logEvent("info", `${backend.label} answers again`);
+      showMessage();
+      screen.render();
+    }
+  } catch (e) {
+    refreshFailures++;
+    const d = refreshError = describeError(e);
+    setIfChanged(infoBox, [chalk.magenta(d.title)].concat(wrapWords(d.remedy, infoColumns()).map(l => chalk.gray(l))).join("\n"));
+    drawMini();
+    const logKey = keys.eventLog[0] ? `, ${keyLabel(keys.eventLog[0])} = event log` : "";
+    showMessage(`${d.title} – trying again in ${Math.round(refreshDelay() / 1000)}s${logKey}`);
+    screen.render();
+  } finally {
+    refreshing = false;
+    scheduleRefresh();
+  }
+}
+
+// arg: which of the action's keys was pressed (seekPercent)
+async function handleCommand(action, arg) {
+  try {
+    switch (action) {
+      case "playPause": {
+        // optimistic update
+        if (currentState) {
+          currentState.state = currentState.state === "playing" ? "paused" : "playing";
+          renderState(currentState);
+        }
+        const st = await backend.getPlayerState();
+        if (st === "playing") await backend.pause(); else await backend.play();
+        break;
+      }
+      case "next": {
+        if (currentState) { currentState.name = "(loading...)"; renderState(currentState); }
+        if (await upNext.playQueued()) break;
+        await backend.nextTrack();
+        await backend.play();
+        if (currentState) { currentState.state = "playing"; }
+        break;
+      }
+      case "prev": {
+        if (currentState) { currentState.name = "(loading...)"; renderState(currentState); }
+        upNext.hold();
+        await backend.prevTrack();
+        await backend.play();
+        if (currentState) { currentState.state = "playing"; }
+        break;
+      }
+      case "volumeUp": {
+        if (currentState) { currentState.volume = Math.min(100, (currentState.volume || 0) + volumeStep); renderState(currentState); }
+        const v = await backend.getVolume(); await backend.setVolume(Math.min(100, v + volumeStep)); break; }
+      case "volumeDown": {
+        if (currentState) { currentState.volume = Math.max(0, (currentState.volume || 0) - volumeStep); renderState(currentState); }
+        const v = await backend.getVolume(); await backend.setVolume(Math.max(0, v - volumeStep)); break; }
+      case "seekForward": {
+        if (currentState) { currentState.position = (currentState.position || 0) + seekStep; renderState(currentState); }
+        await backend.seekRel(seekStep); break; }
+      case "seekBack": {
+        if (currentState) { currentState.position = Math.max(0, (currentState.position || 0) - seekStep); renderState(currentState); }
+        await backend.seekRel(-seekStep); break; }
+      case "jumpTo": return seeking.jumpToTime();
+      case "seekPercent": {
+        if (currentState && currentState.duration > 0) await seeking.seekTo(currentState.duration * (arg || 0) / 10);
+        break; }
+      case "abLoop": return seeking.markLoop();
+      case "bookmarks": return seeking.openBookmarks();
+      case "addBookmark": return seeking.addBookmark();
+      case "prevBookmark": return seeking.jumpToBookmark(-1);
+      case "nextBookmark": return seeking.jumpToBookmark(1);
+      case "shuffle": {
+        if (currentState) { currentState.shuffle = !currentState.shuffle; renderState(currentState); }
+        await backend.toggleShuffle(); break; }
+      case "repeat": {
+        if (currentState) {
+          const order = ["none","one","all"];
+          const next = order[(order.indexOf(currentState.repeat)||0)+1 & 0b11];
+          currentState.repeat = next; renderState(currentState);
+        }
+        await backend.cycleRepeat(); break; }
+      case "playlists": return playlists.open();
+      case "selectPlayer": return players.open();
+      case "search": return search.open();
+      case "upNext": return upNext.open();
+      case "addToPlaylist": return playlists.addCurrent();
+      case "rate": return ratings.rate();
+      case "love": return ratings.toggleMark("loved");
+      case "dislike": return ratings.toggleMark("disliked");
+      case "stats": return stats.open();
+      case "eventLog": return events.open();
+      case "commandBar": return commandBar.open();
+      case "generatePlaylist": return mix.generate();
+      case "sleepTimer": return sleep.openMenu();
+      case "cancelTimers": return sleep.cancelAll();
+      case "miniPlayer": return toggleMiniPlayer();
+      case "panels": return choosePanels();
+      case "switchTab": // a hidden side panel comes back first
+        if (!shown.trivia) return setPanel("trivia", true);
+        return lyrics.toggle();
+      case "regenerateTrivia": if (currentState && currentState.name) trivia.regenerate(currentState); return;
+      case "lyricsEarlier": return lyrics.shift(-0.5);
+      case "lyricsLater": return lyrics.shift(0.5);
+      case "quit": process.exit(0);
+    }
+  } catch (e) {
+    logError(action, e);
+    const d = describeError(e);
+    showMessage(`${d.title}: ${d.message}`);
+    screen.render();
+  } finally {
+    refresh();
+  }
+}
+
+// list handlers
+// hidden (mini-player, panels) it still has the focus: Enter mustn't run a command
+list.on("select", (item, idx) => { if (list.visible) handleCommand(commandDefs[idx].id); });
+
+// shortcuts from settings.keys only act from the main view: a modal has keys
+// of its own ("d" in a track list), and digits or Space would reach the player
+// behind it. Modals leave Ctrl keys alone, so those (Ctrl-C) work everywhere.
+// actions this session can't do (backend capability, no model for trivia) stay unbound
+function actionAvailable(id) {
+  if (id === "selectPlayer") return !!backend.listPlayers;
+  if (id === "regenerateTrivia") return trivia.available;
+  if (id === "rate") return !!backend.setRating;
+  if (id === "love") return !!backend.setLoved;
+  if (id === "dislike") return !!backend.setDisliked;
+  return true;
+}
+for (const id of Object.keys(keys).filter(actionAvailable)) {
+  keys[id].forEach((key, i) => {
+    screen.key([key], () => {
+      if (!key.startsWith("C-") && !mainFocused()) return;
+      handleCommand(id, i);
+    });
+  });
+}
+
+// true when no modal has the focus (for the shortcuts above)
+function mainFocused() {
+  return screen.focused === list || screen.focused === trivia.box || screen.focused === lyrics.box;
+}
+
+// ESC closes the active modal, the one most likely on top first
+const modals = [events, dialogs, stats, playlistFiles, commandBar, ratings, seeking, mix, search, upNext, players, tracks, playlists];
+screen.key(["escape"], () => {
+  modals.some(m => m.close());
+});
+
+// remote actions refresh right away instead of waiting for the next tick
+if (server) {
+  server.onAction(() => refresh());
+  showMessage();
+}
+
+// start + adaptive auto-refresh (1 s while playing, slower when paused/stopped)
+(async () => {
+  // showMessage("Start…");
+  screen.render();
+  await refresh();
+})();
@@ -0,0 +1,95 @@
+"use strict";
+
+/**
+ * Album art left of Now playing. lib/artwork.js decodes and caches the art
+ * per album and turns it into escape sequences; they are written over the
+ * (empty) art box after every blessed render that left it uncovered, and
+ * again after a resize.
+ */
+
+const { createArtwork, detectMode, draw: drawArtwork, albumKey, KITTY_CLEAR } = require("../artwork");
+
+const ARTWORK_RETRY_MS = 10000;
+
+function createArtworkPanel(ui) {
+  const { screen, backend, settings, artBox } = ui;
+  const artMode = settings.artwork === "auto" ? detectMode() : settings.artwork;
+  const artwork = createArtwork(backend);
+  let art = null;      // { key, entry, retryAt? } for the current album; entry undefined while loading
+  let artShown = "";   // what's on screen ("" = needs drawing)
+
+  async function load(s) {
+    const key = artwork.available ? albumKey(s) : "";
+    // the player failed to answer: keep the placeholder, ask again in a while
+    if (art && art.key === key && !(art.retryAt && Date.now() >= art.retryAt)) return;
+    const retrying = art && art.key === key;
+    if (!retrying) {
+      art = { key, entry: key ? artwork.cached(key) : null };
+      artShown = "";
+    }
+    if (!key || (art.entry && !art.entry.failed)) return;
+    const current = art;
+    current.retryAt = 0;
+    const entry = await artwork.load(s);
+    if (art !== current) return; // another album by now
+    art.entry = entry;
+    if (entry.failed) art.retryAt = Date.now() + ARTWORK_RETRY_MS;
+    artShown = "";
+    screen.render();
+  }
+
+  // the inner area of artBox in screen cells, null when it's not shown
+  function artRect() {
+    if (!artBox.visible || !artBox.lpos) return null;
+    const { xi, xl, yi, yl } = artBox.lpos;
+    return { x: xi + 1, y: yi + 1, cols: xl - xi - 2, rows: yl - yi - 2 };
+  }
+
+  // a dialog (anything not inside the main frame) over part of the art?
+  function artCovered(r) {
+    return screen.children.some(el => el !== ui.outer && el.visible && el.lpos &&
+      el.lpos.xi < r.x + r.cols && el.lpos.xl > r.x && el.lpos.yi < r.y + r.rows && el.lpos.yl > r.y);
+  }
+
+  // blessed thinks the art's cells are still blank and skips them when a dialog
+  // opens over them; make it draw every cell of the area again
+  function releaseArtCells(r) {
+    for (let y = r.y; y < r.y + r.rows; y++) {
+      const drawn = screen.olines[y];
+      if (!drawn) continue;
+      for (let x = r.x; x < r.x + r.cols; x++) if (drawn[x]) drawn[x][0] = -1;
+      screen.lines[y].dirty = true;
+    }
+    screen.draw(r.y, r.y + r.rows - 1);
+  }
+
+  screen.on("render", () => {
+    const r = artRect();
+    if (!r || r.cols < 2 || r.rows < 1) return;
+    if (artCovered(r)) {
+      if (!artShown) return;
+      artShown = "";
+      if (artMode === "kitty") screen.program._write(KITTY_CLEAR); // drawn above the text
+      releaseArtCells(r);
+      return;
+    }
+    const entry = art && art.entry;
+    const shown = `${entry ? art.key : ""}:${r.x},${r.y},${r.cols}x${r.rows}`;
+    if (shown === artShown) return;
+    artShown = shown;
+    screen.program._write("\x1b7" + drawArtwork(entry && entry.image, r, artMode, entry && entry.renders) + "\x1b8");
+  });
+  process.on("exit", () => { if (artMode === "kitty" && artShown) process.stdout.write(KITTY_CLEAR); });
+
+  return {
+    // after every state, while the art box is shown
+    update(s) { if (artBox.visible) load(s); },
+    // the boxes moved: draw the art again after the next render
+    reset() {
+      if (artShown && artMode === "kitty") screen.program._write(KITTY_CLEAR);
+      artShown = "";
+    }
+  };
+}
+
+module.exports = { createArtworkPanel };
@@ -0,0 +1,94 @@
+"use strict";
+
+/**
+ * The command bar. lib/assistant.js turns the request into planned calls;
+ * they are shown in the Planned actions modal and only run on Enter.
+ */
+
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { errorText } = require("./common");
+
+function createCommandBar(ui) {
+  const { screen, assistant } = ui;
+
+  const modalPlan = blessed.box({
+    top: "center", left: "center", width: "60%", height: "50%",
+    border: "line", label: " Planned actions ", style: { border: { fg: "magenta" } }, hidden: true
+  });
+  const planBody = blessed.box({
+    parent: modalPlan, top: 0, left: 1, right: 1, bottom: 1, tags: true,
+    scrollable: true, alwaysScroll: true, keys: true, mouse: true
+  });
+  blessed.box({
+    parent: modalPlan, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{magenta-fg}Enter{/magenta-fg}=Run  {magenta-fg}Esc{/magenta-fg}=Cancel"
+  });
+  screen.append(modalPlan);
+
+  let pendingPlan = null;
+  let thinking = null; // AbortController of the request in flight, Esc aborts it
+
+  async function open() {
+    const text = await ui.dialogs.askText("What should I do? (e.g. \"turn it down a bit\")");
+    if (!text) return;
+    if (!assistant.available) { ui.showMessage(assistant.unavailableText); screen.render(); return; }
+    ui.showMessage("Thinking… (Esc cancels)");
+    screen.render();
+    const controller = new AbortController();
+    thinking = controller;
+    let plan;
+    try {
+      plan = await assistant.plan(text, ui.state, { signal: controller.signal });
+    } catch (e) {
+      ui.showMessage(controller.signal.aborted ? "Cancelled." : `Command failed: ${errorText(e)}`);
+      screen.render();
+      return;
+    } finally {
+      if (thinking === controller) thinking = null;
+    }
+    if (!plan.calls.length) { ui.showMessage(plan.reply || "Nothing to do."); screen.render(); return; }
+    ui.showMessage();
+    pendingPlan = plan;
+    const lines = [chalk.gray(`“${text}”`), ""];
+    plan.calls.forEach((call, i) => lines.push(`${i + 1}. ${blessed.escape(call.label)}`));
+    if (plan.reply) lines.push("", chalk.gray(blessed.escape(plan.reply)));
+    planBody.setContent(lines.join("\n"));
+    planBody.setScroll(0);
+    modalPlan.show(); modalPlan.setFront(); planBody.focus(); screen.render();
+  }
+
+  function closePlan() {
+    pendingPlan = null;
+    modalPlan.hide(); ui.list.focus(); screen.render();
+  }
+
+  planBody.key(["enter"], async () => {
+    const plan = pendingPlan;
+    closePlan();
+    if (!plan) return;
+    for (const call of plan.calls) {
+      try {
+        await assistant.run(call, { command: ui.handleCommand });
+      } catch (e) {
+        ui.showMessage(`${call.label} failed: ${errorText(e)}`);
+        screen.render();
+        return;
+      }
+    }
+    ui.showMessage(plan.reply || "Done.");
+    ui.refresh();
+  });
+
+  return {
+    open,
+    close() {
+      if (thinking) { thinking.abort(); thinking = null; return true; }
+      if (modalPlan.hidden) return false;
+      closePlan();
+      return true;
+    }
+  };
+}
+
+module.exports = { createCommandBar };
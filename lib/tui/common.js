@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * Small pieces shared by the TUI modules (lib/tui.js and lib/tui/*.js):
+ * formatting helpers and the virtualized list widget.
+ */
+
+const os = require("os");
+const path = require("path");
+const blessed = require("blessed");
+const chalk = require("chalk");
+
+// "Title::Artist", or "" when nothing plays
+function trackKey(s) { return s && s.name ? `${s.name}::${s.artist}` : ""; }
+
+// ★★★☆☆ for a 1–5 star rating
+function stars(n) {
+  return "★".repeat(n) + "☆".repeat(5 - n);
+}
+
+// theme colors are blessed names or "#rrggbb"; chalk needs the matching function
+function paint(color) {
+  return color.startsWith("#") ? chalk.hex(color) : chalk[color];
+}
+
+// "C-c" -> "Ctrl-C", "right" -> "→", "s" -> "S"
+const KEY_NAMES = { space: "Space", left: "←", right: "→", up: "↑", down: "↓", enter: "Enter", return: "Enter",
+  tab: "Tab", backspace: "Bksp", delete: "Del", insert: "Ins", home: "Home", end: "End", pageup: "PgUp", pagedown: "PgDn" };
+function keyLabel(key) {
+  const mods = { C: "Ctrl-", M: "Alt-", S: "Shift-" };
+  let prefix = "";
+  while (/^[CMS]-./.test(key)) { prefix += mods[key[0]]; key = key.slice(2); }
+  return prefix + (KEY_NAMES[key] || key.toUpperCase());
+}
+
+// last line of an osascript/daemon error is the useful part
+function errorText(e) {
+  const lines = String((e && e.message) || e).trim().split("\n");
+  return lines[lines.length - 1];
+}
+
+// the backend's whole-library playlist, "" if it has none
+async function libraryPlaylist(backend) {
+  return backend.getLibraryPlaylist ? backend.getLibraryPlaylist() : "";
+}
+
+// setContent only when the text changed; returns true if the box needs a redraw
+function setIfChanged(box, content) {
+  if (box._lastContent === content) return false;
+  box._lastContent = content;
+  box.setContent(content);
+  return true;
+}
+
+// "~/x.csv" -> absolute path, for file names typed into a prompt
+const expandHome = file => path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir()));
+
+function wrapWords(text, width) {
+  const lines = [];
+  for (const word of text.split(" ")) {
+    const last = lines.length - 1;
+    if (last >= 0 && lines[last].length + 1 + word.length <= width) lines[last] += " " + word;
+    else lines.push(word);
+  }
+  return lines;
+}
+
+// A list that only draws the rows in view; blessed.list creates an element per
+// item, which takes seconds for a 10k-track playlist. Rows are tagged strings.
+// Like blessed.list: .selected, select(i), and "select" (row, index) on Enter.
+function virtualList(screen, options) {
+  const sel = options.selected || { bg: "cyan", fg: "black" };
+  const box = blessed.box(Object.assign({ tags: true, wrap: false, mouse: true }, options));
+  let rows = [];
+  let top = 0;
+  box.selected = 0;
+
+  const pageHeight = () => Math.max(1, box.height - box.iheight);
+  function draw() {
+    const h = pageHeight();
+    if (box.selected < top) top = box.selected;
+    if (box.selected >= top + h) top = box.selected - h + 1;
+    top = Math.max(0, Math.min(top, rows.length - h));
+    const width = box.width - box.iwidth;
+    box.setContent(rows.slice(top, top + h).map((row, i) => {
+      if (top + i !== box.selected) return row;
+      const pad = " ".repeat(Math.max(0, width - box.strWidth(blessed.helpers.stripTags(row))));
+      return `{${sel.bg}-bg}{${sel.fg}-fg}${row}${pad}{/}`;
+    }).join("\n"));
+  }
+  box.setRows = (list) => {
+    rows = list;
+    box.selected = Math.max(0, Math.min(box.selected, rows.length - 1));
+    draw();
+  };
+  box.select = (i) => {
+    box.selected = Math.max(0, Math.min(rows.length - 1, i));
+    draw();
+  };
+  const move = (by) => { box.select(box.selected + by); screen.render(); };
+  box.key(["up"], () => move(-1));
+  box.key(["down"], () => move(1));
+  box.key(["pageup"], () => move(-(pageHeight() - 1)));
+  box.key(["pagedown"], () => move(pageHeight() - 1));
+  box.key(["home"], () => move(-rows.length));
+  box.key(["end"], () => move(rows.length));
+  box.key(["enter"], () => { if (rows.length) box.emit("select", rows[box.selected], box.selected); });
+  box.on("wheelup", () => move(-3));
+  box.on("wheeldown", () => move(3));
+  box.on("click", (data) => {
+    const i = top + data.y - box.atop - box.itop;
+    if (i >= rows.length) return;
+    if (i === box.selected) box.emit("select", rows[i], i);
+    else move(i - box.selected);
+  });
+  box.on("resize", draw);
+  return box;
+}
+
+module.exports = { trackKey, stars, paint, keyLabel, errorText, libraryPlaylist, setIfChanged, expandHome, wrapWords, virtualList };
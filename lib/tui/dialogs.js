@@ -0,0 +1,81 @@
+"use strict";
+
+/**
+ * Generic dialogs for the TUI: a list to pick from and a text prompt. Both
+ * resolve a promise, so features can ask and carry on in one async function.
+ */
+
+const blessed = require("blessed");
+
+function createDialogs(ui) {
+  const { screen } = ui;
+
+  // Modal: generic picker (e.g. "add to playlist"), see pickFromList()
+  const modalPick = blessed.box({
+    top: "center", left: "center", width: "50%", height: "60%",
+    border: "line", label: " Pick ", style: { border: { fg: "green" } }, hidden: true
+  });
+  const modalPickList = blessed.list({
+    parent: modalPick, top: 1, left: 1, right: 1, bottom: 1, keys: true, mouse: true,
+    style: { selected: { bg: "green", fg: "black" } }
+  });
+  screen.append(modalPick);
+
+  // Text input dialog, see askText()
+  const promptBox = blessed.prompt({
+    parent: screen, top: "center", left: "center", width: "50%", height: 8,
+    border: "line", label: " Input ", tags: true, style: { border: { fg: "yellow" } }
+  });
+
+  // Resolves with the chosen item's text, or null when closed with Esc.
+  let pickResolve = null;
+  function pickFromList(title, items, selected = 0) {
+    if (pickResolve) closePick(null);
+    return new Promise(resolve => {
+      pickResolve = resolve;
+      modalPick._returnFocus = screen.focused;
+      modalPick.setLabel(` ${title} `);
+      modalPickList.setItems(items);
+      modalPickList.select(selected);
+      modalPick.show(); modalPick.setFront(); modalPickList.focus(); screen.render();
+    });
+  }
+  function closePick(value) {
+    const resolve = pickResolve;
+    pickResolve = null;
+    modalPick.hide();
+    (modalPick._returnFocus || ui.list).focus();
+    screen.render();
+    if (resolve) resolve(value);
+  }
+  modalPickList.on("select", (item) => closePick(item.getText()));
+
+  // Resolves with the trimmed text, or null when cancelled / empty
+  // (with allowEmpty, "" when submitted empty and null only when cancelled).
+  function askText(question, initial = "", { allowEmpty = false } = {}) {
+    return new Promise(resolve => {
+      promptBox.setFront();
+      promptBox.input(question, initial, (err, value) => {
+        screen.render();
+        if (err || value == null) return resolve(null);
+        resolve(String(value).trim() || (allowEmpty ? "" : null));
+      });
+    });
+  }
+
+  async function confirmAction(question) {
+    return (await pickFromList(question, ["No", "Yes"])) === "Yes";
+  }
+
+  return {
+    pickFromList, askText, confirmAction,
+    // Esc: true if the picker was open
+    close() {
+      if (modalPick.hidden) return false;
+      closePick(null);
+      return true;
+    }
+  };
+}
+
+module.exports = { createDialogs };
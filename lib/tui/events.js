@@ -0,0 +1,81 @@
+"use strict";
+
+/**
+ * The Event log modal. lib/diagnostics.js records backend calls, retries and
+ * errors. Errors the user can act on show their remedy right away, even when
+ * the backend only logged them and carried on.
+ */
+
+const blessed = require("blessed");
+const { recentEvents, clearEvents, onEvent, CATEGORIES } = require("../diagnostics");
+
+const EVENT_COLORS = { command: "gray", error: "red", retry: "yellow", info: "cyan" };
+
+function eventLine(ev) {
+  const time = `${new Date(ev.at).toTimeString().slice(0, 8)}.${String(ev.at % 1000).padStart(3, "0")}`;
+  const color = EVENT_COLORS[ev.kind] || "white";
+  const extra = [ev.category, ev.ms !== undefined ? `${ev.ms} ms` : ""].filter(Boolean).join(", ");
+  let line = `{gray-fg}${time}{/gray-fg} {${color}-fg}${ev.kind.padEnd(7)}{/${color}-fg} ${blessed.escape(ev.text)}` +
+    (extra ? ` {gray-fg}(${extra}){/gray-fg}` : "");
+  if (ev.kind === "error" && ev.category !== "error") line += `\n{gray-fg}${" ".repeat(21)}→ ${blessed.escape(CATEGORIES[ev.category].remedy)}{/gray-fg}`;
+  return line;
+}
+
+function createEventLog(ui) {
+  const { screen } = ui;
+
+  const modalEvents = blessed.box({
+    top: "center", left: "center", width: "85%", height: "80%",
+    border: "line", label: " Event log ", style: { border: { fg: "red" } }, hidden: true
+  });
+  const eventsBody = blessed.box({
+    parent: modalEvents, top: 0, left: 1, right: 1, bottom: 1, tags: true,
+    scrollable: true, alwaysScroll: true, keys: true, mouse: true,
+    scrollbar: { ch: " ", track: { bg: "gray" }, style: { bg: "red" } }
+  });
+  blessed.box({
+    parent: modalEvents, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{red-fg}C{/red-fg}=Clear  {red-fg}Esc{/red-fg}=Close"
+  });
+  screen.append(modalEvents);
+
+  onEvent(ev => {
+    if (!modalEvents.hidden) drawEvents();
+    if (ev.kind !== "error" || (ev.background && (ev.category === "script" || ev.category === "error"))) return;
+    const c = CATEGORIES[ev.category];
+    ui.showMessage(`${c.title} – ${c.remedy}`);
+    screen.render();
+  });
+
+  function drawEvents() {
+    const events = recentEvents();
+    const following = eventsBody.getScrollPerc() >= 100 || eventsBody.getScrollHeight() <= eventsBody.height;
+    eventsBody.setContent(events.length ? events.map(eventLine).join("\n") : "{gray-fg}Nothing logged yet.{/gray-fg}");
+    if (following) eventsBody.setScrollPerc(100);
+    screen.render();
+  }
+
+  function open() {
+    modalEvents._back = screen.focused;
+    modalEvents.show(); modalEvents.setFront(); eventsBody.focus();
+    eventsBody.setScrollPerc(100);
+    drawEvents();
+  }
+
+  eventsBody.key(["c"], () => { clearEvents(); drawEvents(); });
+
+  return {
+    open,
+    // back to whatever had the focus before
+    close() {
+      if (modalEvents.hidden) return false;
+      const back = modalEvents._back;
+      modalEvents.hide();
+      (back && back.visible && back !== eventsBody ? back : ui.list).focus();
+      screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createEventLog };
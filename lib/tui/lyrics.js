@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * The Lyrics tab, which shares the Trivia spot. Synced (LRC) lyrics highlight
+ * the current line; the position is interpolated between refreshes so the
+ * highlight moves on time even when polling every few seconds.
+ */
+
+const fs = require("fs");
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { parseLrc, lineAt, findLrcFile, createOffsetStore } = require("../lyrics");
+const { trackKey, setIfChanged } = require("./common");
+
+// trivia: the other tab, see lib/tui/trivia.js
+function createLyricsPanel(ui, trivia) {
+  const { screen, backend, settings } = ui;
+  const { theme } = settings;
+
+  const box = blessed.box({
+    parent: ui.sideBox, top: 0, left: 0, width: "100%", height: "100%",
+    border: "line", label: " Trivia [Lyrics] ", tags: true, hidden: true,
+    scrollable: true, alwaysScroll: true, keys: true, mouse: true,
+    scrollbar: { ch: " ", track: { bg: "gray" }, style: { bg: theme.trivia } },
+    style: { border: { fg: theme.trivia } }
+  });
+
+  const lyricsOffsets = createOffsetStore();
+  let lyrics = null;       // { key, synced, lines } for the loaded track
+  let lyricsLoading = null;
+  let lyricsLine = -2;     // highlighted line, -2 = nothing drawn yet
+  let lyricsTimer = null;
+
+  async function fetchLyrics(s) {
+    let text = "";
+    if (backend.getLyrics) {
+      try { text = await backend.getLyrics(); } catch { text = ""; }
+    }
+    if (text.trim()) return parseLrc(text);
+    const file = findLrcFile(settings.lyricsDir, s.artist, s.name);
+    if (!file) return null;
+    try { return parseLrc(fs.readFileSync(file, "utf8")); } catch { return null; }
+  }
+
+  async function load(s) {
+    const key = trackKey(s);
+    if ((lyrics && lyrics.key === key) || lyricsLoading === key) return;
+    lyricsLoading = key;
+    const parsed = key ? await fetchLyrics(s) : null;
+    if (lyricsLoading !== key) return; // track changed meanwhile
+    lyricsLoading = null;
+    lyrics = Object.assign({ key, synced: false, lines: [] }, parsed);
+    lyricsLine = -2;
+    box.setLabel(lyricsLabel());
+    draw();
+  }
+
+  function lyricsLabel() {
+    const offset = lyrics && lyrics.key ? lyricsOffsets.get(lyrics.key) : 0;
+    const shown = offset ? ` ${offset > 0 ? "+" : ""}${offset}s` : "";
+    return ` Trivia [Lyrics${shown}] `;
+  }
+
+  function draw() {
+    if (box.hidden) return;
+    const key = trackKey(ui.state);
+    if (!key || !lyrics || lyrics.key !== key) {
+      setIfChanged(box, chalk.gray(key ? "Loading lyrics…" : "(no track)"));
+      screen.render();
+      return;
+    }
+    if (!lyrics.lines.length) {
+      setIfChanged(box, chalk.gray(`No lyrics for this track.\n\nPut "${lyrics.key.split("::").reverse().join(" - ")}.lrc" in\n${settings.lyricsDir}`));
+      screen.render();
+      return;
+    }
+    const idx = lyrics.synced ? lineAt(lyrics.lines, ui.livePosition() - lyricsOffsets.get(lyrics.key)) : -1;
+    if (idx === lyricsLine) return;
+    lyricsLine = idx;
+    setIfChanged(box, lyrics.lines.map((l, i) =>
+      i === idx ? `{${theme.lyrics}-fg}{bold}${blessed.escape(l.text || "♪")}{/bold}{/}` : blessed.escape(l.text)
+    ).join("\n"));
+    if (lyrics.synced) {
+      // keep the current line about a third from the top (wrapped lines take several rows)
+      const rows = box._clines && box._clines.ftor && box._clines.ftor[Math.max(0, idx)];
+      const row = rows ? rows[0] : Math.max(0, idx);
+      box.scrollTo(0);
+      box.scroll(Math.max(0, row - Math.floor((box.height - 2) / 3)));
+    }
+    screen.render();
+  }
+
+  function showTab(tab) {
+    const showLyrics = tab === "lyrics";
+    clearInterval(lyricsTimer);
+    lyricsTimer = null;
+    if (showLyrics) {
+      trivia.box.hide(); box.show();
+      if (screen.focused === trivia.box) box.focus();
+      lyricsLine = -2;
+      if (ui.state) load(ui.state);
+      draw();
+      lyricsTimer = setInterval(() => {
+        const s = ui.state;
+        if (lyrics && lyrics.synced && s && s.state === "playing") draw();
+      }, 200);
+    } else {
+      box.hide(); trivia.box.show();
+      if (screen.focused === box) trivia.box.focus();
+    }
+    screen.render();
+  }
+
+  function shift(delta) {
+    if (box.hidden || !lyrics || !lyrics.synced) return;
+    try {
+      lyricsOffsets.set(lyrics.key, lyricsOffsets.get(lyrics.key) + delta);
+    } catch (e) {
+      ui.showMessage(`Could not save lyrics offset: ${e.message}`);
+    }
+    lyricsLine = -2;
+    box.setLabel(lyricsLabel());
+    draw();
+  }
+
+  return {
+    box,
+    // after every state, while the tab is shown
+    update(s) { if (!box.hidden) load(s); },
+    toggle() { showTab(box.hidden ? "lyrics" : "trivia"); },
+    // timing offset in seconds for the current track
+    shift
+  };
+}
+
+module.exports = { createLyricsPanel };
@@ -0,0 +1,133 @@
+"use strict";
+
+/**
+ * AI playlists. The model picks from the library playlist only
+ * (lib/assistant.js checks every pick); the result can be trimmed and
+ * reordered before it is played through the Up Next queue or saved as a new
+ * playlist.
+ */
+
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { durationFmt } = require("../time");
+const { errorText, libraryPlaylist } = require("./common");
+
+function createMix(ui) {
+  const { screen, backend, assistant } = ui;
+
+  const modalMix = blessed.box({
+    top: "center", left: "center", width: "70%", height: "70%",
+    border: "line", label: " AI playlist ", style: { border: { fg: "magenta" } }, hidden: true
+  });
+  const mixInfo = blessed.box({ parent: modalMix, top: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" } });
+  const mixList = blessed.list({
+    parent: modalMix, top: 2, left: 1, right: 1, bottom: 2, keys: true, mouse: true,
+    style: { selected: { bg: "magenta", fg: "black" } }
+  });
+  blessed.box({
+    parent: modalMix, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{magenta-fg}Enter{/magenta-fg}=Play all  {magenta-fg}W{/magenta-fg}=Save as playlist  {magenta-fg}D{/magenta-fg}=Remove  {magenta-fg}K/J{/magenta-fg}=Move up/down  {magenta-fg}Esc{/magenta-fg}=Close"
+  });
+  screen.append(modalMix);
+
+  let mix = null; // { name, tracks }
+  let thinking = null; // AbortController of the request in flight, Esc aborts it
+
+  async function generate() {
+    if (!assistant.available) { ui.showMessage(assistant.unavailableText); screen.render(); return; }
+    const prompt = await ui.dialogs.askText("Playlist mood or theme:");
+    if (!prompt) return;
+    ui.showMessage("Reading the library…");
+    screen.render();
+    try {
+      const library = await libraryPlaylist(backend);
+      if (!library) throw new Error(`${backend.label} has no library playlist to pick from`);
+      const pool = await backend.getTracksOfPlaylist(library);
+      ui.showMessage(`Picking from ${pool.length} tracks… (Esc cancels)`);
+      screen.render();
+      thinking = new AbortController();
+      const result = await assistant.suggestPlaylist(prompt, pool, { signal: thinking.signal });
+      mix = { name: result.name, prompt, library, dropped: result.dropped, tracks: result.tracks };
+    } catch (e) {
+      ui.showMessage(thinking && thinking.signal.aborted ? "Cancelled." : `Playlist failed: ${errorText(e)}`);
+      screen.render();
+      return;
+    } finally {
+      thinking = null;
+    }
+    ui.showMessage();
+    modalMix.setLabel(` AI playlist: ${mix.name} `);
+    drawMix(0);
+    modalMix.show(); modalMix.setFront(); mixList.focus(); screen.render();
+  }
+
+  function drawMix(select) {
+    const total = mix.tracks.reduce((sum, t) => sum + (t.duration || 0), 0);
+    mixInfo.setContent(`“${blessed.escape(mix.prompt)}” – ${mix.tracks.length} tracks` +
+      (total ? `, ${durationFmt(total)}` : "") +
+      (mix.dropped ? `  {yellow-fg}(${mix.dropped} picks not in the library were left out){/yellow-fg}` : ""));
+    mixList.setItems(mix.tracks.map((t, i) => `${String(i + 1).padStart(2)}. ${t.name}` + (t.artist ? ` - ${t.artist}` : "") + (t.album ? chalk.gray(`  [${t.album}]`) : "")));
+    mixList.select(Math.max(0, Math.min(select, mix.tracks.length - 1)));
+    screen.render();
+  }
+
+  mixList.key(["d", "delete"], () => {
+    if (!mix || !mix.tracks.length) return;
+    mix.tracks.splice(mixList.selected, 1);
+    drawMix(mixList.selected);
+  });
+
+  mixList.key(["S-k", "S-j"], (ch, key) => {
+    if (!mix) return;
+    const from = mixList.selected;
+    const to = from + (key.name === "k" ? -1 : 1);
+    if (to < 0 || to >= mix.tracks.length) return;
+    const [t] = mix.tracks.splice(from, 1);
+    mix.tracks.splice(to, 0, t);
+    drawMix(to);
+  });
+
+  // play the first track now, the rest through the TUI's own queue
+  mixList.on("select", async () => {
+    if (!mix || !mix.tracks.length) return;
+    modalMix.hide(); ui.list.focus();
+    try {
+      await ui.upNext.playAll(mix.tracks.map(t => Object.assign({}, t, { playlist: mix.library })));
+      ui.showMessage(`Playing ${mix.name} (${mix.tracks.length} tracks)`);
+    } catch (e) {
+      ui.showMessage(`Could not play: ${errorText(e)}`);
+    }
+    screen.render();
+    ui.refresh();
+  });
+
+  mixList.key(["w"], async () => {
+    if (!mix || !mix.tracks.length) return;
+    const { editingSupported, editPlaylist } = ui.playlists;
+    if (!editingSupported("createPlaylist") || !editingSupported("addToPlaylist")) return;
+    if (mix.tracks.some(t => !t.id)) {
+      ui.showMessage(`${backend.label} can't add these tracks to a playlist.`); screen.render(); return;
+    }
+    const name = await ui.dialogs.askText("Save playlist as:", mix.name);
+    mixList.focus();
+    if (!name) return;
+    const tracks = mix.tracks.slice();
+    const saved = await editPlaylist(async () => {
+      await backend.createPlaylist(name);
+      for (const t of tracks) await backend.addToPlaylist(t, name);
+    }, `Saved playlist "${name}" (${tracks.length} tracks)`);
+    if (saved) { modalMix.hide(); ui.list.focus(); screen.render(); }
+  });
+
+  return {
+    generate,
+    close() {
+      if (thinking) { thinking.abort(); return true; }
+      if (modalMix.hidden) return false;
+      modalMix.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createMix };
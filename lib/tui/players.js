@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * The player picker, for backends that can drive several players (MPRIS).
+ */
+
+const blessed = require("blessed");
+
+function createPlayers(ui) {
+  const { screen, backend } = ui;
+
+  const modalPlayers = blessed.box({
+    top: "center", left: "center", width: "50%", height: "50%",
+    border: "line", label: " Players ", style: { border: { fg: "blue" } }, hidden: true
+  });
+  const modalPlayersList = blessed.list({
+    parent: modalPlayers, top: 1, left: 1, right: 1, bottom: 1, keys: true, mouse: true,
+    style: { selected: { bg: "blue", fg: "white" } }
+  });
+  screen.append(modalPlayers);
+
+  async function open() {
+    let players = [];
+    try { players = await backend.listPlayers(); } catch { /* bus unreachable */ }
+    if (!players.length) { ui.showMessage("No players found."); return; }
+    const cur = backend.currentPlayer();
+    modalPlayersList.setItems(players);
+    modalPlayersList.select(Math.max(0, players.indexOf(cur)));
+    modalPlayers.show(); modalPlayersList.focus(); screen.render();
+  }
+
+  modalPlayersList.on("select", async (item) => {
+    const name = item.getText();
+    modalPlayers.hide(); ui.list.focus(); screen.render();
+    try {
+      await backend.selectPlayer(name);
+      ui.showMessage(`Player: ${name.replace(/^org\.mpris\.MediaPlayer2\./, "")}`);
+    } catch (e) {
+      ui.showMessage(e.message);
+    }
+    ui.refresh();
+  });
+
+  return {
+    open,
+    close() {
+      if (modalPlayers.hidden) return false;
+      modalPlayers.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createPlayers };
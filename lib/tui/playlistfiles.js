@@ -0,0 +1,114 @@
+"use strict";
+
+/**
+ * Export and import of playlist files from the Playlists modal (X and I), via
+ * lib/playlistfile.js; the format follows the file extension. An import ends
+ * in a report of what matched.
+ */
+
+const os = require("os");
+const path = require("path");
+const blessed = require("blessed");
+const { exportPlaylist, importPlaylist, describeEntry, reportSummary } = require("../playlistfile");
+const { errorText, expandHome } = require("./common");
+
+function createPlaylistFiles(ui) {
+  const { screen, backend, playlists } = ui;
+  const modalPlList = playlists.list;
+
+  // Modal: what a playlist import found
+  const modalImport = blessed.box({
+    top: "center", left: "center", width: "70%", height: "70%",
+    border: "line", label: " Playlist import ", style: { border: { fg: "yellow" } }, hidden: true
+  });
+  const importBody = blessed.box({
+    parent: modalImport, top: 0, left: 1, right: 1, bottom: 1, tags: true,
+    scrollable: true, alwaysScroll: true, keys: true, mouse: true,
+    scrollbar: { ch: " ", track: { bg: "gray" }, style: { bg: "yellow" } }
+  });
+  blessed.box({
+    parent: modalImport, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{yellow-fg}Enter{/yellow-fg}=Open the playlist  {yellow-fg}Esc{/yellow-fg}=Close"
+  });
+  screen.append(modalImport);
+
+  modalPlList.key(["x"], async () => {
+    const item = modalPlList.getItem(modalPlList.selected);
+    if (!item) return;
+    const name = item.getText();
+    const file = await ui.dialogs.askText(`Export "${name}" to (.m3u8, .json or .csv):`,
+      path.join(os.homedir(), `${name.replace(/[\\/:*?"<>|]/g, "_")}.m3u8`));
+    modalPlList.focus();
+    if (!file) return;
+    ui.showMessage(`Exporting ${name}…`);
+    screen.render();
+    try {
+      const done = await exportPlaylist(backend, name, expandHome(file));
+      ui.showMessage(`Exported ${done.tracks} tracks to ${file}` +
+        (done.format === "m3u8" && done.located < done.tracks ? ` (${done.tracks - done.located} without a file)` : ""));
+    } catch (e) {
+      ui.showMessage(`Export failed: ${errorText(e)}`);
+    }
+    screen.render();
+  });
+
+  modalPlList.key(["i"], async () => {
+    if (!playlists.editingSupported("createPlaylist") || !playlists.editingSupported("addToPlaylist")) return;
+    if (!backend.searchLibrary) { ui.showMessage(`Importing needs library search, which is not supported by ${backend.label}.`); screen.render(); return; }
+    const file = await ui.dialogs.askText("Import playlist file (.m3u8, .m3u, .json or .csv):");
+    modalPlList.focus();
+    if (!file) return;
+    let report;
+    try {
+      report = await importPlaylist(backend, expandHome(file), {
+        onProgress: (done, total) => { ui.showMessage(`Matching tracks… ${done}/${total}`); screen.render(); }
+      });
+    } catch (e) {
+      ui.showMessage(`Import failed: ${errorText(e)}`);
+      screen.render();
+      return;
+    }
+    ui.showMessage(reportSummary(report));
+    showImportReport(report);
+  });
+
+  function showImportReport(report) {
+    const line = text => blessed.escape(text);
+    const rows = [`{bold}${line(reportSummary(report))}{/bold}`];
+    if (report.fuzzy.length) {
+      rows.push("", `{yellow-fg}Fuzzy matches (${report.fuzzy.length}){/yellow-fg}`);
+      report.fuzzy.forEach(m => rows.push(`  ${line(describeEntry(m.entry))}`, `    {gray-fg}→ ${line(describeEntry(m.track))}{/gray-fg}`));
+    }
+    if (report.missing.length) {
+      rows.push("", `{red-fg}Not in the library (${report.missing.length}){/red-fg}`);
+      report.missing.forEach(e => rows.push(`  ${line(describeEntry(e))}`));
+    }
+    if (report.exact.length) {
+      rows.push("", `{green-fg}Exact matches (${report.exact.length}){/green-fg}`);
+      report.exact.forEach(m => rows.push(`  ${line(describeEntry(m.entry))}`));
+    }
+    modalImport._playlist = report.playlist;
+    importBody.setContent(rows.join("\n"));
+    importBody.setScroll(0);
+    playlists.hide();
+    modalImport.show(); modalImport.setFront(); importBody.focus();
+    screen.render();
+  }
+
+  importBody.key(["enter"], () => {
+    const name = modalImport._playlist;
+    modalImport.hide(); ui.list.focus();
+    screen.render();
+    if (name) ui.tracks.open(name);
+  });
+
+  return {
+    close() {
+      if (modalImport.hidden) return false;
+      modalImport.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createPlaylistFiles };
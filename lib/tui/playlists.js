@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * The Playlists modal and playlist editing: create, rename, delete, and
+ * adding the current track. Enter opens the playlist's tracks
+ * (lib/tui/tracks.js); export and import are in lib/tui/playlistfiles.js.
+ */
+
+const blessed = require("blessed");
+const { errorText, libraryPlaylist } = require("./common");
+
+function createPlaylists(ui) {
+  const { screen, backend } = ui;
+
+  const modalPl = blessed.box({
+    top: "center", left: "center", width: "70%", height: "70%",
+    border: "line", label: " Playlists ", style: { border: { fg: "yellow" } }, hidden: true
+  });
+  const modalPlList = blessed.list({
+    parent: modalPl, top: 1, left: 1, right: 1, bottom: 2, keys: true, mouse: true,
+    style: { selected: { bg: "green", fg: "black" } }
+  });
+  blessed.box({
+    parent: modalPl, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{yellow-fg}Enter{/yellow-fg}=Tracks  {yellow-fg}N{/yellow-fg}=New  {yellow-fg}E{/yellow-fg}=Rename  {yellow-fg}D{/yellow-fg}=Delete  {yellow-fg}X{/yellow-fg}=Export  {yellow-fg}I{/yellow-fg}=Import  {yellow-fg}Esc{/yellow-fg}=Close"
+  });
+  screen.append(modalPl);
+
+  async function open(selectName) {
+    let pls;
+    try {
+      pls = await backend.getPlaylists();
+    } catch (e) {
+      ui.showMessage(errorText(e)); screen.render(); return;
+    }
+    if (!pls.length && !backend.createPlaylist) { ui.showMessage("No playlists."); return; }
+    modalPlList.setItems(pls);
+    if (selectName) modalPlList.select(Math.max(0, pls.indexOf(selectName)));
+    modalPl.show(); modalPlList.focus(); screen.render();
+  }
+
+  modalPlList.on("select", (item) => {
+    const playlistName = item.getText();
+    modalPl.hide(); screen.render();
+    ui.tracks.open(playlistName);
+  });
+
+  // after: reload whatever shows the edited data (runs before the message is set)
+  async function editPlaylist(fn, doneMsg, after) {
+    try {
+      await fn();
+      if (after) await after();
+      ui.showMessage(doneMsg);
+      return true;
+    } catch (e) {
+      ui.showMessage(`Failed: ${errorText(e)}`);
+      return false;
+    } finally {
+      screen.render();
+    }
+  }
+
+  function editingSupported(method) {
+    if (typeof backend[method] === "function") return true;
+    ui.showMessage(`Playlist editing is not supported by ${backend.label}.`);
+    screen.render();
+    return false;
+  }
+
+  async function addCurrent() {
+    if (!editingSupported("addCurrentToPlaylist")) return;
+    const s = ui.state;
+    if (!s || !s.name) { ui.showMessage("Nothing playing."); screen.render(); return; }
+    const trackName = s.name;
+    let pls;
+    try {
+      const library = await libraryPlaylist(backend);
+      pls = (await backend.getPlaylists()).filter(n => n !== library);
+    } catch (e) {
+      ui.showMessage(errorText(e)); screen.render(); return;
+    }
+    if (!pls.length) { ui.showMessage("No playlists."); screen.render(); return; }
+    const target = await ui.dialogs.pickFromList(`Add "${trackName}" to`, pls);
+    if (target) await editPlaylist(() => backend.addCurrentToPlaylist(target), `Added ${trackName} to ${target}`);
+  }
+
+  modalPlList.key(["n"], async () => {
+    if (!editingSupported("createPlaylist")) return;
+    const name = await ui.dialogs.askText("New playlist name:");
+    if (name) await editPlaylist(() => backend.createPlaylist(name), `Created ${name}`, () => open(name));
+  });
+  modalPlList.key(["e"], async () => {
+    const item = modalPlList.getItem(modalPlList.selected);
+    if (!item || !editingSupported("renamePlaylist")) return;
+    const name = item.getText();
+    const newName = await ui.dialogs.askText(`Rename "${name}" to:`, name);
+    if (!newName || newName === name) return;
+    await editPlaylist(() => backend.renamePlaylist(name, newName), `Renamed to ${newName}`, () => open(newName));
+  });
+  modalPlList.key(["d", "delete"], async () => {
+    const item = modalPlList.getItem(modalPlList.selected);
+    if (!item || !editingSupported("deletePlaylist")) return;
+    const name = item.getText();
+    if (!(await ui.dialogs.confirmAction(`Delete playlist "${name}"?`))) return;
+    await editPlaylist(() => backend.deletePlaylist(name), `Deleted ${name}`, () => open());
+  });
+
+  return {
+    open, editPlaylist, editingSupported, addCurrent,
+    // the modal's list, for the keys of lib/tui/playlistfiles.js
+    list: modalPlList,
+    hide() { modalPl.hide(); },
+    close() {
+      if (modalPl.hidden) return false;
+      modalPl.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createPlaylists };
@@ -0,0 +1,172 @@
+"use strict";
+
+/**
+ * Ratings, love / dislike of the current track, and the Track info form
+ * (genre, year, comment, play count) for a track in the Tracks modal.
+ */
+
+const blessed = require("blessed");
+const { stars, errorText } = require("./common");
+
+const RATING_ITEMS = [5, 4, 3, 2, 1].map(stars).concat("No rating");
+const MARKS = {
+  loved: { set: "setLoved", other: "disliked", on: "Loved", off: "No longer loved" },
+  disliked: { set: "setDisliked", other: "loved", on: "Disliked", off: "No longer disliked" }
+};
+const TRACK_FIELDS = [
+  { id: "genre", label: "Genre" },
+  { id: "year", label: "Year", number: true },
+  { id: "comment", label: "Comment" },
+  { id: "playedCount", label: "Play count", number: true }
+];
+
+function createRatings(ui) {
+  const { screen, backend } = ui;
+
+  // Modal: genre/year/comment/play count of a track, see openTrackInfo()
+  const modalInfo = blessed.box({
+    top: "center", left: "center", width: "50%", height: 11,
+    border: "line", label: " Track info ", style: { border: { fg: "cyan" } }, hidden: true
+  });
+  const modalInfoList = blessed.list({
+    parent: modalInfo, top: 1, left: 1, right: 1, bottom: 2, keys: true, mouse: true, tags: true,
+    style: { selected: { bg: "cyan", fg: "black" } }
+  });
+  blessed.box({
+    parent: modalInfo, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{cyan-fg}Enter{/cyan-fg}=Edit field / Save  {cyan-fg}Esc{/cyan-fg}=Cancel"
+  });
+  screen.append(modalInfo);
+
+  async function rate() {
+    const s = ui.state;
+    if (!s || !s.name) { ui.showMessage("Nothing playing."); screen.render(); return; }
+    const name = s.name;
+    const choice = await ui.dialogs.pickFromList(`Rate "${name}"`, RATING_ITEMS, s.rating ? 5 - s.rating : 0);
+    if (!choice) return;
+    // the rating always goes to whatever plays now
+    const now = ui.state;
+    if (!now || now.name !== name) { ui.showMessage("The track changed, not rated."); screen.render(); return; }
+    const n = choice === "No rating" ? 0 : 5 - RATING_ITEMS.indexOf(choice);
+    const before = now.rating;
+    now.rating = n;
+    ui.renderState(now);
+    try {
+      await backend.setRating(n);
+      ui.tracks.clearCache();
+      ui.showMessage(n ? `Rated ${name} ${stars(n)}` : `Cleared the rating of ${name}`);
+    } catch (e) {
+      // undo the early update (a poll in between has replaced the state anyway)
+      now.rating = before;
+      if (ui.state === now) ui.renderState(now);
+      ui.showMessage(`Failed: ${errorText(e)}`);
+    }
+    screen.render();
+  }
+
+  // field: "loved" | "disliked"; toggles it for the current track
+  async function toggleMark(field) {
+    const s = ui.state;
+    if (!s || !s.name) { ui.showMessage("Nothing playing."); screen.render(); return; }
+    const mark = MARKS[field];
+    const name = s.name;
+    const on = !s[field];
+    const before = { [field]: s[field], [mark.other]: s[mark.other] };
+    s[field] = on;
+    if (on) s[mark.other] = false; // the player keeps only one of them
+    ui.renderState(s);
+    try {
+      await backend[mark.set](on);
+      ui.showMessage(`${on ? mark.on : mark.off}: ${name}`);
+    } catch (e) {
+      Object.assign(s, before);
+      if (ui.state === s) ui.renderState(s);
+      ui.showMessage(`Failed: ${errorText(e)}`);
+    }
+    screen.render();
+  }
+
+  let infoEdit = null; // { playlist, track, row, original, values } while the form is open
+
+  function drawTrackInfo() {
+    const { original, values } = infoEdit;
+    const rows = TRACK_FIELDS.map(f => {
+      const v = values[f.id];
+      const text = blessed.escape(f.number && !v ? "–" : String(v));
+      return `${f.label.padEnd(11)} ${v === original[f.id] ? text : `{yellow-fg}${text}{/yellow-fg}`}`;
+    });
+    const selected = modalInfoList.selected;
+    modalInfoList.setItems(rows.concat("{green-fg}Save{/green-fg}"));
+    modalInfoList.select(selected);
+    screen.render();
+  }
+
+  // for the row selected in the Tracks modal
+  async function openTrackInfo() {
+    const { playlist, track, row } = ui.tracks.selected();
+    if (!track) return;
+    if (!backend.getTrackInfo) {
+      ui.showMessage(`Editing track info is not supported by ${backend.label}.`); screen.render(); return;
+    }
+    let original;
+    try {
+      original = await backend.getTrackInfo(playlist, track.index);
+    } catch (e) {
+      ui.showMessage(`Failed: ${errorText(e)}`); screen.render(); return;
+    }
+    infoEdit = { playlist, track, row, original, values: Object.assign({}, original) };
+    modalInfo.setLabel(` ${track.name} `);
+    modalInfoList.select(0);
+    drawTrackInfo();
+    modalInfo.show(); modalInfo.setFront(); modalInfoList.focus(); screen.render();
+  }
+
+  function closeTrackInfo() {
+    infoEdit = null;
+    modalInfo.hide();
+    ui.tracks.focus();
+    screen.render();
+  }
+
+  async function editTrackField(field) {
+    const current = infoEdit.values[field.id];
+    const text = await ui.dialogs.askText(`${field.label}:`, field.number && !current ? "" : String(current), { allowEmpty: true });
+    modalInfoList.focus();
+    if (text === null || !infoEdit) return;
+    if (field.number) {
+      if (!/^\d*$/.test(text)) { ui.showMessage(`${field.label} must be a whole number.`); screen.render(); return; }
+      infoEdit.values[field.id] = parseInt(text, 10) || 0;
+    } else {
+      infoEdit.values[field.id] = text;
+    }
+    ui.showMessage();
+    drawTrackInfo();
+  }
+
+  async function saveTrackInfo() {
+    const { playlist, track, row, original, values } = infoEdit;
+    const changed = {};
+    for (const f of TRACK_FIELDS) if (values[f.id] !== original[f.id]) changed[f.id] = values[f.id];
+    closeTrackInfo();
+    if (!Object.keys(changed).length) return;
+    await ui.playlists.editPlaylist(() => backend.setTrackInfo(playlist, track.index, changed), `Saved ${track.name}`,
+      () => ui.tracks.open(playlist, row));
+  }
+
+  modalInfoList.on("select", (item, idx) => {
+    if (!infoEdit) return;
+    if (idx < TRACK_FIELDS.length) editTrackField(TRACK_FIELDS[idx]);
+    else saveTrackInfo();
+  });
+
+  return {
+    rate, toggleMark, openTrackInfo,
+    close() {
+      if (modalInfo.hidden) return false;
+      closeTrackInfo();
+      return true;
+    }
+  };
+}
+
+module.exports = { createRatings };
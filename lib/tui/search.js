@@ -0,0 +1,178 @@
+"use strict";
+
+/**
+ * Library search: results while typing, grouped into tracks, albums and
+ * artists (lib/search.js); an album or artist drills down to its tracks.
+ */
+
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { createSearchCache, groupResults, fetchWord } = require("../search");
+const { errorText, libraryPlaylist } = require("./common");
+
+const SEARCH_HINT = "{cyan-fg}Enter{/cyan-fg}=Play  {cyan-fg}N{/cyan-fg}=Play next  {cyan-fg}L{/cyan-fg}=Play later  {cyan-fg}A{/cyan-fg}=Add to playlist  {cyan-fg}Tab{/cyan-fg}=Edit query  {cyan-fg}Esc{/cyan-fg}=Close";
+
+function trackLabel(t) {
+  return `  ${t.name}` + (t.artist ? ` - ${t.artist}` : "") + (t.album ? `  [${t.album}]` : "");
+}
+
+function createSearch(ui) {
+  const { screen, backend } = ui;
+
+  const modalSearch = blessed.box({
+    top: "center", left: "center", width: "80%", height: "80%",
+    border: "line", label: " Search library ", style: { border: { fg: "cyan" } }, hidden: true
+  });
+  blessed.box({ parent: modalSearch, top: 0, left: 1, width: 2, height: 1, content: "/", style: { fg: "cyan" } });
+  const searchInput = blessed.textbox({
+    parent: modalSearch, top: 0, left: 3, right: 1, height: 1, inputOnFocus: true,
+    style: { fg: "white" }
+  });
+  const searchList = blessed.list({
+    parent: modalSearch, top: 2, left: 1, right: 1, bottom: 1, keys: true, mouse: true,
+    style: { selected: { bg: "cyan", fg: "black" } }
+  });
+  const searchHint = blessed.box({
+    parent: modalSearch, bottom: 0, left: 1, right: 1, height: 1, tags: true,
+    style: { fg: "gray" }
+  });
+  screen.append(modalSearch);
+
+  const searchCache = backend.searchLibrary
+    ? createSearchCache((word, limit) => backend.searchLibrary(word, limit))
+    : null;
+  let searchRows = [];   // parallel to searchList items
+  let searchSeq = 0;     // drops results of superseded queries
+  let searchTimer = null;
+
+  function showSearchRows(rows) {
+    searchRows = rows;
+    searchList.setItems(rows.map(r => r.label));
+    const first = rows.findIndex(r => r.type === "track" || r.type === "album" || r.type === "artist");
+    searchList.select(Math.max(0, first));
+    screen.render();
+  }
+
+  // filter: drill-down into one album/artist – show only matching tracks
+  async function runSearch(query, filter) {
+    const seq = ++searchSeq;
+    if (fetchWord(query).length < 2) {
+      searchHint.setContent(SEARCH_HINT);
+      showSearchRows([]);
+      return;
+    }
+    searchHint.setContent("Searching…");
+    screen.render();
+    let tracks = [];
+    try { tracks = await searchCache.candidates(query); } catch { tracks = []; }
+    if (seq !== searchSeq) return;
+    if (filter) tracks = tracks.filter(filter);
+
+    const g = groupResults(query, tracks);
+    const rows = [];
+    const header = (title, n) => rows.push({ type: "header", label: chalk.yellow.bold(`${title} (${n})`) });
+    if (g.tracks.length) {
+      header("Tracks", g.tracks.length);
+      g.tracks.forEach(t => rows.push({ type: "track", track: t, label: trackLabel(t) }));
+    }
+    if (!filter && g.albums.length) {
+      header("Albums", g.albums.length);
+      g.albums.forEach(a => rows.push({ type: "album", album: a, label: `  ${a.album}` + (a.artist ? ` - ${a.artist}` : "") }));
+    }
+    if (!filter && g.artists.length) {
+      header("Artists", g.artists.length);
+      g.artists.forEach(a => rows.push({ type: "artist", artist: a, label: `  ${a.artist}` }));
+    }
+    searchHint.setContent(rows.length ? SEARCH_HINT : "No matches.");
+    showSearchRows(rows);
+  }
+
+  function open() {
+    if (!searchCache) { ui.showMessage(`Search is not supported by ${backend.label}.`); screen.render(); return; }
+    searchHint.setContent(SEARCH_HINT);
+    modalSearch.show(); modalSearch.setFront(); searchInput.focus(); screen.render();
+  }
+
+  function closeSearch() {
+    clearTimeout(searchTimer);
+    modalSearch.hide(); ui.list.focus(); screen.render();
+  }
+
+  // live search while typing (the value updates after this handler runs)
+  searchInput.on("keypress", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => runSearch(searchInput.getValue()), 200);
+  });
+  searchInput.on("submit", () => {
+    clearTimeout(searchTimer);
+    runSearch(searchInput.getValue()).then(() => { searchList.focus(); screen.render(); });
+  });
+  searchInput.on("cancel", closeSearch);
+  searchList.key(["tab"], () => { searchInput.focus(); screen.render(); });
+
+  searchList.on("select", async (item, idx) => {
+    const row = searchRows[idx];
+    if (!row) return;
+    if (row.type === "album") {
+      const { album, artist } = row.album;
+      searchInput.setValue(album);
+      await runSearch(album, t => t.album === album && t.artist === artist);
+      return;
+    }
+    if (row.type === "artist") {
+      const { artist } = row.artist;
+      searchInput.setValue(artist);
+      await runSearch(artist, t => t.artist === artist);
+      return;
+    }
+    if (row.type !== "track") return;
+    try {
+      ui.upNext.hold();
+      await backend.playLibraryTrack(row.track);
+      closeSearch();
+      ui.showMessage(`Playing: ${row.track.name}`);
+    } catch {
+      ui.showMessage("Could not play track.");
+    }
+    ui.refresh();
+  });
+
+  searchList.key(["n", "l"], (ch, key) => {
+    const row = searchRows[searchList.selected];
+    if (row && row.type === "track") ui.upNext.add(row.track, key.name === "n" ? "next" : "later");
+  });
+
+  searchList.key(["a"], async () => {
+    const row = searchRows[searchList.selected];
+    if (!row || row.type !== "track") return;
+    if (!backend.addToPlaylist) { ui.showMessage(`Playlist editing is not supported by ${backend.label}.`); screen.render(); return; }
+    let pls;
+    try {
+      const library = await libraryPlaylist(backend);
+      pls = (await backend.getPlaylists()).filter(n => n !== library);
+    } catch (e) {
+      ui.showMessage(errorText(e)); screen.render(); return;
+    }
+    if (!pls.length) { ui.showMessage("No playlists."); screen.render(); return; }
+    const target = await ui.dialogs.pickFromList(`Add "${row.track.name}" to`, pls);
+    if (!target) return;
+    try {
+      await backend.addToPlaylist(row.track, target);
+      ui.showMessage(`Added to ${target}`);
+    } catch (e) {
+      ui.showMessage(`Could not add to ${target}: ${errorText(e)}`);
+    }
+    screen.render();
+  });
+
+  return {
+    open,
+    close() {
+      if (modalSearch.hidden) return false;
+      closeSearch();
+      return true;
+    }
+  };
+}
+
+module.exports = { createSearch };
@@ -0,0 +1,253 @@
+"use strict";
+
+/**
+ * Precise seeking: jumps to a typed position, 10 % steps, clicks on the
+ * progress bar, the A–B loop (kept by the refresh loop, see enforceLoop) and
+ * bookmarks (lib/practice.js).
+ */
+
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { timeFmt, preciseTimeFmt, parseSeekTarget } = require("../time");
+const { createAbLoop, createBookmarkStore, adjacentBookmark } = require("../practice");
+const { trackKey, errorText } = require("./common");
+
+function createSeeking(ui) {
+  const { screen, backend, progressBox } = ui;
+
+  // Modal: bookmarks of the current track
+  const modalMarks = blessed.box({
+    top: "center", left: "center", width: "50%", height: "60%",
+    border: "line", label: " Bookmarks ", style: { border: { fg: "yellow" } }, hidden: true
+  });
+  const modalMarksList = blessed.list({
+    parent: modalMarks, top: 1, left: 1, right: 1, bottom: 2, keys: true, mouse: true,
+    style: { selected: { bg: "yellow", fg: "black" } }
+  });
+  blessed.box({
+    parent: modalMarks, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{yellow-fg}Enter{/yellow-fg}=Jump  {yellow-fg}N{/yellow-fg}=New here  {yellow-fg}E{/yellow-fg}=Rename  {yellow-fg}D{/yellow-fg}=Delete  {yellow-fg}Esc{/yellow-fg}=Close"
+  });
+  screen.append(modalMarks);
+
+  const abLoop = createAbLoop();
+  const bookmarks = createBookmarkStore();
+  let loopTimer = null;
+  let dragTo = null; // position under the mouse while dragging on the bar
+  let marksKey = "";  // the track the bookmarks modal shows
+
+  function nothingPlaying() {
+    if (ui.state && ui.state.name) return false;
+    ui.showMessage("Nothing playing.");
+    screen.render();
+    return true;
+  }
+
+  // optimistic, like the ±seek keys; on failure a refresh puts the
+  // real position back
+  // withinPlay: the A–B loop or a bookmark, not a restart for the listening history
+  async function seekTo(target, withinPlay = false) {
+    const s = ui.state;
+    if (!s || !s.name) return;
+    if (withinPlay) ui.plays.seeked();
+    const t = Math.max(0, s.duration > 0 ? Math.min(target, s.duration) : target);
+    s.position = t;
+    ui.renderState(s);
+    try {
+      await backend.seekTo(t);
+    } catch (e) {
+      ui.showMessage(`Seek failed: ${errorText(e)}`);
+      screen.render();
+      ui.refresh();
+    }
+  }
+
+  async function jumpToTime() {
+    if (nothingPlaying()) return;
+    const text = await ui.dialogs.askText("Jump to (1:23, 40%, +15, -15):", timeFmt(ui.livePosition()));
+    if (text === null) return;
+    const target = parseSeekTarget(text, { position: ui.livePosition(), duration: ui.state.duration });
+    if (Number.isNaN(target)) { ui.showMessage(`"${text}" is not a position like 1:23, 40% or +15.`); screen.render(); return; }
+    await seekTo(target);
+  }
+
+  // the bar under x (screen column), 0..duration; null if nothing is playing
+  function barTarget(x) {
+    const bar = progressBox._bar;
+    if (!bar || !(bar.duration > 0)) return null;
+    const cell = x - progressBox.aleft - progressBox.ileft - bar.left;
+    return Math.max(0, Math.min(1, (cell + 0.5) / bar.width)) * bar.duration;
+  }
+
+  // a press on the bar (or its brackets) starts a drag; only the release seeks.
+  // While dragging, terminals report the held button as more mousedowns (or as
+  // mousemoves), anywhere on the screen.
+  progressBox.on("mousedown", (data) => {
+    if (dragTo !== null) return;
+    const bar = progressBox._bar;
+    const cell = data.x - progressBox.aleft - progressBox.ileft - (bar ? bar.left : 0);
+    if (!bar || cell < -1 || cell > bar.width || !ui.state || !ui.state.name) return;
+    dragTo = barTarget(data.x);
+    if (dragTo === null) return;
+    ui.drawProgress(dragTo, ui.state.duration);
+    screen.render();
+  });
+  screen.on("mouse", (data) => {
+    if (dragTo === null) return;
+    if (data.action === "mousemove" || data.action === "mousedown") {
+      dragTo = barTarget(data.x);
+      if (dragTo !== null) { ui.drawProgress(dragTo, ui.state.duration); screen.render(); }
+    } else if (data.action === "mouseup") {
+      const target = dragTo;
+      dragTo = null;
+      if (target !== null) seekTo(target).catch(() => {}).then(ui.refresh);
+    }
+  });
+
+  // A, then B, then off
+  function markLoop() {
+    if (nothingPlaying()) return;
+    const key = trackKey(ui.state);
+    const step = abLoop.mark(key, ui.livePosition());
+    const loop = abLoop.get(key);
+    ui.showMessage(step === "off" ? "A–B loop off." :
+      step === "a" ? `Loop start A at ${preciseTimeFmt(loop.a)}; press again at B.` :
+      `Looping ${preciseTimeFmt(loop.a)}–${preciseTimeFmt(loop.b)}`);
+    ui.renderState(Object.assign(ui.state, { position: ui.livePosition() }));
+    enforceLoop();
+  }
+
+  // back to A once the position reaches B: checked after every poll, and a
+  // timer catches B when it comes before the next one
+  function enforceLoop() {
+    clearTimeout(loopTimer);
+    loopTimer = null;
+    const s = ui.state;
+    if (!abLoop.active || !s) return;
+    if (abLoop.key !== trackKey(s)) {
+      abLoop.clear();
+      ui.showMessage("A–B loop off: the track changed.");
+      screen.render();
+      return;
+    }
+    const loop = abLoop.get(abLoop.key);
+    if (loop.b === null || s.state !== "playing") return;
+    const left = loop.b - ui.livePosition();
+    if (left <= 0.05) seekTo(loop.a, true).catch(() => {});
+    else if (left < 3) loopTimer = setTimeout(enforceLoop, left * 1000);
+  }
+
+  function drawBookmarks(select = modalMarksList.selected || 0) {
+    const marks = bookmarks.list(marksKey);
+    modalMarksList._marks = marks;
+    modalMarksList.setItems(marks.length ?
+      marks.map(m => `${preciseTimeFmt(m.at).padStart(9)}  ${m.name}`) :
+      [chalk.gray("  (no bookmarks – N adds one at the current position)")]);
+    modalMarksList.select(Math.min(select, Math.max(0, marks.length - 1)));
+    if (ui.state) ui.drawProgress(ui.livePosition(), ui.state.duration);
+    screen.render();
+  }
+
+  function openBookmarks() {
+    if (nothingPlaying()) return;
+    marksKey = trackKey(ui.state);
+    modalMarks.setLabel(` Bookmarks – ${ui.state.name} `);
+    drawBookmarks(0);
+    modalMarks.show(); modalMarks.setFront(); modalMarksList.focus(); screen.render();
+  }
+
+  // bookmarks can only be used on the track they belong to
+  function marksTrackGone() {
+    if (trackKey(ui.state) === marksKey) return false;
+    ui.showMessage("The track changed; close the bookmarks.");
+    screen.render();
+    return true;
+  }
+
+  async function addBookmark() {
+    if (nothingPlaying()) return;
+    const key = trackKey(ui.state);
+    const at = ui.livePosition();
+    const name = await ui.dialogs.askText(`Bookmark at ${preciseTimeFmt(at)}:`, `Bookmark ${bookmarks.list(key).length + 1}`);
+    if (!modalMarks.hidden) modalMarksList.focus();
+    if (!name) return;
+    try {
+      bookmarks.add(key, name, at);
+      ui.showMessage(`Bookmarked ${preciseTimeFmt(at)}: ${name}`);
+    } catch (e) {
+      ui.showMessage(`Could not save the bookmark: ${e.message}`);
+    }
+    if (!modalMarks.hidden && key === marksKey) drawBookmarks(bookmarks.list(key).findIndex(m => m.name === name));
+    else if (ui.state) { ui.drawProgress(ui.livePosition(), ui.state.duration); screen.render(); }
+  }
+
+  // dir: 1 = next, -1 = previous
+  async function jumpToBookmark(dir) {
+    if (nothingPlaying()) return;
+    const marks = bookmarks.list(trackKey(ui.state));
+    const m = adjacentBookmark(marks, ui.livePosition(), dir);
+    if (!m) {
+      ui.showMessage(!marks.length ? "No bookmarks for this track." : dir > 0 ? "No later bookmark." : "No earlier bookmark.");
+      screen.render();
+      return;
+    }
+    ui.showMessage(`${m.name} (${preciseTimeFmt(m.at)})`);
+    await seekTo(m.at, true);
+  }
+
+  modalMarksList.on("select", async (item, idx) => {
+    const m = (modalMarksList._marks || [])[idx];
+    if (!m || marksTrackGone()) return;
+    ui.showMessage(`${m.name} (${preciseTimeFmt(m.at)})`);
+    await seekTo(m.at, true).catch(() => {});
+    ui.refresh();
+  });
+  modalMarksList.key(["n"], async () => {
+    if (marksTrackGone()) return;
+    await addBookmark();
+  });
+  modalMarksList.key(["e"], async () => {
+    const m = (modalMarksList._marks || [])[modalMarksList.selected];
+    if (!m) return;
+    const name = await ui.dialogs.askText("Rename bookmark:", m.name);
+    modalMarksList.focus();
+    if (!name) return;
+    try { bookmarks.rename(marksKey, m.at, name); } catch (e) { ui.showMessage(`Could not save: ${e.message}`); }
+    drawBookmarks();
+  });
+  modalMarksList.key(["d", "delete"], () => {
+    const m = (modalMarksList._marks || [])[modalMarksList.selected];
+    if (!m) return;
+    try {
+      bookmarks.remove(marksKey, m.at);
+      ui.showMessage(`Deleted bookmark ${m.name}`);
+    } catch (e) {
+      ui.showMessage(`Could not save: ${e.message}`);
+    }
+    drawBookmarks();
+  });
+
+  return {
+    seekTo, jumpToTime, markLoop, enforceLoop, openBookmarks, addBookmark, jumpToBookmark,
+    // where the bar is being dragged to, null when it isn't
+    dragging() { return dragTo; },
+    // what the progress bar marks for a track, later ones over earlier ones:
+    // bookmarks (│) and the A–B loop (A, B)
+    barMarks(key) {
+      const marks = bookmarks.list(key).map(m => ({ at: m.at, ch: "│" }));
+      const loop = abLoop.get(key);
+      if (loop) marks.push({ at: loop.a, ch: "A" });
+      if (loop && loop.b !== null) marks.push({ at: loop.b, ch: "B" });
+      return marks;
+    },
+    // for the status line, "" without a loop
+    loopStatus() { return abLoop.active ? abLoop.status() : ""; },
+    close() {
+      if (modalMarks.hidden) return false;
+      modalMarks.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createSeeking };
@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Sleep timer and wake-up alarm. lib/timers.js does the timing and fading;
+ * this ticks it every second with the interpolated position and keeps the
+ * countdown in the status line fresh.
+ */
+
+const { createTimers, parseClock } = require("../timers");
+const { errorText } = require("./common");
+
+const SLEEP_MINUTES = [15, 30, 45, 60, 90];
+
+function createSleep(ui) {
+  const { screen, backend } = ui;
+
+  const timers = createTimers(backend, {
+    onChange: ui.drawInfo,
+    onMessage: msg => { ui.showMessage(msg); screen.render(); ui.refresh(); }
+  });
+
+  setInterval(() => {
+    timers.tick(ui.state && Object.assign({}, ui.state, { position: ui.livePosition() }));
+    ui.drawInfo();
+  }, 1000);
+
+  async function openMenu() {
+    const items = [
+      ...(timers.sleeping ? ["Cancel sleep timer"] : []),
+      ...(timers.alarmSet ? ["Cancel alarm"] : []),
+      ...SLEEP_MINUTES.map(m => `Pause in ${m} minutes`),
+      "Pause in … minutes",
+      "Pause at the end of this track",
+      // the album's last track isn't known: the pause comes as the next album starts
+      "Pause after this album (as the next one starts)",
+      "Wake-up alarm…"
+    ];
+    const choice = await ui.dialogs.pickFromList("Sleep timer", items);
+    if (!choice) return;
+    const s = ui.state;
+    const minutes = choice.match(/^Pause in (\d+) minutes$/);
+    if (choice === "Cancel sleep timer") timers.cancelSleep();
+    else if (choice === "Cancel alarm") timers.cancelAlarm();
+    else if (minutes) timers.sleepIn(Number(minutes[1]));
+    else if (choice === "Pause in … minutes") {
+      const text = await ui.dialogs.askText("Pause after how many minutes?", "20");
+      const n = Number(text);
+      if (text === null) return;
+      if (!(n > 0 && n <= 24 * 60)) { ui.showMessage("Enter a number of minutes (1–1440)."); screen.render(); return; }
+      timers.sleepIn(n);
+    } else if (choice.startsWith("Pause at the end") || choice.startsWith("Pause after")) {
+      const mode = choice.includes("album") ? "album" : "track";
+      if (!s || !s.name || s.state !== "playing") { ui.showMessage("Nothing playing."); screen.render(); return; }
+      if (mode === "album" && !s.album) { ui.showMessage("This track has no album."); screen.render(); return; }
+      if (mode === "track" && !(s.duration > 0)) { ui.showMessage("This track's length is unknown; pick a number of minutes."); screen.render(); return; }
+      timers.sleepAtEnd(mode, s);
+    } else {
+      return setAlarm();
+    }
+    ui.showMessage(timers.active ? `Timer: ${timers.status()}` : "Timer cancelled.");
+    screen.render();
+  }
+
+  async function setAlarm() {
+    const text = await ui.dialogs.askText("Wake-up time (HH:MM):", "07:00");
+    if (text === null) return;
+    const at = parseClock(text);
+    if (!at) { ui.showMessage(`"${text}" is not a time like 07:30.`); screen.render(); return; }
+    let pls;
+    try {
+      pls = await backend.getPlaylists();
+    } catch (e) {
+      ui.showMessage(errorText(e)); screen.render(); return;
+    }
+    if (!pls.length) { ui.showMessage("No playlists."); screen.render(); return; }
+    const playlist = await ui.dialogs.pickFromList("Wake up to", pls);
+    if (!playlist) return;
+    // fade in to today's volume (or a sane one if it's muted now)
+    const volume = ui.state && ui.state.volume > 0 ? ui.state.volume : 50;
+    timers.setAlarm(at, playlist, volume);
+    ui.showMessage(`Alarm set for ${text} (${playlist})`);
+    screen.render();
+  }
+
+  function cancelAll() {
+    const cancelled = [timers.cancelSleep() && "sleep timer", timers.cancelAlarm() && "alarm"].filter(Boolean);
+    ui.showMessage(cancelled.length ? `Cancelled ${cancelled.join(" and ")}.` : "No timers set.");
+    screen.render();
+  }
+
+  return {
+    openMenu, cancelAll,
+    // for the status line, "" without a timer
+    status() { return timers.active ? timers.status() : ""; }
+  };
+}
+
+module.exports = { createSleep };
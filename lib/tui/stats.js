@@ -0,0 +1,114 @@
+"use strict";
+
+/**
+ * The Listening stats modal: top artists, tracks and albums and time per day
+ * from the play history (lib/history.js), per period, with a CSV export.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { durationFmt } = require("../time");
+const { loadHistory, computeStats, statsToCsv, PERIODS } = require("../history");
+const { paint, expandHome } = require("./common");
+
+function statsTable(title, rows, withArtist) {
+  if (!rows.length) return [];
+  const nameWidth = 44;
+  const out = [`{bold}${title.padEnd(nameWidth + 4)}Plays  Skips   Time{/bold}`];
+  rows.forEach((r, i) => {
+    let name = withArtist && r.artist ? `${r.name} - ${r.artist}` : r.name;
+    if (name.length > nameWidth) name = name.slice(0, nameWidth - 1) + "…";
+    const skips = `${Math.round((r.skips / r.plays) * 100)}%`;
+    out.push(`${String(i + 1).padStart(2)}. ${blessed.escape(name.padEnd(nameWidth))}${String(r.plays).padStart(5)}  ${skips.padStart(5)}  ${durationFmt(r.listened).padStart(7)}`);
+  });
+  out.push("");
+  return out;
+}
+
+function createStats(ui) {
+  const { screen, settings } = ui;
+  const { theme } = settings;
+
+  const modalStats = blessed.box({
+    top: "center", left: "center", width: "80%", height: "85%",
+    border: "line", label: " Listening stats ", style: { border: { fg: "green" } }, hidden: true
+  });
+  const statsBody = blessed.box({
+    parent: modalStats, top: 0, left: 1, right: 1, bottom: 1, tags: true,
+    scrollable: true, alwaysScroll: true, keys: true, mouse: true,
+    scrollbar: { ch: " ", track: { bg: "gray" }, style: { bg: "green" } }
+  });
+  blessed.box({
+    parent: modalStats, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{green-fg}Tab{/green-fg}=Next period  {green-fg}Shift-Tab{/green-fg}=Previous  {green-fg}E{/green-fg}=Export CSV  {green-fg}Esc{/green-fg}=Close"
+  });
+  screen.append(modalStats);
+
+  let statsPeriod = 1; // index into PERIODS, "Last 7 days"
+
+  function renderStats() {
+    const period = PERIODS[statsPeriod];
+    let entries;
+    try { entries = loadHistory(); } catch (e) { statsBody.setContent(e.message); screen.render(); return; }
+    const st = computeStats(entries, period.id);
+    modalStats.setLabel(` Listening stats - ${period.label} `);
+    const lines = [];
+    if (!settings.historyEnabled) lines.push(chalk.yellow("History recording is off (\"history\": { \"enabled\": false })."), "");
+    if (!st.plays) {
+      lines.push(chalk.gray("Nothing recorded in this period yet."));
+    } else {
+      lines.push(`{bold}${durationFmt(st.listened)}{/bold} listened · ${st.plays} plays · ${Math.round(st.skipRate * 100)}% skipped`, "");
+      lines.push(...statsTable("Top artists", st.topArtists));
+      lines.push(...statsTable("Top tracks", st.topTracks, true));
+      lines.push(...statsTable("Top albums", st.topAlbums, true));
+      // most recent days first, bars relative to the busiest day shown
+      const days = st.perDay.slice(-31).reverse();
+      const max = Math.max(...days.map(d => d.listened), 1);
+      lines.push("{bold}Listening time per day{/bold}");
+      days.forEach(d => lines.push(`${d.day}  ${durationFmt(d.listened).padStart(7)}  ${paint(theme.progress)("█".repeat(Math.max(1, Math.round((d.listened / max) * 30))))}`));
+    }
+    statsBody.setContent(lines.join("\n"));
+    statsBody.scrollTo(0);
+    screen.render();
+  }
+
+  function open() {
+    modalStats.show(); modalStats.setFront(); statsBody.focus();
+    renderStats();
+  }
+
+  statsBody.key(["tab", "S-tab"], (ch, key) => {
+    statsPeriod = (statsPeriod + (key.shift ? PERIODS.length - 1 : 1)) % PERIODS.length;
+    renderStats();
+  });
+
+  statsBody.key(["e"], async () => {
+    const period = PERIODS[statsPeriod];
+    const day = new Date().toISOString().slice(0, 10);
+    const file = await ui.dialogs.askText("Export CSV to:", path.join(os.homedir(), `music-tui-stats-${period.id}-${day}.csv`));
+    statsBody.focus();
+    if (!file) return;
+    try {
+      const st = computeStats(loadHistory(), period.id, { limit: Infinity });
+      fs.writeFileSync(expandHome(file), statsToCsv(st));
+      ui.showMessage(`Exported to ${file}`);
+    } catch (e) {
+      ui.showMessage(`Export failed: ${e.message}`);
+    }
+    screen.render();
+  });
+
+  return {
+    open,
+    close() {
+      if (modalStats.hidden) return false;
+      modalStats.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createStats };
@@ -0,0 +1,176 @@
+"use strict";
+
+/**
+ * The Tracks modal. Opens right away and fills in as pages arrive
+ * (lib/tracklist.js); the filter applies to whatever has loaded so far.
+ */
+
+const blessed = require("blessed");
+const { createTrackLoader, filterTracks } = require("../tracklist");
+const { stars, errorText, virtualList } = require("./common");
+
+// rated: show the ratings column (some track has one)
+function trackRow(t, width, rated) {
+  const rating = !rated ? "" : (t.rating ? `{yellow-fg}${stars(t.rating)}{/yellow-fg}` : " ".repeat(5)) + "  ";
+  return `${String(t.index).padStart(width, " ")}  ${rating}${blessed.escape(t.name)}` +
+    (t.artist ? ` - ${blessed.escape(t.artist)}` : "") +
+    (t.album ? `  [${blessed.escape(t.album)}]` : "");
+}
+
+function createTracks(ui) {
+  const { screen, backend } = ui;
+
+  const modalTr = blessed.box({
+    top: "center", left: "center", width: "80%", height: "80%",
+    border: "line", label: " Tracks ", style: { border: { fg: "magenta" } }, hidden: true
+  });
+  blessed.box({ parent: modalTr, top: 0, left: 1, width: 2, height: 1, content: "/", style: { fg: "cyan" } });
+  const trackFilter = blessed.textbox({
+    parent: modalTr, top: 0, left: 3, right: 1, height: 1, inputOnFocus: true,
+    style: { fg: "white" }
+  });
+  const modalTrList = virtualList(screen, { parent: modalTr, top: 1, left: 1, right: 1, bottom: 2 });
+  blessed.box({
+    parent: modalTr, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{cyan-fg}Enter{/cyan-fg}=Play  {cyan-fg}N{/cyan-fg}=Play next  {cyan-fg}L{/cyan-fg}=Play later  {cyan-fg}D{/cyan-fg}=Remove  {cyan-fg}K/J{/cyan-fg}=Move  " +
+      (backend.getTrackInfo ? "{cyan-fg}E{/cyan-fg}=Edit info  " : "") + "{cyan-fg}/{/cyan-fg}=Filter  {cyan-fg}Esc{/cyan-fg}=Close"
+  });
+  screen.append(modalTr);
+
+  const trackLoader = createTrackLoader(backend);
+  let tracksSeq = 0;      // drops pages of a superseded load
+  let filterTimer = null;
+
+  // total: length of the whole playlist, including pages still to come
+  function showTracks(total) {
+    const all = modalTrList._all;
+    const shown = filterTracks(all, trackFilter.getValue());
+    const width = Math.max(3, String(total).length);
+    const rated = all.some(t => t.rating);
+    modalTrList._tracks = shown;
+    modalTrList.setRows(shown.map(t => trackRow(t, width, rated)));
+    const count = shown.length === all.length ? `${all.length}` : `${shown.length} of ${all.length}`;
+    const loading = all.length < total ? `, loading ${Math.floor(all.length * 100 / total)}%` : "";
+    modalTr.setLabel(` Tracks - ${modalTrList._playlist} (${count}${loading}) `);
+  }
+
+  async function open(playlistName, selectIndex = 0) {
+    const seq = ++tracksSeq;
+    if (modalTrList._playlist !== playlistName) trackFilter.setValue("");
+    modalTrList._playlist = playlistName;
+    modalTrList._all = [];
+    modalTrList._tracks = [];
+    modalTrList.setRows([]);
+    modalTr.setLabel(` Tracks - ${playlistName} (loading…) `);
+    modalTr.show(); modalTrList.focus(); screen.render();
+
+    let pending = selectIndex; // selected once that row exists (or loading is done)
+    const onPage = (tracks, total) => {
+      if (seq !== tracksSeq) return;
+      modalTrList._all = tracks;
+      modalTrList._total = total;
+      showTracks(total);
+      if (pending !== null && (modalTrList._tracks.length > pending || tracks.length >= total)) {
+        modalTrList.select(pending);
+        pending = null;
+      }
+      screen.render();
+    };
+    let tracks;
+    try {
+      tracks = await trackLoader.load(playlistName, { onPage, cancelled: () => seq !== tracksSeq || modalTr.hidden });
+    } catch (e) {
+      if (seq === tracksSeq) { modalTr.hide(); ui.list.focus(); ui.showMessage(`Failed: ${errorText(e)}`); screen.render(); }
+      return;
+    }
+    if (tracks && !tracks.length && seq === tracksSeq) {
+      modalTr.hide(); ui.list.focus(); ui.showMessage("Empty playlist or error."); screen.render();
+    }
+  }
+
+  // after the UI's own edits, which the playlist's version may not reflect
+  function reload(playlistName, selectIndex) {
+    trackLoader.invalidate(playlistName);
+    return open(playlistName, selectIndex);
+  }
+
+  modalTrList.key(["/"], () => { trackFilter.focus(); screen.render(); });
+  // filter while typing (the value updates after this handler runs)
+  trackFilter.on("keypress", () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => {
+      modalTrList.select(0);
+      showTracks(modalTrList._total || 0);
+      screen.render();
+    }, 150);
+  });
+  trackFilter.on("submit", () => { modalTrList.focus(); screen.render(); });
+  // Esc drops the filter
+  trackFilter.on("cancel", () => {
+    clearTimeout(filterTimer);
+    trackFilter.setValue("");
+    showTracks(modalTrList._total || 0);
+    modalTrList.focus(); screen.render();
+  });
+
+  modalTrList.on("select", async (item, idx) => {
+    const tracks = modalTrList._tracks || [];
+    const plName = modalTrList._playlist || "";
+    const t = tracks[idx];
+    if (t) {
+      ui.upNext.hold();
+      try {
+        await backend.playTrackInPlaylist(plName, t.index);
+      } catch (e) {
+        ui.showMessage(`Could not play: ${errorText(e)}`);
+        screen.render();
+        return;
+      }
+      modalTr.hide(); ui.list.focus(); screen.render();
+      ui.refresh();
+    }
+  });
+
+  modalTrList.key(["d", "delete"], async () => {
+    const idx = modalTrList.selected;
+    const t = (modalTrList._tracks || [])[idx];
+    const pl = modalTrList._playlist;
+    if (!t || !ui.playlists.editingSupported("removeTrackFromPlaylist")) return;
+    if (!(await ui.dialogs.confirmAction(`Remove "${t.name}" from ${pl}?`))) return;
+    await ui.playlists.editPlaylist(() => backend.removeTrackFromPlaylist(pl, t.index), `Removed ${t.name}`, () => reload(pl, idx));
+  });
+  modalTrList.key(["S-k", "S-j"], async (ch, key) => {
+    const idx = modalTrList.selected;
+    const tracks = modalTrList._tracks || [];
+    const t = tracks[idx];
+    const pl = modalTrList._playlist;
+    const to = idx + (key.name === "k" ? -1 : 1);
+    if (!t || to < 0 || to >= tracks.length || !ui.playlists.editingSupported("moveTrackInPlaylist")) return;
+    if (trackFilter.getValue()) { ui.showMessage("Clear the filter to move tracks."); screen.render(); return; }
+    await ui.playlists.editPlaylist(() => backend.moveTrackInPlaylist(pl, t.index, tracks[to].index), `Moved ${t.name}`, () => reload(pl, to));
+  });
+  modalTrList.key(["e"], () => ui.ratings.openTrackInfo());
+  modalTrList.key(["n", "l"], (ch, key) => {
+    const t = (modalTrList._tracks || [])[modalTrList.selected];
+    if (t) ui.upNext.add(t, key.name === "n" ? "next" : "later", { playlist: modalTrList._playlist, index: t.index });
+  });
+
+  return {
+    open, reload,
+    // { playlist, track, row } of the selected row
+    selected() {
+      const row = modalTrList.selected;
+      return { playlist: modalTrList._playlist, track: (modalTrList._tracks || [])[row], row };
+    },
+    focus() { modalTrList.focus(); },
+    // cached track lists show ratings: drop them after rating a track
+    clearCache() { trackLoader.clear(); },
+    close() {
+      if (modalTr.hidden) return false;
+      modalTr.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createTracks };
@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * The Trivia tab of the side panel. lib/trivia.js streams the answer; the
+ * panel re-renders the Markdown as it grows. A track change cancels the
+ * request for the previous one.
+ */
+
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { createTrivia } = require("../trivia");
+const { trackKey, keyLabel, errorText } = require("./common");
+
+// Optional Markdown rendering (marked + marked-terminal)
+let mdConvert = (txt) => {
+  // strip ``` fences
+  const stripped = txt.replace(/^```(?:\w+)?\n/, "").replace(/\n```$/, "");
+  return stripped;
+};
+try {
+  const marked = require("marked");
+  const TerminalRenderer = require("marked-terminal");
+  marked.setOptions({ renderer: new TerminalRenderer() });
+  mdConvert = (txt) => {
+    const stripped = txt.replace(/^```(?:\w+)?\n/, "").replace(/\n```$/, "");
+    return marked.parse(stripped);
+  };
+} catch {
+  // marked or marked-terminal not available – fallback to plain text
+  mdConvert = (txt) => {
+    const stripped = txt.replace(/^```(?:\w+)?\n/, "").replace(/\n```$/, "");
+    // simple bold for headings
+    return stripped.split("\n").map(line => {
+      // headings
+      if (/^##?\s+/.test(line)) {
+        const txt = line.replace(/^##?\s+/, "");
+        return chalk.green.bold(txt);
+      }
+      // bold **text**
+      line = line.replace(/\*\*(.*?)\*\*/g, (_, g) => chalk.yellowBright.bold(g));
+      // italics *text*
+      line = line.replace(/\*(.*?)\*/g, (_, g) => chalk.cyan(g));
+      return line;
+    }).join("\n");
+  };
+}
+
+function createTriviaPanel(ui) {
+  const { screen, settings } = ui;
+  const { theme, keys } = settings;
+  const trivia = createTrivia(settings.trivia);
+
+  const box = blessed.box({
+    parent: ui.sideBox, top: 0, left: 0, width: "100%", height: "100%",
+    border: "line", label: " [Trivia] Lyrics ", tags: true,
+    scrollable: true, alwaysScroll: true, keys: true, mouse: true,
+    scrollbar: { ch: " ", track: { bg: "gray" }, style: { bg: theme.trivia } },
+    style: { border: { fg: theme.trivia } },
+    content: trivia.available ? "Fetching trivia…" : trivia.unavailableText
+  });
+
+  let triviaKey = null;
+  let triviaAbort = null;
+
+  function load(s, refresh = false) {
+    triviaKey = trackKey(s);
+    if (triviaAbort) triviaAbort.abort();
+    triviaAbort = null;
+    if (!trivia.available) {
+      box.setContent(trivia.unavailableText);
+      return;
+    }
+    const key = triviaKey;
+    const abort = new AbortController();
+    triviaAbort = abort;
+    box.setContent(refresh ? "Regenerating trivia…" : "Fetching trivia…");
+    box.setScroll(0);
+    let drawTimer = null;
+    let latest = "";
+    const draw = () => {
+      drawTimer = null;
+      if (triviaKey !== key) return;
+      box.setContent(mdConvert(latest));
+      screen.render();
+    };
+    trivia.generate({ name: s.name, artist: s.artist, album: s.album }, {
+      signal: abort.signal,
+      refresh,
+      // Markdown rendering is the slow part, so at most ~10 redraws a second
+      onChunk: text => { latest = text; if (!drawTimer) drawTimer = setTimeout(draw, 100); }
+    }).then(text => {
+      clearTimeout(drawTimer);
+      latest = text;
+      draw();
+    }, e => {
+      clearTimeout(drawTimer);
+      if (abort.signal.aborted || triviaKey !== key) return;
+      const regen = keys.regenerateTrivia[0];
+      box.setContent(chalk.magenta(`(AI error: ${errorText(e)})`) +
+        (regen ? `\n\nPress ${keyLabel(regen)} to try again.` : ""));
+      screen.render();
+    }).finally(() => {
+      if (triviaAbort === abort) triviaAbort = null;
+    });
+  }
+
+  return {
+    box,
+    available: trivia.available,
+    // a new track while the side panel is shown fetches its trivia; true if
+    // the panel changed
+    update(s) {
+      if (!s.name || !ui.sideBox.visible || triviaKey === trackKey(s)) return false;
+      load(s);
+      return true;
+    },
+    // ask the model again, bypassing the cache
+    regenerate(s) { load(s, true); }
+  };
+}
+
+module.exports = { createTriviaPanel };
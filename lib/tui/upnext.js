@@ -0,0 +1,180 @@
+"use strict";
+
+/**
+ * The Up Next queue. Backends that can edit their own queue (removeUpNext…)
+ * get tracks inserted natively; for the rest the TUI keeps a local queue
+ * (lib/queue.js) and plays its head when the refresh loop sees the current
+ * track end.
+ */
+
+const blessed = require("blessed");
+const chalk = require("chalk");
+const { createLocalQueue, playEntry } = require("../queue");
+const { trackKey, errorText } = require("./common");
+
+function createUpNext(ui) {
+  const { screen, backend } = ui;
+
+  const modalQueue = blessed.box({
+    top: "center", left: "center", width: "70%", height: "70%",
+    border: "line", label: " Up Next ", style: { border: { fg: "cyan" } }, hidden: true
+  });
+  const modalQueueList = blessed.list({
+    parent: modalQueue, top: 1, left: 1, right: 1, bottom: 2, keys: true, mouse: true,
+    style: { selected: { bg: "cyan", fg: "black" } }
+  });
+  blessed.box({
+    parent: modalQueue, bottom: 0, left: 1, right: 1, height: 1, tags: true, style: { fg: "gray" },
+    content: "{cyan-fg}Enter{/cyan-fg}=Play  {cyan-fg}D{/cyan-fg}=Remove  {cyan-fg}K/J{/cyan-fg}=Move up/down  {cyan-fg}Esc{/cyan-fg}=Close"
+  });
+  screen.append(modalQueue);
+
+  const localQueue = createLocalQueue();
+  const nativeQueue = typeof backend.removeUpNext === "function";
+  let lastTrackKey = null;
+  let lastPlayState = "stopped";
+  let queueHoldUntil = 0; // the UI itself just changed track – that's not "track finished"
+
+  function hold() { queueHoldUntil = Date.now() + 5000; }
+
+  // plays the local queue's entry at i and only then takes it out (wherever
+  // it is by then), so a failed play leaves the queue as it was
+  async function playFromQueue(i = 0) {
+    const entry = localQueue.list()[i];
+    await playEntry(backend, entry);
+    localQueue.remove(localQueue.list().indexOf(entry));
+  }
+
+  // plays the head of the local queue once the track seen last has ended;
+  // true if it started one. If that fails the entry stays queued for the
+  // next track end, and the refresh carries on.
+  async function advance(s) {
+    if (!localQueue.length || !lastTrackKey) return false;
+    const ended = trackKey(s) !== lastTrackKey || (lastPlayState === "playing" && s.state === "stopped");
+    if (!ended || Date.now() < queueHoldUntil) return false;
+    hold();
+    try {
+      await playFromQueue();
+    } catch (e) {
+      ui.showMessage(`Could not play the queued track: ${errorText(e)}`);
+      screen.render();
+      return false;
+    }
+    return true;
+  }
+
+  // where: "next" | "later"; source: { playlist, index } when picked from a playlist
+  async function add(track, where, source = {}) {
+    const entry = Object.assign({}, track, source);
+    try {
+      if (nativeQueue && track.id && backend.playNext) {
+        if (where === "next") await backend.playNext(track); else await backend.playLater(track);
+      } else if (entry.playlist || (entry.id && backend.playLibraryTrack)) {
+        if (where === "next") localQueue.playNext(entry); else localQueue.playLater(entry);
+      } else {
+        ui.showMessage(`Queueing is not supported by ${backend.label}.`); screen.render(); return;
+      }
+      ui.showMessage(where === "next" ? `Next up: ${track.name}` : `Queued: ${track.name}`);
+    } catch (e) {
+      ui.showMessage(`Could not queue track: ${errorText(e)}`);
+    }
+    screen.render();
+    if (!modalQueue.hidden) load();
+    ui.refresh();
+  }
+
+  let queueRows = []; // parallel to modalQueueList items: { kind: "local"|"player", i, track }
+  async function load() {
+    const upNext = backend.getUpNext ? await backend.getUpNext(50).catch(() => []) : [];
+    const label = (t) => `${t.name}` + (t.artist ? ` - ${t.artist}` : "") + (t.album ? `  [${t.album}]` : "");
+    queueRows = [
+      ...localQueue.list().map((track, i) => ({ kind: "local", i, track, label: chalk.green("+ ") + label(track) })),
+      ...upNext.map((track, i) => ({
+        kind: "player", i, track,
+        label: "  " + (nativeQueue ? label(track) : chalk.gray(label(track)))
+      }))
+    ];
+    const s = ui.state;
+    const shuffleNote = s && s.shuffle && !nativeQueue && !upNext.length;
+    modalQueue.setLabel(shuffleNote ? " Up Next (shuffle: player order not visible) " : " Up Next ");
+    const sel = modalQueueList.selected || 0;
+    modalQueueList.setItems(queueRows.length ? queueRows.map(r => r.label) : [chalk.gray("  (nothing up next)")]);
+    modalQueueList.select(Math.min(sel, Math.max(0, queueRows.length - 1)));
+    screen.render();
+  }
+
+  async function open() {
+    modalQueue.show(); modalQueue.setFront(); modalQueueList.focus();
+    await load();
+  }
+
+  async function queueAction(fn) {
+    const row = queueRows[modalQueueList.selected];
+    if (!row) return;
+    if (row.kind === "player" && !nativeQueue) {
+      ui.showMessage(`${backend.label} doesn't allow editing its queue; queue tracks with N/L instead.`);
+      screen.render();
+      return;
+    }
+    try { await fn(row); } catch (e) { ui.showMessage(`Queue update failed: ${errorText(e)}`); }
+    await load();
+    ui.refresh();
+  }
+
+  modalQueueList.on("select", () => queueAction(async (row) => {
+    hold();
+    if (row.kind === "local") {
+      await playFromQueue(row.i);
+    } else {
+      await backend.playUpNext(row.i);
+    }
+  }));
+  modalQueueList.key(["d", "delete"], () => queueAction(async (row) => {
+    if (row.kind === "local") localQueue.remove(row.i);
+    else await backend.removeUpNext(row.i);
+  }));
+  // K/J rather than Shift+arrows: the list already moves its selection on any arrow
+  modalQueueList.key(["S-k", "S-j"], (ch, key) => queueAction(async (row) => {
+    const dir = key.name === "k" ? -1 : 1;
+    const count = queueRows.filter(r => r.kind === row.kind).length;
+    const to = row.i + dir;
+    if (to < 0 || to >= count) return;
+    if (row.kind === "local") localQueue.move(row.i, to);
+    else await backend.moveUpNext(row.i, to);
+    modalQueueList.select(modalQueueList.selected + dir);
+  }));
+
+  return {
+    hold, advance, add, open,
+    // after every state the refresh loop sees (and advance() had its turn)
+    observe(s) {
+      const key = trackKey(s);
+      if (key !== lastTrackKey && !modalQueue.hidden) load();
+      lastTrackKey = key;
+      lastPlayState = s.state;
+    },
+    // the first track of the local queue, shown as "Next" in Now playing
+    queued() { return localQueue.list()[0]; },
+    // the "next" command: plays the local queue's head if there is one
+    async playQueued() {
+      if (!localQueue.length) return false;
+      hold();
+      await playFromQueue();
+      return true;
+    },
+    // plays the first entry now and replaces the local queue with the rest
+    async playAll([first, ...rest]) {
+      localQueue.clear();
+      hold();
+      await playEntry(backend, first);
+      rest.forEach(entry => localQueue.playLater(entry));
+    },
+    close() {
+      if (modalQueue.hidden) return false;
+      modalQueue.hide(); ui.list.focus(); screen.render();
+      return true;
+    }
+  };
+}
+
+module.exports = { createUpNext };
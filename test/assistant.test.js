@@ -0,0 +1,110 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createAssistant } = require("../lib/assistant");
+const { createSimulatorBackend } = require("../lib/backends/simulator");
+
+// a local OpenAI-compatible server: answer(body) -> the assistant message,
+// or null to leave the request hanging
+async function standIn(answer) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      const json = JSON.parse(body);
+      requests.push(json);
+      const message = answer(json);
+      if (!message) return;
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({
+        id: `chatcmpl-${requests.length}`, object: "chat.completion", created: 0, model: json.model,
+        choices: [{ index: 0, message: Object.assign({ role: "assistant", content: null }, message), finish_reason: "stop" }]
+      }));
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => { server.closeAllConnections(); return new Promise(r => server.close(r)); }
+  };
+}
+
+function toolCall(id, name, args) {
+  return { id, type: "function", function: { name, arguments: JSON.stringify(args) } };
+}
+
+const options = url => ({ provider: "openai-compatible", model: "stand-in", baseURL: url });
+
+test("plan looks tracks up, then returns the playback calls without running them", async () => {
+  const server = await standIn(body => {
+    const round = body.messages.filter(m => m.role === "assistant").length;
+    if (round === 0) return { tool_calls: [toolCall("c1", "getTracksOfPlaylist", { playlist: "Late Night Jazz" })] };
+    return {
+      content: "Playing Half Past Two a bit louder.",
+      tool_calls: [toolCall("c2", "playTrackInPlaylist", { playlist: "Late Night Jazz", index: 4 }), toolCall("c3", "setVolume", { volume: 140 })]
+    };
+  });
+  try {
+    const backend = createSimulatorBackend();
+    const assistant = createAssistant(options(server.url), backend);
+    assert.equal(assistant.available, true);
+    const before = await backend.getState();
+    const { reply, calls } = await assistant.plan("something by Oscar Lind, louder", before);
+
+    assert.equal(reply, "Playing Half Past Two a bit louder.");
+    assert.deepEqual(calls.map(c => c.label), [
+      "Play \"Half Past Two\" – Oscar Lind (Late Night Jazz #4)",
+      "Set volume to 100%"
+    ]);
+    // the look-up went back to the model; nothing played yet
+    const lookUp = server.requests[1].messages.find(m => m.role === "tool");
+    assert.equal(JSON.parse(lookUp.content)[3].name, "Half Past Two");
+    assert.deepEqual(await backend.getState(), before);
+
+    await assistant.run(calls[0], { command: () => {} });
+    assert.equal((await backend.getState()).name, "Half Past Two");
+  } finally {
+    await server.close();
+  }
+});
+
+test("unknown playlists go back to the model as errors", async () => {
+  const server = await standIn(body => {
+    const tool = body.messages.find(m => m.role === "tool");
+    if (!tool) return { tool_calls: [toolCall("c1", "playTrackInPlaylist", { playlist: "Polka", index: 1 })] };
+    return { content: "There is no Polka playlist." };
+  });
+  try {
+    const assistant = createAssistant(options(server.url), createSimulatorBackend());
+    const { reply, calls } = await assistant.plan("play polka", null);
+    assert.equal(reply, "There is no Polka playlist.");
+    assert.deepEqual(calls, []);
+    const tool = server.requests[1].messages.find(m => m.role === "tool");
+    assert.deepEqual(JSON.parse(tool.content), { error: "no playlist named \"Polka\"" });
+  } finally {
+    await server.close();
+  }
+});
+
+test("an aborted request rejects instead of waiting for the server", async () => {
+  const server = await standIn(() => null);
+  try {
+    const assistant = createAssistant(options(server.url), createSimulatorBackend());
+    const thinking = new AbortController();
+    setTimeout(() => thinking.abort(), 50);
+    await assert.rejects(assistant.plan("next", null, { signal: thinking.signal }), /abort/i);
+    assert.equal(thinking.signal.aborted, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test("provider \"off\" makes the assistant unavailable", async () => {
+  const assistant = createAssistant({ provider: "off" }, createSimulatorBackend());
+  assert.equal(assistant.available, false);
+  await assert.rejects(assistant.plan("next", null), /turned off/);
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseLrc, lineAt, findLrcFile, createOffsetStore } = require("../lib/lyrics");
+
+test("parseLrc sorts timed lines and skips id tags", () => {
+  const { synced, lines } = parseLrc("[ar:Someone]\n[ti:Song]\n[00:12.50]Second\n[00:01.00]First\n");
+  assert.equal(synced, true);
+  assert.deepEqual(lines, [{ time: 1, text: "First" }, { time: 12.5, text: "Second" }]);
+});
+
+test("parseLrc repeats a line with several time tags and drops word timings", () => {
+  const { lines } = parseLrc("[00:05][01:05]<00:05.10>Chorus <00:05.90>again");
+  assert.deepEqual(lines, [{ time: 5, text: "Chorus again" }, { time: 65, text: "Chorus again" }]);
+});
+
+test("parseLrc applies [offset:] in milliseconds", () => {
+  const { lines } = parseLrc("[offset:+500]\n[00:02.00]Line\n[00:00.20]Early");
+  assert.deepEqual(lines.map(l => l.time), [0, 1.5]);
+});
+
+test("parseLrc keeps plain lyrics unsynced without blank ends", () => {
+  const { synced, lines } = parseLrc("\r\n\r\nVerse one\r\n\r\nVerse two\r\n\r\n");
+  assert.equal(synced, false);
+  assert.deepEqual(lines.map(l => l.text), ["Verse one", "", "Verse two"]);
+  assert.ok(lines.every(l => l.time === null));
+});
+
+test("lineAt finds the line being sung", () => {
+  const lines = [{ time: 1 }, { time: 5 }, { time: 9 }];
+  assert.equal(lineAt(lines, 0.5), -1);
+  assert.equal(lineAt(lines, 1), 0);
+  assert.equal(lineAt(lines, 8.9), 1);
+  assert.equal(lineAt(lines, 100), 2);
+  assert.equal(lineAt([], 3), -1);
+});
+
+test("findLrcFile matches artist - title, artist folders and bare titles", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "music-tui-lrc-"));
+  try {
+    fs.writeFileSync(path.join(dir, "The Beatles - Let It Be.lrc"), "");
+    fs.mkdirSync(path.join(dir, "Björk"));
+    fs.writeFileSync(path.join(dir, "Björk", "Joga.lrc"), "");
+    fs.writeFileSync(path.join(dir, "Intro.lrc"), "");
+    assert.equal(findLrcFile(dir, "the beatles", "Let it be!"), path.join(dir, "The Beatles - Let It Be.lrc"));
+    assert.equal(findLrcFile(dir, "Bjork", "Jóga"), path.join(dir, "Björk", "Joga.lrc"));
+    assert.equal(findLrcFile(dir, "Anyone", "intro"), path.join(dir, "Intro.lrc"));
+    assert.equal(findLrcFile(dir, "Other", "Let It Be"), null);
+    assert.equal(findLrcFile(path.join(dir, "missing"), "a", "b"), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the offset store rounds, saves and forgets zero offsets", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "music-tui-offsets-"));
+  const file = path.join(dir, "offsets.json");
+  try {
+    const store = createOffsetStore(file);
+    assert.equal(store.get("a"), 0);
+    assert.equal(store.set("a", 0.54), 0.5);
+    assert.equal(createOffsetStore(file).get("a"), 0.5);
+    store.set("a", 0);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,141 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn, spawnSync } = require("child_process");
+const dbus = require("dbus-next");
+const { createMprisBackend, NOW_PLAYING } = require("../lib/backends/mpris");
+
+const { Interface } = dbus.interface;
+const { Variant } = dbus;
+
+const hasDaemon = !spawnSync("dbus-daemon", ["--version"]).error;
+
+const TRACKS = [
+  { "xesam:title": "Blue Lantern", "xesam:artist": ["Marta Quinn Trio"], "xesam:album": "After Hours", "mpris:length": 312000000n },
+  { "xesam:url": "file:///home/me/Music/100%.mp3", "mpris:length": 201000000n },
+  { "xesam:url": "file:///home/me/Music/Caf%C3%A9%20Noir.flac", "xesam:artist": ["Oscar Lind", "Elin Marsh"], "mpris:length": 248000000n }
+].map((meta, i) => Object.assign({ "mpris:trackid": `/org/standin/track/${i}` }, meta));
+
+function variants(meta) {
+  const sig = { "mpris:trackid": "o", "xesam:artist": "as", "mpris:length": "x" };
+  const o = {};
+  for (const k of Object.keys(meta)) o[k] = new Variant(sig[k] || "s", meta[k]);
+  return o;
+}
+
+// the stand-in player: Root, Player and TrackList over a real bus
+function standInPlayer() {
+  const p = { status: "Stopped", current: 0, volume: 0.5, loop: "None", shuffle: false, calls: [] };
+
+  class Root extends Interface {
+    get Identity() { return "Stand-in"; }
+    get HasTrackList() { return true; }
+  }
+  Root.configureMembers({
+    properties: { Identity: { signature: "s", access: "read" }, HasTrackList: { signature: "b", access: "read" } }
+  });
+
+  class Player extends Interface {
+    get PlaybackStatus() { return p.status; }
+    get LoopStatus() { return p.loop; }
+    set LoopStatus(v) { p.loop = v; }
+    get Shuffle() { return p.shuffle; }
+    set Shuffle(v) { p.shuffle = v; }
+    get Volume() { return p.volume; }
+    set Volume(v) { p.volume = v; }
+    get Position() { return 0n; }
+    get Metadata() { return variants(TRACKS[p.current]); }
+    Play() { p.calls.push("Play"); p.status = "Playing"; }
+    Pause() { p.calls.push("Pause"); p.status = "Paused"; }
+    Next() { p.calls.push("Next"); p.current = Math.min(p.current + 1, TRACKS.length - 1); }
+    Previous() { p.calls.push("Previous"); p.current = Math.max(p.current - 1, 0); }
+  }
+  Player.configureMembers({
+    properties: {
+      PlaybackStatus: { signature: "s", access: "read" },
+      LoopStatus: { signature: "s" },
+      Shuffle: { signature: "b" },
+      Volume: { signature: "d" },
+      Position: { signature: "x", access: "read" },
+      Metadata: { signature: "a{sv}", access: "read" }
+    },
+    methods: { Play: {}, Pause: {}, Next: {}, Previous: {} }
+  });
+
+  class TrackList extends Interface {
+    get Tracks() { return TRACKS.map(t => t["mpris:trackid"]); }
+    GetTracksMetadata(ids) { return ids.map(id => variants(TRACKS.find(t => t["mpris:trackid"] === id))); }
+    GoTo(id) { p.calls.push(`GoTo ${id}`); p.current = TRACKS.findIndex(t => t["mpris:trackid"] === id); }
+  }
+  TrackList.configureMembers({
+    properties: { Tracks: { signature: "ao", access: "read" } },
+    methods: { GetTracksMetadata: { inSignature: "ao", outSignature: "aa{sv}" }, GoTo: { inSignature: "o" } }
+  });
+
+  p.interfaces = [
+    new Root("org.mpris.MediaPlayer2"),
+    new Player("org.mpris.MediaPlayer2.Player"),
+    new TrackList("org.mpris.MediaPlayer2.TrackList")
+  ];
+  return p;
+}
+
+// a private dbus-daemon; resolves to { address, stop }
+function startDaemon() {
+  const daemon = spawn("dbus-daemon", ["--session", "--nofork", "--print-address=1"], { stdio: ["ignore", "pipe", "ignore"] });
+  return new Promise((resolve, reject) => {
+    let out = "";
+    daemon.on("error", reject);
+    daemon.stdout.on("data", c => {
+      out += c;
+      if (out.includes("\n")) resolve({ address: out.trim(), stop: () => daemon.kill() });
+    });
+  });
+}
+
+test("the mpris backend drives a stand-in player on a private bus", { skip: !hasDaemon && "dbus-daemon not found" }, async (t) => {
+  const daemon = await startDaemon();
+  const service = dbus.sessionBus({ busAddress: daemon.address });
+  const player = standInPlayer();
+  const backend = createMprisBackend({ bus: dbus.sessionBus({ busAddress: daemon.address }), player: "standin" });
+  t.after(async () => {
+    await backend.close();
+    service.disconnect();
+    daemon.stop();
+  });
+  await service.requestName("org.mpris.MediaPlayer2.standin.instance1", 0);
+  for (const iface of player.interfaces) service.export("/org/mpris/MediaPlayer2", iface);
+
+  await backend.ensureReady();
+  assert.equal(backend.currentPlayer(), "org.mpris.MediaPlayer2.standin.instance1");
+
+  await backend.play();
+  let state = await backend.getState();
+  assert.equal(state.state, "playing");
+  assert.equal(state.name, "Blue Lantern");
+  assert.equal(state.artist, "Marta Quinn Trio");
+  assert.equal(state.duration, 312);
+  assert.equal(state.volume, 50);
+  assert.equal(state.nextName, "100%.mp3"); // a percent sign that is no escape
+
+  assert.deepEqual(await backend.getPlaylists(), [NOW_PLAYING]);
+  const tracks = await backend.getTracksOfPlaylist(NOW_PLAYING);
+  assert.deepEqual(tracks.map(t => [t.name, t.artist]), [
+    ["Blue Lantern", "Marta Quinn Trio"], ["100%.mp3", ""], ["Café Noir.flac", "Oscar Lind, Elin Marsh"]
+  ]);
+
+  await backend.playTrackInPlaylist(NOW_PLAYING, 3);
+  state = await backend.getState();
+  assert.equal(state.name, "Café Noir.flac");
+  assert.equal(state.nextName, "");
+
+  await backend.setVolume(80);
+  assert.equal(player.volume, 0.8);
+  await backend.cycleRepeat();
+  assert.equal(player.loop, "Track");
+
+  await assert.rejects(backend.playTrackInPlaylist(NOW_PLAYING, 9), /No track 9 in "Now Playing"/);
+  await assert.rejects(backend.playPlaylistByName("Nope"), /No playlist named "Nope"/);
+  assert.deepEqual(player.calls, ["Play", "GoTo /org/standin/track/2"]);
+});
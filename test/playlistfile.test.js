@@ -0,0 +1,106 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  formatOf, serialize, exportPlaylist, readPlaylistFile, simplify, bestMatch, importPlaylist, reportSummary
+} = require("../lib/playlistfile");
+const { createSimulatorBackend } = require("../lib/backends/simulator");
+
+let dir;
+test.beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "music-tui-playlistfile-")); });
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function write(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test("formatOf goes by the extension", () => {
+  assert.equal(formatOf("a.M3U"), "m3u8");
+  assert.equal(formatOf("a.m3u8"), "m3u8");
+  assert.equal(formatOf("a.csv"), "csv");
+  assert.equal(formatOf("a.txt"), null);
+});
+
+test("M3U8 keeps tracks without a file as comments that read back", () => {
+  const text = serialize("m3u8", "Mix", [
+    { name: "One", artist: "A", album: "X", duration: 61, location: "/music/one.mp3" },
+    { name: "Two", artist: "B", duration: 0 }
+  ]);
+  assert.match(text, /^# music-tui: #EXTINF:-1,B - Two$/m);
+  const parsed = readPlaylistFile(write("mix.m3u8", text));
+  assert.equal(parsed.name, "Mix");
+  assert.deepEqual(parsed.entries, [
+    { album: "X", duration: 61, artist: "A", name: "One", location: "/music/one.mp3" },
+    { album: "", duration: 0, artist: "B", name: "Two" }
+  ]);
+});
+
+test("a bare path in an M3U becomes a title guess", () => {
+  const parsed = readPlaylistFile(write("old.m3u", "/music/03%20Some%20Song.flac\n"));
+  assert.equal(parsed.name, "old");
+  assert.equal(parsed.entries[0].name, "Some Song");
+});
+
+test("CSV reads quoted fields, headers in any order and m:ss durations", () => {
+  const parsed = readPlaylistFile(write("list.csv", "artist,title,duration\n\"Quinn, Marta\",\"Say \"\"hi\"\"\",3:05\n"));
+  assert.deepEqual(parsed.entries, [{ name: "Say \"hi\"", artist: "Quinn, Marta", album: "", duration: 185 }]);
+});
+
+test("CSV without a header takes name, artist, album, duration", () => {
+  const parsed = readPlaylistFile(write("bare.csv", "Song,Band,Album,200\n"));
+  assert.deepEqual(parsed.entries, [{ name: "Song", artist: "Band", album: "Album", duration: 200 }]);
+});
+
+test("JSON accepts the export format or a bare array", () => {
+  assert.equal(readPlaylistFile(write("a.json", JSON.stringify({ name: "N", tracks: [{ name: "T" }] }))).name, "N");
+  assert.equal(readPlaylistFile(write("b.json", JSON.stringify([{ title: "T" }]))).entries[0].name, "T");
+  assert.throws(() => readPlaylistFile(write("c.json", "{}")), /c\.json: expected a list of tracks/);
+});
+
+test("simplify strips decorations", () => {
+  assert.equal(simplify("Song (Remastered 2011)"), "song");
+  assert.equal(simplify("Song feat. Someone"), "song");
+  assert.equal(simplify("Song - 2009 Remaster"), "song");
+  assert.equal(simplify("Rock & Roll"), "rock and roll");
+});
+
+test("bestMatch prefers exact title and artist, then a fuzzy one of the closest length", () => {
+  const tracks = [
+    { id: "1", name: "Song", artist: "Band", album: "Live", duration: 300 },
+    { id: "2", name: "Song (Live)", artist: "Band feat. X", album: "Other", duration: 200 },
+    { id: "3", name: "Song", artist: "Band", album: "Studio", duration: 210 }
+  ];
+  assert.deepEqual(bestMatch({ name: "song", artist: "BAND", album: "Studio" }, tracks), { track: tracks[2], exact: true });
+  assert.deepEqual(bestMatch({ name: "Song - Remastered", artist: "Band", duration: 208 }, tracks), { track: tracks[2], exact: false });
+  assert.equal(bestMatch({ name: "Other", artist: "Band" }, tracks), null);
+});
+
+test("an exported playlist imports back into a new one", async () => {
+  const backend = createSimulatorBackend();
+  for (const ext of ["m3u8", "json", "csv"]) {
+    const file = path.join(dir, `focus.${ext}`);
+    const written = await exportPlaylist(backend, "Focus", file);
+    assert.equal(written.tracks, 4);
+    const report = await importPlaylist(backend, file);
+    assert.equal(report.exact.length, 4, ext);
+    assert.equal(report.missing.length, 0);
+    const names = tracks => tracks.map(t => t.name);
+    assert.deepEqual(names(await backend.getTracksOfPlaylist(report.playlist)), names(await backend.getTracksOfPlaylist("Focus")));
+  }
+  // named after the playlist inside the file (CSV has none: the file name), never an existing one
+  assert.deepEqual((await backend.getPlaylists()).filter(n => /^focus/i.test(n)), ["focus", "Focus", "Focus (2)", "Focus (3)"]);
+});
+
+test("an import that matches nothing makes no playlist", async () => {
+  const backend = createSimulatorBackend();
+  const report = await importPlaylist(backend, write("none.csv", "name,artist\nNowhere,Nobody\n"));
+  assert.equal(report.playlist, "");
+  assert.equal(report.missing.length, 1);
+  assert.match(reportSummary(report), /^Nothing imported/);
+});
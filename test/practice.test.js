@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAbLoop, createBookmarkStore, adjacentBookmark } = require("../lib/practice");
+
+test("the A–B loop sets A, then B, then turns off", () => {
+  const loop = createAbLoop();
+  assert.equal(loop.mark("t", 30), "a");
+  assert.deepEqual(loop.get("t"), { a: 30, b: null });
+  assert.equal(loop.mark("t", 10), "ab"); // B before A swaps them
+  assert.deepEqual(loop.get("t"), { a: 10, b: 30 });
+  assert.equal(loop.get("other"), null);
+  assert.equal(loop.mark("t", 50), "off");
+  assert.equal(loop.active, false);
+});
+
+test("a too short loop keeps waiting for B", () => {
+  const loop = createAbLoop();
+  loop.mark("t", 10);
+  assert.equal(loop.mark("t", 10.2), "a");
+  assert.deepEqual(loop.get("t"), { a: 10, b: null });
+});
+
+test("marking on another track starts over", () => {
+  const loop = createAbLoop();
+  loop.mark("t", 10);
+  loop.mark("t", 20);
+  assert.equal(loop.mark("u", 5), "a");
+  assert.equal(loop.key, "u");
+  assert.equal(loop.clear(), true);
+  assert.equal(loop.clear(), false);
+});
+
+test("bookmarks are sorted, saved and renamed in place", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "music-tui-bookmarks-"));
+  const file = path.join(dir, "bookmarks.json");
+  try {
+    const store = createBookmarkStore(file);
+    store.add("t", "Bridge", 95.04);
+    store.add("t", "Intro", 3);
+    store.add("t", "Solo", 95.0); // same spot: replaces Bridge
+    assert.deepEqual(store.list("t"), [{ name: "Intro", at: 3 }, { name: "Solo", at: 95 }]);
+    store.rename("t", 3, "Start");
+    assert.deepEqual(createBookmarkStore(file).list("t").map(m => m.name), ["Start", "Solo"]);
+    store.remove("t", 3);
+    store.remove("t", 95);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("adjacentBookmark steps past a mark that was just passed", () => {
+  const marks = [{ at: 10 }, { at: 20 }, { at: 30 }];
+  assert.equal(adjacentBookmark(marks, 10, 1).at, 20);
+  assert.equal(adjacentBookmark(marks, 20.5, -1).at, 10);
+  assert.equal(adjacentBookmark(marks, 25, -1).at, 20);
+  assert.equal(adjacentBookmark(marks, 30, 1), null);
+  assert.equal(adjacentBookmark(marks, 5, -1), null);
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createScrobbler, lastFmSignature } = require("../lib/scrobble");
+
+// a local stand-in for both services: answer(req, body) -> [status, json]
+async function standIn(answer) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      const [status, json] = answer(req, body);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(r => server.close(r)) };
+}
+
+const PLAY = { name: "Blue Lantern", artist: "Marta Quinn Trio", album: "After Hours", duration: 312, start: 1700000000000 };
+
+async function until(cond) {
+  for (let i = 0; i < 200 && !cond(); i++) await new Promise(r => setTimeout(r, 10));
+  assert.ok(cond(), "timed out waiting");
+}
+
+let dir;
+test.beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "music-tui-scrobble-")); });
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("ListenBrainz gets the play with the token, and the queue empties", async () => {
+  const server = await standIn(() => [200, { status: "ok" }]);
+  try {
+    const queueFile = path.join(dir, "queue.json");
+    const s = createScrobbler({ listenbrainz: { token: "secret", url: server.url } }, { queueFile });
+    s.scrobble(PLAY);
+    await until(() => s.status()[0].queued === 0);
+    const [req] = server.requests;
+    assert.equal(req.url, "/1/submit-listens");
+    assert.equal(req.headers.authorization, "Token secret");
+    const body = JSON.parse(req.body);
+    assert.equal(body.listen_type, "single");
+    assert.deepEqual(body.payload[0], {
+      listened_at: 1700000000,
+      track_metadata: {
+        artist_name: "Marta Quinn Trio", track_name: "Blue Lantern", release_name: "After Hours",
+        additional_info: { media_player: "music-tui", submission_client: "music-tui", duration_ms: 312000 }
+      }
+    });
+    assert.deepEqual(JSON.parse(fs.readFileSync(queueFile, "utf8")), { listenbrainz: [] });
+  } finally {
+    await server.close();
+  }
+});
+
+test("plays stay queued while the service is down and go out on retry()", async () => {
+  let up = false;
+  const server = await standIn(() => (up ? [200, {}] : [503, { error: "maintenance" }]));
+  try {
+    const queueFile = path.join(dir, "queue.json");
+    const errors = [];
+    const s = createScrobbler({ listenbrainz: { token: "t", url: server.url } }, { queueFile, onError: (label, msg) => errors.push(`${label}: ${msg}`) });
+    s.scrobble(PLAY);
+    await until(() => s.status()[0].error);
+    assert.deepEqual(s.status(), [{ label: "ListenBrainz", queued: 1, error: "maintenance" }]);
+    assert.deepEqual(errors, ["ListenBrainz: maintenance"]);
+
+    // a restart picks the queue up from the file
+    up = true;
+    const again = createScrobbler({ listenbrainz: { token: "t", url: server.url } }, { queueFile });
+    again.retry();
+    await until(() => again.status()[0].queued === 0);
+    assert.equal(again.status()[0].error, null);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a rejected token keeps the plays queued", async () => {
+  const server = await standIn(() => [401, { error: "Invalid token" }]);
+  try {
+    const s = createScrobbler({ listenbrainz: { token: "bad", url: server.url } }, { queueFile: path.join(dir, "q.json") });
+    s.scrobble(PLAY);
+    await until(() => s.status()[0].error);
+    assert.deepEqual(s.status(), [{ label: "ListenBrainz", queued: 1, error: "invalid token (Invalid token)" }]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("Last.fm logs in once and sends signed scrobbles", async () => {
+  const server = await standIn((req, body) => {
+    const params = new URLSearchParams(body);
+    if (params.get("method") === "auth.getMobileSession") return [200, { session: { key: "sk1" } }];
+    return [200, { scrobbles: {} }];
+  });
+  try {
+    const s = createScrobbler({
+      lastfm: { apiKey: "key", apiSecret: "shh", username: "me", password: "pw", url: server.url + "/2.0/" }
+    }, { queueFile: path.join(dir, "q.json") });
+    s.scrobble(PLAY);
+    await until(() => s.status()[0].queued === 0);
+    s.scrobble(Object.assign({}, PLAY, { start: PLAY.start + 400000 }));
+    await until(() => server.requests.length === 3);
+    await until(() => s.status()[0].queued === 0);
+    const params = server.requests.map(r => Object.fromEntries(new URLSearchParams(r.body)));
+    assert.deepEqual(params.map(p => p.method), ["auth.getMobileSession", "track.scrobble", "track.scrobble"]);
+    const scrobble = params[1];
+    assert.equal(scrobble.sk, "sk1");
+    assert.equal(scrobble["track[0]"], "Blue Lantern");
+    assert.equal(scrobble["timestamp[0]"], "1700000000");
+    const { api_sig: sig, format, ...signed } = scrobble;
+    assert.equal(format, "json");
+    assert.equal(sig, lastFmSignature(signed, "shh"));
+  } finally {
+    await server.close();
+  }
+});
+
+test("short tracks and plays without an artist are not scrobbled", async () => {
+  const s = createScrobbler({ listenbrainz: { token: "t", url: "http://127.0.0.1:9" } }, { queueFile: path.join(dir, "q.json") });
+  s.scrobble(Object.assign({}, PLAY, { duration: 25 }));
+  s.scrobble(Object.assign({}, PLAY, { artist: "" }));
+  assert.equal(s.status()[0].queued, 0);
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalize, fuzzyScore, rankTracks, groupResults, fetchWord, createSearchCache } = require("../lib/search");
+
+const TRACKS = [
+  { id: "1", name: "Yesterday", artist: "The Beatles", album: "Help!" },
+  { id: "2", name: "Help!", artist: "The Beatles", album: "Help!" },
+  { id: "3", name: "Yes", artist: "Yes Band", album: "Fragile" },
+  { id: "4", name: "Café del Mar", artist: "Energy 52", album: "Café del Mar" }
+];
+
+test("normalize drops accents and case", () => {
+  assert.equal(normalize("Café ÉTÉ"), "cafe ete");
+  assert.equal(normalize(null), "");
+});
+
+test("fuzzyScore prefers exact substrings and rejects missing letters", () => {
+  assert.ok(fuzzyScore("yes", "yesterday") > fuzzyScore("ysd", "yesterday"));
+  assert.ok(fuzzyScore("ysd", "yesterday") > 0);
+  assert.equal(fuzzyScore("xyz", "yesterday"), -1);
+  assert.equal(fuzzyScore("", "anything"), 0);
+});
+
+test("rankTracks needs every word to match some field", () => {
+  assert.deepEqual(rankTracks("beatles yesterday", TRACKS).map(r => r.track.id), ["1"]);
+  // "help" is the title of one and the album of both
+  assert.deepEqual(rankTracks("help", TRACKS).map(r => r.track.id).sort(), ["1", "2"]);
+  assert.deepEqual(rankTracks("cafe", TRACKS).map(r => r.track.id), ["4"]);
+});
+
+test("groupResults counts albums and artists", () => {
+  const { tracks, albums, artists } = groupResults("beatles", TRACKS);
+  assert.deepEqual(tracks.map(t => t.id).sort(), ["1", "2"]);
+  assert.deepEqual(albums, [{ album: "Help!", artist: "The Beatles", count: 2 }]);
+  assert.deepEqual(artists, [{ artist: "The Beatles", count: 2 }]);
+});
+
+test("fetchWord picks the longest word", () => {
+  assert.equal(fetchWord("the  Beatles help"), "beatles");
+  assert.equal(fetchWord("   "), "");
+});
+
+test("the search cache reuses a complete result for a longer word", async () => {
+  const asked = [];
+  const cache = createSearchCache(async (word) => {
+    asked.push(word);
+    return TRACKS.filter(t => normalize(t.name).includes(word));
+  }, { limit: 10 });
+  assert.equal((await cache.candidates("yes")).length, 2);
+  await cache.candidates("yesterday");
+  await cache.candidates("yes");
+  assert.deepEqual(asked, ["yes"]);
+  assert.deepEqual(await cache.candidates(""), []);
+});
+
+test("a truncated result is not reused for longer words", async () => {
+  const asked = [];
+  const cache = createSearchCache(async (word, limit) => { asked.push(word); return TRACKS.slice(0, limit); }, { limit: 2 });
+  await cache.candidates("yes");
+  await cache.candidates("yesterday");
+  assert.deepEqual(asked, ["yes", "yesterday"]);
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const { resolveSettings, DEFAULT_KEYS, DEFAULT_THEME } = require("../lib/settings");
+
+test("an empty config gives the defaults", () => {
+  const s = resolveSettings({});
+  assert.deepEqual(s.keys, DEFAULT_KEYS);
+  assert.deepEqual(s.theme, DEFAULT_THEME);
+  assert.equal(s.seekStep, 10);
+  assert.equal(s.layout, "auto");
+  assert.equal(s.historyEnabled, true);
+  assert.deepEqual(s.scrobble, {});
+});
+
+test("a remapped action loses its default keys", () => {
+  const s = resolveSettings({ keys: { playPause: "p", playlists: ["C-p", "f5"] } });
+  assert.deepEqual(s.keys.playPause, ["p"]);
+  assert.deepEqual(s.keys.playlists, ["C-p", "f5"]);
+});
+
+test("every problem is listed at once", () => {
+  assert.throws(() => resolveSettings({
+    colour: {},
+    keys: { shuffle: "p", nope: "x", quit: "escape" },
+    theme: { border: "chartreuse" },
+    seekStep: 0
+  }, "test.json"), (e) => {
+    const lines = e.message.split("\n");
+    assert.equal(lines[0], "test.json: invalid settings");
+    for (const part of ["colour: unknown setting", "keys.nope: unknown action", "reserved for closing dialogs",
+      "\"p\" is bound to both shuffle and playlists", "theme.border:", "seekStep: expected a number from 1 to 600"]) {
+      assert.ok(lines.some(l => l.includes(part)), part);
+    }
+    return true;
+  });
+});
+
+test("refresh takes one number or one per state", () => {
+  assert.deepEqual(resolveSettings({ refresh: 500 }).refresh, { playing: 500, paused: 3000, stopped: 5000 });
+  assert.deepEqual(resolveSettings({ refresh: { stopped: 10000 } }).refresh, { playing: 1000, paused: 3000, stopped: 10000 });
+  assert.throws(() => resolveSettings({ refresh: { idle: 1 } }), /refresh\.idle: unknown state/);
+});
+
+test("the lyrics folder may start with ~", () => {
+  assert.equal(resolveSettings({ lyrics: { dir: "~/Lyrics" } }).lyricsDir, path.join(os.homedir(), "Lyrics"));
+});
+
+test("scrobble services need their credentials", () => {
+  const s = resolveSettings({ scrobble: { listenbrainz: { token: "t" } } });
+  assert.equal(s.scrobble.listenbrainz.url, "https://api.listenbrainz.org");
+  assert.throws(() => resolveSettings({ scrobble: { lastfm: { apiKey: "k", apiSecret: "s" } } }), /needs a sessionKey, or username and password/);
+});
+
+test("the assistant follows the trivia model unless it has its own provider", () => {
+  const trivia = { provider: "openai-compatible", baseURL: "http://localhost:11434/v1", model: "qwen2.5" };
+  assert.deepEqual(resolveSettings({ trivia }).assistant,
+    { provider: "openai-compatible", model: "qwen2.5", baseURL: "http://localhost:11434/v1", apiKey: undefined });
+  assert.equal(resolveSettings({ trivia, assistant: { provider: "off" } }).assistant.baseURL, undefined);
+  assert.throws(() => resolveSettings({ assistant: { provider: "openai-compatible" } }), /assistant\.baseURL: required/);
+});
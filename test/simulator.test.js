@@ -0,0 +1,19 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSimulatorBackend } = require("../lib/backends/simulator");
+
+test("addToPlaylist rejects unknown playlists, Library and unknown tracks like the other edits", async () => {
+  const b = createSimulatorBackend();
+  const [track] = await b.getTracksOfPlaylist("Focus");
+  await assert.rejects(b.addToPlaylist(track, "Nope"), /No playlist "Nope"/);
+  await assert.rejects(b.addToPlaylist(track, "Library"), /Library can't be edited/);
+  await assert.rejects(b.addToPlaylist({ id: "sim-999" }, "Focus"), /No track with id "sim-999"/);
+
+  const before = (await b.getTracksOfPlaylist("Morning Run")).length;
+  await b.addToPlaylist(track, "Morning Run");
+  const after = await b.getTracksOfPlaylist("Morning Run");
+  assert.equal(after.length, before + 1);
+  assert.equal(after[after.length - 1].id, track.id);
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTimers, parseClock } = require("../lib/timers");
+
+// records what the timers ask of the player
+function fakeBackend() {
+  const calls = [];
+  return {
+    calls,
+    async setVolume(v) { calls.push(`volume ${v}`); },
+    async pause() { calls.push("pause"); },
+    async playPlaylistByName(name) { calls.push(`play ${name}`); }
+  };
+}
+
+const settle = () => new Promise(r => setTimeout(r, 20));
+const playing = (extra) => Object.assign({ name: "Song", artist: "Band", album: "LP", state: "playing", volume: 60, duration: 200, position: 0 }, extra);
+
+test("parseClock gives the next time of day", () => {
+  const now = new Date(2024, 0, 10, 8, 0);
+  assert.equal(+parseClock("7:30", now), +new Date(2024, 0, 11, 7, 30));
+  assert.equal(+parseClock("19.05", now), +new Date(2024, 0, 10, 19, 5));
+  assert.equal(parseClock("24:00", now), null);
+  assert.equal(parseClock("noon", now), null);
+});
+
+test("the minutes timer fades out, pauses and puts the volume back", async () => {
+  const backend = fakeBackend();
+  const timers = createTimers(backend, { fadeOutMs: 0 });
+  timers.sleepIn(10, 0);
+  assert.equal(timers.status(0), "☾ 10:00");
+  timers.tick(playing(), 9 * 60000);
+  assert.deepEqual(backend.calls, []);
+  timers.tick(playing(), 10 * 60000);
+  await settle();
+  assert.deepEqual(backend.calls, ["volume 0", "pause", "volume 60"]);
+  assert.equal(timers.sleeping, false);
+});
+
+test("the minutes timer ends quietly when nothing is playing", async () => {
+  const backend = fakeBackend();
+  const timers = createTimers(backend, { fadeOutMs: 0 });
+  timers.sleepIn(1, 0);
+  timers.tick(playing({ state: "paused" }), 60000);
+  assert.deepEqual(backend.calls, []);
+  assert.equal(timers.sleeping, false);
+});
+
+test("the end-of-track timer waits for the end of the track", async () => {
+  const backend = fakeBackend();
+  const timers = createTimers(backend, { fadeOutMs: 0 });
+  timers.sleepAtEnd("track", playing());
+  timers.tick(playing({ position: 100 }));
+  assert.deepEqual(backend.calls, []);
+  timers.tick(playing({ position: 199 }));
+  await settle();
+  assert.deepEqual(backend.calls, ["volume 0", "pause", "volume 60"]);
+});
+
+test("the end-of-track timer doesn't fire for a track of unknown length", async () => {
+  const backend = fakeBackend();
+  const timers = createTimers(backend, { fadeOutMs: 0 });
+  timers.sleepAtEnd("track", playing({ duration: 0 }));
+  timers.tick(playing({ duration: 0, position: 5000 }));
+  assert.deepEqual(backend.calls, []);
+  timers.tick(playing({ name: "Next one", duration: 0 }));
+  await settle();
+  assert.ok(backend.calls.includes("pause"));
+});
+
+test("cancelling restores nothing before a fade started", () => {
+  const backend = fakeBackend();
+  const timers = createTimers(backend);
+  timers.sleepIn(5, 0);
+  assert.equal(timers.cancelSleep(), true);
+  assert.equal(timers.cancelSleep(), false);
+  assert.deepEqual(backend.calls, []);
+});
+
+test("the alarm starts its playlist silently and fades in", async () => {
+  const backend = fakeBackend();
+  const timers = createTimers(backend, { fadeInMs: 0 });
+  timers.setAlarm(1000, "Morning Run", 40);
+  timers.tick(null, 999);
+  assert.deepEqual(backend.calls, []);
+  timers.tick(null, 1000);
+  await settle();
+  assert.deepEqual(backend.calls, ["volume 0", "play Morning Run", "volume 40"]);
+  assert.equal(timers.alarmSet, false);
+});
+
+test("an alarm cancelled while starting doesn't start its playlist", async () => {
+  const backend = fakeBackend();
+  const timers = createTimers(backend, { fadeInMs: 0 });
+  timers.setAlarm(0, "Morning Run", 40);
+  timers.tick(null, 0); // setVolume(0) is still on its way
+  assert.equal(timers.cancelAlarm(), true);
+  await settle();
+  assert.deepEqual(backend.calls, ["volume 0", "volume 40"]);
+  assert.equal(timers.alarmSet, false);
+});
+
+test("a failing alarm puts the volume back", async () => {
+  const backend = fakeBackend();
+  backend.playPlaylistByName = async () => { throw new Error("no such playlist"); };
+  const messages = [];
+  const timers = createTimers(backend, { fadeInMs: 0, onMessage: m => messages.push(m) });
+  timers.setAlarm(0, "Gone", 40);
+  timers.tick(null, 0);
+  await settle();
+  assert.deepEqual(backend.calls, ["volume 0", "volume 40"]);
+  assert.deepEqual(messages, ["Alarm: no such playlist"]);
+});